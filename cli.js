@@ -15,8 +15,13 @@
 
 const ConceptKernel = require('./index.js');
 const fetch = global.fetch || require('node-fetch');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 const GATEWAY_URL = process.env.CK_GATEWAY_URL || 'http://localhost:56000';
+const OIDC_CLIENT_ID = process.env.CK_OIDC_CLIENT_ID || 'ck-cli';
+const TOKEN_PATH = process.env.CK_TOKEN_PATH || path.join(os.homedir(), '.ck-token.json');
 
 async function main() {
   const args = process.argv.slice(2);
@@ -34,7 +39,9 @@ async function main() {
     // Connect to gateway via WebSocket
     console.log(`Connecting to ${GATEWAY_URL}...`);
     const ck = await ConceptKernel.connect(GATEWAY_URL, {
-      autoConnect: true
+      autoConnect: true,
+      tokenStore: 'file',
+      tokenStorePath: TOKEN_PATH
     });
     console.log('✓ Connected via WebSocket\n');
 
@@ -46,6 +53,9 @@ async function main() {
 
     // Route commands
     switch (command) {
+      case 'login':
+        await handleLoginCommand(ck);
+        break;
       case 'concept':
         await handleConceptCommand(ck, subcommand, param);
         break;
@@ -67,6 +77,9 @@ async function main() {
       case 'graph':
         await handleGraphCommand(ck, subcommand, param);
         break;
+      case 'types':
+        await handleTypesCommand(ck, subcommand, param, args.slice(3));
+        break;
       default:
         console.error(`Unknown command: ${command}`);
         showHelp();
@@ -82,6 +95,32 @@ async function main() {
   }
 }
 
+// Discovered kernel for a URN or name; names resolveKernel() rejects count as not found
+function findKernel(ck, param) {
+  try {
+    return ck.resolveKernel(param).kernel;
+  } catch (err) {
+    return null;
+  }
+}
+
+async function handleLoginCommand(ck) {
+  const result = await ck.loginWithDeviceCode({
+    clientId: OIDC_CLIENT_ID,
+    onPrompt: ({ verificationUri, verificationUriComplete, userCode }) => {
+      console.log(`To sign in, open ${verificationUriComplete || verificationUri}`);
+      console.log(`and enter the code: ${userCode}\n`);
+      console.log('Waiting for authorization...');
+    }
+  });
+
+  console.log(`✓ Logged in${result.actor ? ` as ${result.actor}` : ''}`);
+  if (result.roles && result.roles.length > 0) {
+    console.log(`  Roles: ${result.roles.join(', ')}`);
+  }
+  console.log(`  Session saved to ${TOKEN_PATH}`);
+}
+
 async function handleConceptCommand(ck, subcommand, param) {
   if (subcommand === 'describe' && param) {
     console.log(`═══════════════════════════════════════════════════════════════`);
@@ -89,9 +128,7 @@ async function handleConceptCommand(ck, subcommand, param) {
     console.log(`═══════════════════════════════════════════════════════════════\n`);
 
     // Use service discovery data (fetched via WebSocket on connect)
-    const kernel = ck.discoveryData.kernels.find(k =>
-      k.name === param || k.urn.includes(param)
-    );
+    const kernel = findKernel(ck, param);
 
     if (kernel) {
       displayConcept(kernel);
@@ -120,7 +157,7 @@ async function handlePackageCommand(ck, subcommand, param) {
       package: param
     };
 
-    const response = await ck.emit('System.Registry', query);
+    const response = await ck.request('System.Registry', query);
 
     if (response.payload && response.payload.package) {
       displayPackage(response.payload.package);
@@ -157,9 +194,8 @@ async function handleDaemonCommand(ck, subcommand, param) {
     console.log(`═══════════════════════════════════════════════════════════════\n`);
 
     // Use service discovery data (fetched via WebSocket on connect)
-    const daemon = ck.discoveryData.kernels.find(k =>
-      k.name === param && k.mode === 'ONLINE'
-    );
+    const kernel = findKernel(ck, param);
+    const daemon = kernel && kernel.mode === 'ONLINE' ? kernel : null;
 
     if (daemon) {
       displayDaemon(daemon);
@@ -179,16 +215,10 @@ async function handleTxCommand(ck, subcommand, param) {
     console.log(`Recent Transactions`);
     console.log(`═══════════════════════════════════════════════════════════════\n`);
 
-    const query = {
-      action: 'query',
-      type: 'transaction_list',
-      limit: 20
-    };
-
-    const response = await ck.emit('System.Registry', query);
+    const { processes } = await ck.listProcesses(null, { limit: 20 });
 
-    if (response.payload && response.payload.transactions) {
-      displayTxList(response.payload.transactions);
+    if (processes.length > 0) {
+      displayTxList(processes);
     } else {
       console.log('No transactions found');
       console.log('\nNote: Transaction tracking requires System.Registry to be running');
@@ -206,7 +236,7 @@ async function handleTxCommand(ck, subcommand, param) {
       txId: param
     };
 
-    const response = await ck.emit('System.Registry', query);
+    const response = await ck.request('System.Registry', query);
 
     if (response.payload && response.payload.transaction) {
       displayTx(response.payload.transaction);
@@ -336,17 +366,11 @@ async function handleProcessCommand(ck, subcommand, param) {
     console.log(`Recent Processes (Occurrents)`);
     console.log(`═══════════════════════════════════════════════════════════════\n`);
 
-    const query = {
-      action: 'query',
-      type: 'process_list',
-      limit: 20
-    };
-
     try {
-      const response = await ck.emit('System.Registry', query);
+      const { processes } = await ck.listProcesses(null, { limit: 20 });
 
-      if (response.payload && response.payload.processes) {
-        displayProcessList(response.payload.processes);
+      if (processes.length > 0) {
+        displayProcessList(processes);
       } else {
         console.log('No processes found');
         console.log('\nNote: Process tracking requires System.Registry to be running');
@@ -367,7 +391,7 @@ async function handleProcessCommand(ck, subcommand, param) {
     };
 
     try {
-      const response = await ck.emit('System.Registry', query);
+      const response = await ck.request('System.Registry', query);
 
       if (response.payload && response.payload.process) {
         displayProcess(response.payload.process);
@@ -391,9 +415,7 @@ async function handleKernelCommand(ck, subcommand, param) {
     console.log(`═══════════════════════════════════════════════════════════════\n`);
 
     // Use service discovery data
-    const kernel = ck.discoveryData.kernels.find(k =>
-      k.name === param || k.urn.includes(param)
-    );
+    const kernel = findKernel(ck, param);
 
     if (kernel) {
       displayKernelFull(kernel);
@@ -462,18 +484,11 @@ async function handleGraphCommand(ck, subcommand, param) {
 
     // Try to get process count
     try {
-      const query = {
-        action: 'query',
-        type: 'process_list',
-        limit: 1000
-      };
-      const response = await ck.emit('System.Registry', query);
-
-      if (response.payload && response.payload.processes) {
-        console.log('Occurrents (Processes):');
-        console.log('  Total Processes:', response.payload.processes.length);
-        console.log();
-      }
+      const { total } = await ck.listProcesses(null, { limit: 1000 });
+
+      console.log('Occurrents (Processes):');
+      console.log('  Total Processes:', total);
+      console.log();
     } catch (error) {
       // Ignore if Registry not available
     }
@@ -489,6 +504,22 @@ async function handleGraphCommand(ck, subcommand, param) {
   }
 }
 
+async function handleTypesCommand(ck, subcommand, param, kernels) {
+  if (subcommand === 'generate') {
+    const outFile = param || 'ck-kernels.d.ts';
+    const source = await ck.generateTypes(kernels.length > 0 ? { kernels } : {});
+    fs.writeFileSync(outFile, source);
+
+    const missing = source.split('\n').filter(line => line.includes('no payload schemas available'));
+    console.log(`✓ Wrote ${outFile}`);
+    missing.forEach(line => console.log(`  Skipped ${line.trim().replace(/^\/\/ /, '')}`));
+    console.log('  Include it in your TypeScript project to type emit() and request().');
+  } else {
+    console.log('Usage:');
+    console.log('  node cli.js types generate [outFile] [kernel...]');
+  }
+}
+
 function displayProcessList(processes) {
   if (processes.length === 0) {
     console.log('No processes found');
@@ -503,7 +534,7 @@ function displayProcessList(processes) {
       (p.txId || 'unknown').padEnd(30),
       (p.type || 'unknown').padEnd(15),
       (p.status || 'unknown').padEnd(10),
-      p.temporalRegion && p.temporalRegion.duration ? p.temporalRegion.duration + 'ms' : 'N/A'
+      p.duration !== null ? p.duration + 'ms' : 'N/A'
     );
   });
 
@@ -636,6 +667,7 @@ USAGE:
   node cli.js <COMMAND> <SUBCOMMAND> [OPTIONS]
 
 COMMANDS:
+  login                       Sign in via the gateway's OIDC provider (device code)
   concept describe <kernel>   Describe a concept/kernel
   package describe <package>  Describe a package
   daemon list                 List running daemons
@@ -647,6 +679,9 @@ COMMANDS:
   kernel list                 List all kernels (continuants)
   kernel describe <kernel>    Describe a kernel with full details
   graph summary               Show graph-wide statistics
+  types generate [file] [kernel...]
+                              Write TypeScript payload types from kernel schemas
+                              (default file: ck-kernels.d.ts, default: all kernels)
 
 EXAMPLES:
   node cli.js concept describe System.Wss
@@ -657,9 +692,12 @@ EXAMPLES:
   node cli.js kernel list
   node cli.js kernel describe System.Wss
   node cli.js graph summary
+  node cli.js types generate src/ck-kernels.d.ts UI.Bakery
 
 ENVIRONMENT:
-  CK_GATEWAY_URL  Gateway URL (default: http://localhost:56000)
+  CK_GATEWAY_URL     Gateway URL (default: http://localhost:56000)
+  CK_OIDC_CLIENT_ID  OIDC client id used by \`login\` (default: ck-cli)
+  CK_TOKEN_PATH      Session file (default: ~/.ck-token.json)
 
 NOTE:
   All queries are executed over WebSocket (wss://) using ck-client-js.
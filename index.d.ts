@@ -28,9 +28,488 @@
  */
 
 declare module '@conceptkernel/ck-client-js' {
+  /**
+   * Log level, from quietest to noisiest
+   */
+  export type LogLevel = 'silent' | 'error' | 'warn' | 'info' | 'debug' | 'trace';
+
+  /**
+   * Custom log sink. Fields are already redacted.
+   */
+  export type LogSink = (level: Exclude<LogLevel, 'silent'>, message: string, fields?: any) => void;
+
+  /**
+   * Logger configuration
+   */
+  export interface LoggerOptions {
+    /** Minimum level to output (default: 'silent') */
+    level?: LogLevel;
+    /** 'console', 'json' (JSON lines on stderr) or a custom function (default: 'console') */
+    sink?: 'console' | 'json' | LogSink;
+    /** Extra field names to mask, in addition to tokens, passwords and secrets */
+    redact?: string[];
+  }
+
+  /**
+   * A single schema validation failure
+   */
+  export interface ValidationIssue {
+    /** JSON pointer to the failing field (e.g., '/txId') */
+    pointer: string;
+    /** Schema keyword that failed (e.g., 'pattern', 'required') */
+    keyword: string;
+    /** Human-readable description */
+    message: string;
+  }
+
+  /**
+   * Validation result
+   */
+  export interface ValidationResult {
+    valid: boolean;
+    errors: ValidationIssue[];
+  }
+
+  /**
+   * Error raised for envelopes that do not match the bundled schema
+   */
+  export class EnvelopeValidationError extends Error {
+    name: 'EnvelopeValidationError' | 'PayloadValidationError';
+    errors: ValidationIssue[];
+  }
+
+  /**
+   * Error raised in validatePayloads 'strict' mode for payloads that do not match the kernel schema
+   */
+  export class PayloadValidationError extends EnvelopeValidationError {
+    /** Schema URN checked (ckp://{Kernel}#schema/{edge}/{action}) */
+    schema: string;
+  }
+
+  /**
+   * Transport names: HTTP gateway + WebSocket, NATS only, or HTTP discovery with NATS events
+   */
+  export type TransportName = 'http-ws' | 'nats' | 'hybrid';
+
+  /**
+   * Capabilities a transport may lack
+   */
+  export type TransportCapability = 'emit' | 'request' | 'subscribe' | 'auth' | 'subjects';
+
+  /**
+   * Active transport (ck.transport)
+   */
+  export interface Transport {
+    readonly name: TransportName;
+    /** Capabilities this transport provides */
+    readonly capabilities: TransportCapability[];
+    supports(capability: TransportCapability): boolean;
+  }
+
+  /**
+   * Error raised when the active transport cannot carry a call
+   */
+  export class TransportCapabilityError extends Error {
+    name: 'TransportCapabilityError';
+    code: 'ERR_TRANSPORT_CAPABILITY';
+    transport: TransportName;
+    capability: TransportCapability;
+  }
+
+  /**
+   * Parts of a `ckp://Name.Parts:version#fragment` URN
+   */
+  export interface ParsedUrn {
+    /** Dotted kernel name (e.g., 'UI.Bakery') */
+    name: string;
+    /** Name segments (e.g., ['UI', 'Bakery']) */
+    parts: string[];
+    version: string | null;
+    fragment: string | null;
+  }
+
+  /**
+   * How an unversioned kernel name picks a discovered version
+   */
+  export type VersionPolicy = 'latest' | 'pinned';
+
+  /**
+   * Options for resolveKernel()
+   */
+  export interface ResolveKernelOptions {
+    /** Version policy (default: the versionPolicy connect option) */
+    policy?: VersionPolicy;
+    /** Versions by kernel name ({ 'UI.Bakery': 'v1' }) */
+    pins?: Record<string, string>;
+  }
+
+  /**
+   * A resolved kernel URN
+   */
+  export interface ResolvedKernel {
+    /** Full URN, versioned when a version was requested, pinned or discovered */
+    urn: string;
+    /** Discovery entry, or null when the kernel is not discovered */
+    kernel: Record<string, any> | null;
+  }
+
+  /**
+   * Error raised when a kernel name matches several kernels, or several versions under the 'pinned' policy
+   */
+  export class AmbiguousUrnError extends Error {
+    name: 'AmbiguousUrnError';
+    code: 'ERR_URN_AMBIGUOUS';
+    /** The name or URN being resolved */
+    urn: string;
+    /** URNs it could refer to */
+    candidates: string[];
+  }
+
+  /**
+   * Recorded mock gateway traffic
+   */
+  export interface MockTrafficEntry {
+    at: number;
+    channel: 'http' | 'ws' | 'nats';
+    /** 'in' = received by the gateway, 'out' = sent by it */
+    direction: 'in' | 'out';
+    /** 'discovery', 'emit', 'event', 'dropped', 'oidc_*' or a WebSocket message type */
+    type: string;
+    kernel?: string;
+    txId?: string;
+    edge?: string;
+    subject?: string;
+    authorization?: string | null;
+    message?: any;
+  }
+
+  /**
+   * Partial match on traffic fields; values may be predicates or regular expressions
+   */
+  export type MockTrafficFilter = {
+    [K in keyof MockTrafficEntry]?: MockTrafficEntry[K] | RegExp | ((value: any) => boolean) | Record<string, any>;
+  };
+
+  /**
+   * Fault injected into the mock gateway
+   */
+  export interface MockFault {
+    /** Traffic type: 'emit', 'discovery', 'oidc_token', 'oidc_device' or a WebSocket message type (default: any) */
+    type?: string;
+    /** Only emits to this kernel */
+    kernel?: string;
+    /** Swallow the message (a number is a probability 0-1) */
+    drop?: boolean | number;
+    /** Delay the reply (ms) */
+    latency?: number;
+    /** Error reply (ERROR envelope for emits, `error` message for WebSocket commands, OAuth error code for OIDC) */
+    error?: string;
+    /** Fail HTTP requests with this status */
+    status?: number;
+    /** Apply this many times only */
+    times?: number;
+  }
+
+  /**
+   * Context passed to scripted mock kernels
+   */
+  export interface MockKernelContext {
+    txId: string;
+    edge: string;
+    from: string | null;
+    kernel: string;
+    channel: 'http' | 'nats';
+    authorization: string | null;
+    /** Publish an extra envelope (e.g. ANNOUNCES progress) for this txId */
+    emit(edge: EdgePredicate, payload: any): Promise<void>;
+  }
+
+  export type MockKernelHandler = (payload: any, context: MockKernelContext) => any;
+
+  export interface MockGatewayOptions {
+    /** Port to listen on (default: 0, a free port) */
+    port?: number;
+    /** Interface to bind (default: '127.0.0.1') */
+    host?: string;
+    /** Accepted logins (default: any login succeeds) */
+    users?: Record<string, string | { password: string; roles?: string[] }>;
+    /** Extra services merged into the discovery document */
+    services?: ServiceMap;
+    /** Domain in the discovery document (default: 'mock.local') */
+    domain?: string;
+    /** Issue session tokens as JWTs expiring after this many ms (default: opaque, never expire) */
+    tokenTtl?: number;
+    /** Serve an OIDC provider under /oidc, advertised as the `oidc` service */
+    oidc?: boolean | MockOidcOptions;
+  }
+
+  export interface MockOidcOptions {
+    /** User who completes browser logins (default: 'alice') */
+    user?: string;
+    /** Roles claim of issued tokens (default: ['user']) */
+    roles?: string[];
+    /** Client secrets for client credentials (default: any secret is accepted) */
+    clients?: Record<string, string>;
+    /** Device flow polling interval in seconds (default: 5) */
+    deviceInterval?: number;
+  }
+
+  /**
+   * In-memory NATS server with a nats.ws-compatible surface (use as `natsModule`)
+   */
+  export class MockNats {
+    connect(options?: any): Promise<any>;
+    StringCodec(): { encode(text: string): Uint8Array; decode(bytes: Uint8Array): string };
+    /** Publish a JSON (or string) message */
+    publish(subject: string, data: any): void;
+    /** Answer requests on a subject with the handler's return value */
+    reply(subject: string, handler: (data: any, msg: any) => any): Unsubscribe;
+    /** Observe messages on a subject pattern */
+    listen(subject: string, handler: (data: any, msg: any) => void): Unsubscribe;
+    /** Emit a status event ('disconnect', 'reconnect', ...) on every connection */
+    status(type: string): void;
+    /** Create a JetStream stream (subjects default to [name]) */
+    addStream(config: { name: string; subjects?: string[] }): MockNats;
+    /** Messages stored in a stream */
+    streamMessages(name: string): Array<{ seq: number; subject: string; data: Uint8Array; time: number }>;
+    /** Set a key in a key-value bucket (created on first use) */
+    kvPut(bucket: string, key: string, value: any): MockNats;
+    kvDelete(bucket: string, key: string): MockNats;
+  }
+
+  /**
+   * Local stand-in for a ConceptKernel gateway (Node.js only)
+   */
+  export class MockGateway {
+    constructor(options?: MockGatewayOptions);
+    readonly url: string | null;
+    readonly wsUrl: string | null;
+    readonly traffic: MockTrafficEntry[];
+    readonly nats: MockNats;
+    start(): Promise<MockGateway>;
+    stop(): Promise<void>;
+    /** Connect a client to this gateway (the in-memory NATS is passed as natsModule) */
+    connect(options?: ConnectionOptions): Promise<ConceptKernel>;
+    /** Script a kernel; a non-function handler is a fixed response */
+    kernel(urn: string, handler?: MockKernelHandler | any, options?: Record<string, any>): MockGateway;
+    /** Remove a scripted kernel (it disappears from discovery) */
+    removeKernel(urn: string): MockGateway;
+    fault(fault: MockFault): () => void;
+    clearFaults(): void;
+    publishEvent(envelope: Envelope): void;
+    /** Complete a pending device login, as if the user entered the code */
+    approveDevice(userCode: string, username?: string): void;
+    /** Close every WebSocket without a close handshake */
+    dropConnections(): void;
+    received(filter?: MockTrafficFilter): MockTrafficEntry[];
+    sent(filter?: MockTrafficFilter): MockTrafficEntry[];
+    assertReceived(filter: MockTrafficFilter, times?: number): void;
+    assertSent(filter: MockTrafficFilter, times?: number): void;
+    waitFor(filter: MockTrafficFilter, timeout?: number): Promise<MockTrafficEntry>;
+    reset(): void;
+    discoveryDocument(): any;
+  }
+
+  /**
+   * Outbox entry (a pending emit)
+   */
+  export interface OutboxEntry {
+    /** Transaction ID, sent as X-CK-TxId on every replay */
+    txId: string;
+    /** Target kernel */
+    kernel: string;
+    /** Event payload */
+    payload: any;
+    /** Emit options used for replay */
+    options: EmitOptions;
+    /** Position in the queue */
+    seq: number;
+    /** Time the entry was queued (ms since epoch) */
+    createdAt: number;
+    /** Delivery attempts so far */
+    attempts: number;
+    /** Last delivery error message */
+    lastError: string | null;
+  }
+
+  /**
+   * Custom outbox storage adapter
+   */
+  export interface OutboxStore {
+    load(): Promise<OutboxEntry[]>;
+    put(entry: OutboxEntry): Promise<void>;
+    remove(txId: string): Promise<void>;
+  }
+
+  /**
+   * Outbox configuration
+   */
+  export interface OutboxOptions {
+    /** Storage backend (default: 'auto' - IndexedDB in browsers, file journal in Node.js) */
+    storage?: 'auto' | 'memory' | 'indexeddb' | 'file' | OutboxStore;
+    /** Journal file for file storage (default: '.ck-outbox.jsonl') */
+    path?: string;
+    /** IndexedDB database name (default: 'ck-client-outbox') */
+    name?: string;
+    /** Delivery attempts before an entry is dead-lettered (default: 10) */
+    maxAttempts?: number;
+    /** Replay interval while entries are pending, in milliseconds (default: 5000) */
+    retryInterval?: number;
+  }
+
+  /**
+   * Persisted session
+   */
+  export interface StoredSession {
+    token: string;
+    actor: string | null;
+    roles: string[];
+    /** Token expiry (ms since epoch), decoded from the JWT `exp` claim */
+    expiresAt: number | null;
+  }
+
+  /**
+   * Gateway entry for multi-gateway configurations
+   */
+  export interface GatewayConfig {
+    url: string;
+    /** Lower numbers are preferred by the 'priority' strategy (default: list position) */
+    priority?: number;
+  }
+
+  /**
+   * Gateway health as reported by getStatus()
+   */
+  export interface GatewayHealth {
+    url: string;
+    priority: number;
+    healthy: boolean;
+    /** Last discovery round-trip in ms (null if unreachable or not yet checked) */
+    latency: number | null;
+    lastCheck: number | null;
+    /** Consecutive failed checks */
+    failures: number;
+    active: boolean;
+  }
+
+  /**
+   * NATS connection settings (nats and hybrid transports)
+   */
+  export interface NatsOptions {
+    /** Seed servers; the client fails over between them (default: natsUrl) */
+    servers?: string | string[];
+    /** Client name shown in server monitoring */
+    name?: string;
+    user?: string;
+    pass?: string;
+    token?: string;
+    /** NKey seed: NKey auth on its own, or the signing key for jwt */
+    nkeySeed?: string;
+    /** User JWT (decentralized auth) */
+    jwt?: string;
+    /** Contents of a .creds file */
+    creds?: string;
+    /** Path to a .creds file (Node.js) */
+    credsFile?: string;
+    /** TLS options, e.g. { caFile, certFile, keyFile } with the Node.js `nats` package as natsModule */
+    tls?: Record<string, any>;
+    /** Reconnect after losing the server (default: true) */
+    reconnect?: boolean;
+    /** Wait between reconnect attempts in ms (default: 2000) */
+    reconnectTimeWait?: number;
+    /** Reconnect attempts per server, -1 for no limit (default: 10) */
+    maxReconnectAttempts?: number;
+    pingInterval?: number;
+    maxPingOut?: number;
+    /** Connection timeout in ms */
+    timeout?: number;
+    waitOnFirstConnect?: boolean;
+  }
+
+  /**
+   * NATS server info and traffic counters as reported by getStatus()
+   */
+  export interface NatsStatus {
+    /** Server the client is connected to */
+    server: string | null;
+    serverId: string | null;
+    serverName: string | null;
+    version: string | null;
+    cluster: string | null;
+    /** Cluster URLs advertised by the server */
+    connectUrls: string[];
+    /** The server announced lame duck mode and will close the connection */
+    lameDuck: boolean;
+    reconnects: number;
+    stats: { inBytes: number; outBytes: number; inMsgs: number; outMsgs: number } | null;
+  }
+
+  /**
+   * Custom token store adapter
+   */
+  export interface TokenStore {
+    get(): Promise<StoredSession | null>;
+    set(session: StoredSession): Promise<void>;
+    clear(): Promise<void>;
+  }
+
   /**
    * Connection options for ConceptKernel client
    */
+  /**
+   * OpenID Provider metadata
+   */
+  export interface OidcConfiguration {
+    issuer: string;
+    authorization_endpoint?: string;
+    token_endpoint: string;
+    device_authorization_endpoint?: string;
+    [key: string]: any;
+  }
+
+  export interface OidcAuthorizationOptions {
+    clientId: string;
+    redirectUri: string;
+    /** Requested scopes (default: 'openid profile') */
+    scope?: string;
+  }
+
+  export interface OidcAuthorizationRequest {
+    url: string;
+    state: string;
+    codeVerifier: string;
+  }
+
+  export interface OidcCallbackOptions {
+    clientId: string;
+    redirectUri: string;
+    /** Callback URL (default: window.location.href) */
+    url?: string;
+    /** Expected state (default: value saved by loginWithRedirect); the callback is rejected without one */
+    state?: string;
+    /** PKCE verifier (default: value saved by loginWithRedirect) */
+    codeVerifier?: string;
+  }
+
+  export interface OidcDevicePrompt {
+    verificationUri: string;
+    verificationUriComplete: string | null;
+    userCode: string;
+    expiresIn: number;
+  }
+
+  export interface OidcDeviceCodeOptions {
+    clientId: string;
+    scope?: string;
+    onPrompt?: (prompt: OidcDevicePrompt) => void;
+  }
+
+  export interface OidcClientCredentialsOptions {
+    clientId: string;
+    clientSecret: string;
+    scope?: string;
+  }
+
   export interface ConnectionOptions {
     /** Auto-connect WebSocket on initialization (default: true) */
     autoConnect?: boolean;
@@ -41,10 +520,61 @@ declare module '@conceptkernel/ck-client-js' {
     };
     /** Service discovery cache timeout in milliseconds (default: 60000) */
     cacheTimeout?: number;
+    /** Once the cache expires, answer discover() from it and refresh in the background (default: false) */
+    staleWhileRevalidate?: boolean;
+    /** Re-fetch discovery in the background every this many ms, emitting change events (default: 0, off) */
+    discoveryRefreshInterval?: number;
     /** Auto-reconnect WebSocket on disconnect (default: true) */
     reconnect?: boolean;
-    /** Reconnect delay in milliseconds (default: 3000) */
+    /** Initial reconnect delay in milliseconds, doubled on each attempt (default: 3000) */
     reconnectDelay?: number;
+    /** Upper bound for the reconnect delay in milliseconds (default: 30000) */
+    reconnectMaxDelay?: number;
+    /** Reconnect attempts before giving up; Infinity for no limit (default: 10) */
+    reconnectMaxAttempts?: number;
+    /** Fraction of each reconnect delay that is randomized, 0-1 (default: 0.5) */
+    reconnectJitter?: number;
+    /** Send emits as full edge envelopes (default: false) */
+    envelope?: boolean;
+    /** Validate envelopes against the bundled schema (default: disabled) */
+    validate?: 'outgoing' | 'incoming' | 'both';
+    /** Check emit payloads against the target kernel's schema: 'strict' throws, 'warn' logs and sends (default: disabled) */
+    validatePayloads?: 'strict' | 'warn';
+    /** Queue failed or offline emits and replay them in order (default: disabled) */
+    outbox?: boolean | OutboxOptions;
+    /** Persist the session token across reloads/restarts (default: not persisted) */
+    tokenStore?: 'memory' | 'localStorage' | 'sessionStorage' | 'file' | TokenStore;
+    /** Token file for the Node.js file store (default: '.ck-token.json') */
+    tokenStorePath?: string;
+    /** Refresh the token this many milliseconds before it expires (default: 300000) */
+    tokenRefreshMargin?: number;
+    /** Default timeout for WebSocket commands in milliseconds (default: 10000) */
+    requestTimeout?: number;
+    /**
+     * How the active gateway is chosen among several, on connect and at each failover (default: 'priority').
+     * 'round-robin' moves on through the list at each failover instead of back to the top.
+     */
+    gatewayStrategy?: 'priority' | 'round-robin' | 'lowest-latency';
+    /** Gateway health check interval in ms, 0 disables (default: 30000) */
+    healthCheckInterval?: number;
+    /** Health check request timeout in ms (default: 5000) */
+    healthCheckTimeout?: number;
+    /** Version picked for unversioned kernel names (default: 'latest') */
+    versionPolicy?: VersionPolicy;
+    /** Kernel versions by name, used by the 'pinned' policy ({ 'UI.Bakery': 'v1' }) */
+    pinnedVersions?: Record<string, string>;
+    /** How emits, requests and subscriptions travel (default: 'http-ws') */
+    transport?: TransportName;
+    /** Shorthand for transport: 'nats' (default: false) */
+    directNATS?: boolean;
+    /** nats.ws-compatible module used instead of loading nats.ws (e.g. MockNats, or `nats` in Node.js) */
+    natsModule?: any;
+    /** NATS servers, auth, TLS and reconnect settings */
+    nats?: NatsOptions;
+    /** NATS WebSocket URL for the nats transport, or hybrid without a discovered nats service (default: 'ws://127.0.0.1:8080') */
+    natsUrl?: string;
+    /** Logging: level name, sink function or full config (default: silent) */
+    logger?: LogLevel | LogSink | LoggerOptions;
   }
 
   /**
@@ -53,6 +583,118 @@ declare module '@conceptkernel/ck-client-js' {
   export interface EmitOptions {
     /** Transaction ID (auto-generated if not provided) */
     txId?: string;
+    /** BFO edge predicate in SCREAMING_SNAKE_CASE (default: 'QUERIES') */
+    edge?: EdgePredicate;
+    /** Send the full envelope instead of the raw payload (default: the `envelope` connect option) */
+    envelope?: boolean;
+    /** Sender URN for envelopes (default: derived from the authenticated actor) */
+    from?: string;
+    /** NATS subject to publish on with the nats transport (default: kernel.{Name}.action.emit) */
+    subject?: string;
+    /** false skips the validatePayloads check for this emit */
+    validatePayload?: boolean;
+  }
+
+  /**
+   * Options for request()
+   */
+  export interface RequestOptions extends EmitOptions {
+    /** Time to wait for the RESPONDS envelope in milliseconds (default: requestTimeout) */
+    timeout?: number;
+    /** NATS subject carrying answers with the nats and hybrid transports (default: kernel.{Name}.>) */
+    replySubject?: string;
+  }
+
+  /**
+   * BFO edge predicate (QUERIES, RESPONDS, ANNOUNCES, TRANSFORMS, ...)
+   */
+  export type EdgePredicate =
+    | 'QUERIES' | 'RESPONDS' | 'ANNOUNCES' | 'TRANSFORMS'
+    | 'VALIDATES' | 'PRODUCES' | 'REQUIRES'
+    | (string & {});
+
+  /**
+   * Payload and response types per kernel, edge and action. Empty until a file
+   * generated by `ck types generate` (or ck.generateTypes()) augments it; kernels
+   * listed here get typed emit() and request() overloads.
+   *
+   * @example
+   * ```typescript
+   * declare module '@conceptkernel/ck-client-js' {
+   *   interface KernelPayloads {
+   *     'UI.Bakery': {
+   *       QUERIES: {
+   *         mix: { payload: { action: 'mix'; ingredients: string[] }; response: { mixed: boolean } };
+   *       };
+   *     };
+   *   }
+   * }
+   * ```
+   */
+  export interface KernelPayloads {}
+
+  /** Kernel names with generated payload types */
+  export type TypedKernel = keyof KernelPayloads & string;
+
+  /** Edges a typed kernel has payload schemas for */
+  export type KernelEdge<K extends TypedKernel> = keyof KernelPayloads[K] & string;
+
+  /** Any payload a typed kernel accepts on an edge */
+  export type KernelPayload<K extends TypedKernel, E extends KernelEdge<K>> = {
+    [A in keyof KernelPayloads[K][E]]: KernelPayloads[K][E][A] extends { payload: infer P } ? P : never;
+  }[keyof KernelPayloads[K][E]];
+
+  /** Response payload for the action named in a request payload */
+  export type KernelResponse<K extends TypedKernel, E extends KernelEdge<K>, P> =
+    P extends { action: infer A }
+      ? A extends keyof KernelPayloads[K][E]
+        ? KernelPayloads[K][E][A] extends { response: infer R } ? R : any
+        : any
+      : any;
+
+  /**
+   * JSON Schemas of one kernel action (`ckp://{Kernel}#schema/{edge}/{action}`)
+   */
+  export interface ActionSchemas {
+    payload: Record<string, any>;
+    response: Record<string, any> | null;
+  }
+
+  /**
+   * A kernel's payload schemas by edge and action
+   */
+  export type KernelSchemas = Record<string, Record<string, ActionSchemas>>;
+
+  /**
+   * Result of validatePayload()
+   */
+  export interface PayloadValidationResult extends ValidationResult {
+    /** Schema URN checked, or null when the kernel publishes no schemas or the payload has no action */
+    schema: string | null;
+  }
+
+  /**
+   * Options for generateTypes()
+   */
+  export interface GenerateTypesOptions {
+    /** Kernel URNs or names (default: all discovered kernels) */
+    kernels?: string[];
+  }
+
+  /**
+   * Edge message envelope (schemas/envelope.payload.v1.3.18.schema.json)
+   */
+  export interface Envelope<P = any> {
+    /** Transaction ID: {timestampMs}-{8hex} */
+    txId: string;
+    /** BFO edge predicate */
+    edge: EdgePredicate;
+    /** Source URN (e.g., ckp://Agent.Alice) */
+    from: string;
+    /** Target kernel URN (e.g., ckp://UI.Bakery:v1) */
+    to: string;
+    /** Kernel-specific payload */
+    payload: P;
   }
 
   /**
@@ -97,6 +739,8 @@ declare module '@conceptkernel/ck-client-js' {
     kernel: string;
     /** Message from gateway */
     message?: string;
+    /** True when the emit was stored in the outbox instead of delivered */
+    queued?: boolean;
   }
 
   /**
@@ -142,21 +786,417 @@ declare module '@conceptkernel/ck-client-js' {
   }
 
   /**
-   * Event data from WebSocket
+   * Event data from WebSocket
+   */
+  export interface Event {
+    /** Event type */
+    type: 'event' | 'notification';
+    /** Source kernel URN */
+    kernel: string;
+    /** Transaction ID */
+    txId: string;
+    /** Event timestamp */
+    timestamp: string;
+    /** Event payload */
+    data: any;
+    /** Process URN */
+    processUrn?: string;
+  }
+
+  /**
+   * Temporal part (phase) of a process
+   */
+  export interface TemporalPart {
+    /** Phase name */
+    phase: string;
+    /** Phase timestamp */
+    timestamp: string;
+    /** Phase data */
+    data?: Record<string, any>;
+  }
+
+  /**
+   * Process record (occurrent) from System.Registry
+   */
+  export interface ProcessRecord {
+    txId: string;
+    urn?: string;
+    type?: string;
+    status: string;
+    temporalRegion?: { start?: string; end?: string; duration?: number };
+    temporalParts?: TemporalPart[];
+    participants?: Record<string, string>;
+    metadata?: Record<string, any>;
+    [key: string]: any;
+  }
+
+  /**
+   * Final record of a tracked process
+   */
+  export interface FinalProcess extends ProcessRecord {
+    /** Duration in milliseconds */
+    duration?: number;
+    /** Exit code, or null if not reported */
+    exitCode: number | null;
+  }
+
+  /**
+   * Update yielded while tracking a transaction
+   */
+  export type TrackUpdate =
+    | { type: 'phase'; phase: TemporalPart }
+    | { type: 'complete'; process: FinalProcess };
+
+  /**
+   * Tracking options
+   */
+  export interface TrackOptions {
+    /** Poll System.Registry after this many milliseconds without live events (default: 1000) */
+    pollInterval?: number;
+    /** Give up after this many milliseconds (default: 300000) */
+    timeout?: number;
+  }
+
+  /**
+   * Proxy for a discovered kernel; declared functions become methods
+   * (`bakery.mix(params)` sends `{ action: 'mix', ...params }` via request())
+   */
+  export class KernelProxy {
+    readonly name: string;
+    /** Current discovery entry */
+    readonly entry: any;
+    readonly urn: string;
+    readonly mode: string | null;
+    readonly status: string | null;
+    readonly metadata: Record<string, any>;
+    readonly functions: string[];
+    readonly capabilities: string[];
+    readonly roles: string[];
+    /** Whether the kernel currently declares a function */
+    has(action: string): boolean;
+    /** Invoke a declared function and wait for the RESPONDS envelope */
+    call(action: string, params?: Record<string, any>, options?: RequestOptions): Promise<Envelope>;
+    /** Invoke a declared function without waiting for an answer */
+    emit(action: string, params?: Record<string, any>, options?: EmitOptions): Promise<EmitResult>;
+    /** Methods for the declared functions, looked up in the current discovery entry */
+    [action: string]: any;
+  }
+
+  /**
+   * Options for consume()
+   */
+  export interface ConsumeOptions {
+    /** Durable consumer name; resumes after the last acked message (default: ephemeral) */
+    durable?: string;
+    /** Stream name (default: the stream capturing the subject) */
+    stream?: string;
+    /** Start at this stream sequence */
+    startSequence?: number;
+    /** Start at messages stored at or after this time */
+    startTime?: string | number | Date;
+    /** Otherwise start with all stored messages, only new ones, or the last one (default: 'all') */
+    deliver?: 'all' | 'new' | 'last';
+    /** 'auto' acks when the handler resolves and naks when it throws (default: 'auto') */
+    ack?: 'auto' | 'manual';
+    /** Redeliver unsettled messages after this many milliseconds */
+    ackWait?: number;
+    /** Give up on a message after this many deliveries */
+    maxDeliver?: number;
+    /** Messages buffered ahead of the handler (default: 100) */
+    batch?: number;
+  }
+
+  /**
+   * JetStream message; settle it with ack(), nak() or term()
+   */
+  export class JetStreamMessage<T = any> {
+    readonly subject: string;
+    /** Stream sequence */
+    readonly seq: number;
+    /** Parsed JSON body (or the raw string) */
+    readonly data: T;
+    readonly redelivered: boolean;
+    /** 1 on first delivery */
+    readonly deliveryCount: number;
+    /** Time the message was stored */
+    readonly timestamp: Date | null;
+    /** How the message was settled, null until then */
+    readonly settled: 'ack' | 'nak' | 'term' | null;
+    /** Processed; never redeliver */
+    ack(): void;
+    /** Failed; redeliver, after `delay` ms when given */
+    nak(delay?: number): void;
+    /** Unprocessable; never redeliver */
+    term(): void;
+    /** Still processing; restart the ack wait */
+    working(): void;
+  }
+
+  /**
+   * Handler for consume()
+   */
+  export type JetStreamHandler<T = any> = (data: T, message: JetStreamMessage<T>) => void | Promise<void>;
+
+  /**
+   * JetStream consumer state
+   */
+  export interface JetStreamConsumerInfo {
+    stream: string;
+    name: string;
+    /** Matching messages not yet delivered */
+    pending: number;
+    /** Delivered messages awaiting ack */
+    ackPending: number;
+    redelivered: number;
+    /** Last delivered stream sequence */
+    delivered: number;
+  }
+
+  /**
+   * Handle for a JetStream consumer created by consume()
+   */
+  export class JetStreamConsumer {
+    readonly stream: string;
+    readonly name: string;
+    readonly durable: boolean;
+    readonly ack: 'auto' | 'manual';
+    readonly stopped: boolean;
+    /** Pull a batch of messages (settle each one) */
+    fetch(options?: { batch?: number; expires?: number }): Promise<JetStreamMessage[]>;
+    info(): Promise<JetStreamConsumerInfo>;
+    /** Stop delivering to the handler; durable consumers keep their position */
+    stop(): void;
+    /** Stop and remove the consumer from the server */
+    delete(): Promise<void>;
+  }
+
+  /**
+   * Key-value bucket entry
+   */
+  export interface KvEntry<T = any> {
+    key: string;
+    /** Decoded value, null for deletes */
+    value: T | null;
+    revision: number;
+    created: Date;
+    operation: 'PUT' | 'DEL' | 'PURGE';
+  }
+
+  /**
+   * Read view of a JetStream key-value bucket
+   */
+  export class KvBucket {
+    readonly bucket: string;
+    /** Current value, null when missing or deleted */
+    get<T = any>(key: string): Promise<T | null>;
+    entry<T = any>(key: string): Promise<KvEntry<T> | null>;
+    keys(filter?: string): Promise<string[]>;
+    /** Current values, then every update; resolves with a stop function */
+    watch<T = any>(key: string, handler: (entry: KvEntry<T>) => void): Promise<() => void>;
+  }
+
+  /**
+   * Live view of one transaction's process
+   */
+  export class TransactionTracker implements AsyncIterable<TrackUpdate> {
+    /** Tracked transaction ID */
+    readonly txId: string;
+    /** Final process record, once complete */
+    readonly process: FinalProcess | null;
+    /** True once complete, failed or stopped */
+    readonly finished: boolean;
+    /** Resolves with the final record (null if stopped), rejects on timeout */
+    readonly done: Promise<FinalProcess | null>;
+    on(eventType: 'phase', handler: EventHandler<TemporalPart>): Unsubscribe;
+    on(eventType: 'complete', handler: EventHandler<FinalProcess>): Unsubscribe;
+    on(eventType: 'error', handler: EventHandler<Error>): Unsubscribe;
+    /** Stop tracking */
+    stop(): void;
+    [Symbol.asyncIterator](): AsyncIterator<TrackUpdate>;
+  }
+
+  /**
+   * Pending item in a kernel's work queue
+   */
+  export interface QueueItem {
+    /** File name in queue/inbox */
+    name: string;
+    /** Item type */
+    type: string | null;
+    /** Size in bytes */
+    size: number | null;
+    /** Whether a payload is present */
+    hasPayload: boolean;
+    [key: string]: any;
+  }
+
+  /**
+   * Result of listQueue()
+   */
+  export interface QueueListing {
+    kernel: string;
+    queue: QueueItem[];
+  }
+
+  /**
+   * Edge connection between two kernels
+   */
+  export interface EdgeConnection {
+    /** BFO predicate */
+    predicate: EdgePredicate;
+    /** Source kernel URN */
+    source: string;
+    /** Target kernel URN */
+    target: string;
+    /** Items waiting on this edge */
+    queueDepth: number;
+    [key: string]: any;
+  }
+
+  /**
+   * Result of listEdges()
+   */
+  export interface EdgeListing {
+    kernel: string;
+    incoming: EdgeConnection[];
+    outgoing: EdgeConnection[];
+  }
+
+  /**
+   * Process summary returned by listProcesses()
+   */
+  export interface ProcessSummary extends ProcessRecord {
+    /** Process URN (e.g., ckp://Process#KernelAction-txId) */
+    urn: string;
+    /** Kernel that ran the process */
+    kernel: string | null;
+    /** Start timestamp */
+    timestamp: string | null;
+    /** Duration in milliseconds */
+    duration: number | null;
+    /** Exit code */
+    exitCode: number | null;
+    /** Storage path of the process record */
+    storagePath: string | null;
+  }
+
+  /**
+   * listProcesses() filters, pagination and sorting
+   */
+  export interface ListProcessesOptions {
+    /** Page size (default: 50) */
+    limit?: number;
+    /** Items to skip (default: 0) */
+    offset?: number;
+    /** Process type (e.g., 'KernelAction') */
+    processType?: string;
+    /** Process status */
+    status?: string;
+    /** Started at or after */
+    since?: string | number | Date;
+    /** Started at or before */
+    until?: string | number | Date;
+    /** Field to sort by (default: 'timestamp') */
+    sortBy?: keyof ProcessSummary;
+    /** Sort order (default: 'desc') */
+    order?: 'asc' | 'desc';
+  }
+
+  /**
+   * Result of listProcesses()
+   */
+  export interface ProcessListing {
+    processes: ProcessSummary[];
+    total: number;
+    limit: number;
+    offset: number;
+    hasMore: boolean;
+  }
+
+  /**
+   * Kernel (continuant) as returned by discovery and queryUrn()
+   */
+  export interface KernelEntity {
+    category: 'continuant';
+    name: string;
+    urn: string;
+    type?: string;
+    mode: 'ONLINE' | 'OFFLINE' | 'IDLE' | string | null;
+    status: string | null;
+    port?: number;
+    capabilities: string[];
+    roles: string[];
+    functions: string[];
+    bfo_type: string;
+    metadata?: Record<string, any>;
+    [key: string]: any;
+  }
+
+  /**
+   * Process (occurrent) as returned by queryUrn() and the query methods
+   */
+  export interface OccurrentEntity extends ProcessSummary {
+    category: 'occurrent';
+  }
+
+  /**
+   * Workflow returned by queryWorkflows()
+   */
+  export interface WorkflowEntity extends OccurrentEntity {
+    /** Workflow steps */
+    steps: any[];
+  }
+
+  /**
+   * Result of queryUrn()
+   */
+  export type UrnResolution =
+    | { urn: string; category: 'continuant'; entity: KernelEntity }
+    | { urn: string; category: 'occurrent'; entity: OccurrentEntity }
+    | { urn: string; category: 'entity'; entity: Record<string, any> };
+
+  /**
+   * Filters for the query methods
+   */
+  export interface QueryFilters {
+    kernel?: string;
+    processType?: string;
+    status?: string;
+    since?: string | number | Date;
+    until?: string | number | Date;
+  }
+
+  /**
+   * Cursor pagination for the query methods
+   */
+  export interface QueryPage {
+    /** Page size (default: 50) */
+    limit?: number;
+    /** Cursor from a previous page */
+    cursor?: string | null;
+  }
+
+  /**
+   * One page of query results
    */
-  export interface Event {
-    /** Event type */
-    type: 'event' | 'notification';
-    /** Source kernel URN */
-    kernel: string;
+  export interface QueryResult<T> {
+    items: T[];
+    /** Cursor for the next page, or null on the last page */
+    nextCursor: string | null;
+  }
+
+  /**
+   * Event subscription filter (all given fields must match)
+   */
+  export interface SubscriptionFilter {
+    /** Kernel URN or name, matched against source and target */
+    kernel?: string;
+    /** Edge predicate */
+    edge?: EdgePredicate;
+    /** Actor URN */
+    actor?: string;
     /** Transaction ID */
-    txId: string;
-    /** Event timestamp */
-    timestamp: string;
-    /** Event payload */
-    data: any;
-    /** Process URN */
-    processUrn?: string;
+    txId?: string;
   }
 
   /**
@@ -171,6 +1211,23 @@ declare module '@conceptkernel/ck-client-js' {
     cacheAge: number | null;
     /** WebSocket connection status */
     websocketConnected: boolean;
+    /** Active transport */
+    transport: TransportName;
+    /** Active gateway URL */
+    gateway: string;
+    /** Health of every configured gateway */
+    gateways: GatewayHealth[];
+    /** NATS connection status */
+    natsConnected: boolean;
+    /** True with the nats transport */
+    directNATS: boolean;
+    /** NATS URL (nats and hybrid transports) */
+    natsUrl: string | null;
+    /** Number of active NATS subscriptions */
+    activeNatsSubscriptions: number;
+    activeJetStreamConsumers: number;
+    /** NATS server info and stats (null without a NATS connection) */
+    nats: NatsStatus | null;
     /** Authentication status */
     authenticated: boolean;
     /** Current actor URN */
@@ -191,6 +1248,81 @@ declare module '@conceptkernel/ck-client-js' {
    */
   export type Unsubscribe = () => void;
 
+  /**
+   * Unsubscribe function of a NATS subject subscription
+   */
+  export type SubjectUnsubscribe = Unsubscribe & { id: string };
+
+  /**
+   * pump() options
+   */
+  export interface PumpOptions {
+    /** Queue group: each message goes to one member of the group */
+    queue?: string;
+    /** Unsubscribe automatically after this many messages */
+    max?: number;
+    /** Messages handled at the same time; handler promises are awaited (default: 1) */
+    concurrency?: number;
+    /** Messages with the same key are handled in arrival order, one at a time */
+    orderBy?: 'txId' | 'kernel' | 'subject' | ((data: any, msg: any) => string | null | undefined);
+    /** Queued and running messages before reading the subscription pauses (default: 1000) */
+    maxPending?: number;
+    /** Retries of a failing handler (default: 0) */
+    retries?: number;
+    /** First retry delay in ms, doubled per attempt (default: 1000) */
+    retryDelay?: number;
+    /** Upper bound for the retry delay in ms (default: 30000) */
+    retryMaxDelay?: number;
+    /** Subject to publish failed messages to, or a callback; without one, failures are logged */
+    deadLetter?: string | ((letter: DeadLetter, msg: any) => void | Promise<void>);
+  }
+
+  /**
+   * A message pump() could not handle
+   */
+  export interface DeadLetter {
+    /** Subscription id */
+    subscription: string;
+    subject: string;
+    /** 'parse': not JSON; 'handler': the handler threw on every attempt */
+    reason: 'parse' | 'handler';
+    error: string;
+    attempts: number;
+    /** Parsed message, or the raw text for parse failures */
+    data: any;
+    receivedAt: number;
+    failedAt: number;
+  }
+
+  /**
+   * NATS subject subscription as listed by listSubscriptions()
+   */
+  export interface SubjectSubscriptionInfo {
+    id: string;
+    subject: string;
+    queue: string | null;
+    max: number | null;
+    createdAt: number;
+    /** Messages received */
+    received: number;
+    /** Messages handled successfully */
+    processed: number;
+    /** Messages that failed to parse, were rejected by validation or failed in the handler */
+    dropped: number;
+    /** Messages whose handler failed on every attempt */
+    failed: number;
+    /** Handler retries */
+    retried: number;
+    deadLettered: number;
+    lastMessageAt: number | null;
+    /** Messages queued or running */
+    pending: number;
+    /** Messages running */
+    active: number;
+    /** How long the oldest queued message has waited, in ms */
+    lag: number;
+  }
+
   /**
    * ConceptKernel client class
    */
@@ -214,15 +1346,99 @@ declare module '@conceptkernel/ck-client-js' {
      * ```
      */
     static connect(
-      gatewayUrl: string,
+      gatewayUrl: string | Array<string | GatewayConfig>,
       options?: ConnectionOptions
     ): Promise<ConceptKernel>;
 
+    /**
+     * Generate a transaction ID matching the envelope schema ({timestampMs}-{8hex})
+     */
+    static generateTxId(): string;
+
+    /**
+     * Render TypeScript declarations from kernel payload schemas (no network)
+     *
+     * @param kernelSchemas - Schemas by kernel name; null marks a kernel without schemas
+     * @returns `.d.ts` source augmenting KernelPayloads
+     */
+    static generateTypes(kernelSchemas: Record<string, KernelSchemas | null>): string;
+
+    /**
+     * Validate an edge envelope against the bundled envelope schema
+     */
+    static validateEnvelope(envelope: any): ValidationResult;
+
+    /**
+     * Mock gateway and in-memory NATS for tests (Node.js only)
+     *
+     * @example
+     * ```typescript
+     * const gateway = await ConceptKernel.testing.createMockGateway().start();
+     * gateway.kernel('UI.Bakery', (payload) => ({ baked: true }));
+     * const ck = await gateway.connect();
+     * ```
+     */
+    static readonly testing: {
+      createMockGateway(options?: MockGatewayOptions): MockGateway;
+      MockGateway: typeof MockGateway;
+      MockNats: typeof MockNats;
+    };
+
+    /**
+     * ckp:// URN parsing, formatting, normalization and resolution
+     *
+     * @example
+     * ```typescript
+     * ConceptKernel.urn.parse('ckp://UI.Bakery:v1#schema/QUERIES/mix').version; // 'v1'
+     * ConceptKernel.urn.normalize('UI.Bakery'); // 'ckp://UI.Bakery'
+     * ```
+     */
+    static readonly urn: {
+      /** urnPattern from the envelope schema */
+      readonly PATTERN: RegExp;
+      parse(urn: string): ParsedUrn;
+      format(urn: { name: string; version?: string | null; fragment?: string | null }): string;
+      normalize(urnOrName: string): string;
+      /** Kernel name without scheme, version or fragment ('ckp://UI.Bakery:v1' -> 'UI.Bakery') */
+      nameOf(urnOrName: string): string;
+      resolve(urnOrName: string, kernels: any[], options?: ResolveKernelOptions): ResolvedKernel;
+    };
+
+    /**
+     * Common edge predicates
+     */
+    static readonly EDGES: {
+      readonly QUERIES: 'QUERIES';
+      readonly RESPONDS: 'RESPONDS';
+      readonly ANNOUNCES: 'ANNOUNCES';
+      readonly TRANSFORMS: 'TRANSFORMS';
+      readonly VALIDATES: 'VALIDATES';
+      readonly PRODUCES: 'PRODUCES';
+      readonly REQUIRES: 'REQUIRES';
+    };
+
     /**
      * Gateway URL
      */
     readonly gatewayUrl: string;
 
+    /**
+     * Configured gateways and their health
+     */
+    readonly gateways: Omit<GatewayHealth, 'active'>[];
+
+    /**
+     * Active transport
+     *
+     * @example
+     * ```typescript
+     * if (ck.transport.supports('subjects')) {
+     *   ck.pump('kernel.UI.Bakery.>', console.log);
+     * }
+     * ```
+     */
+    readonly transport: Transport;
+
     /**
      * Connection options
      */
@@ -233,6 +1449,11 @@ declare module '@conceptkernel/ck-client-js' {
      */
     services: ServiceMap | null;
 
+    /**
+     * Kernels listed in the discovery document
+     */
+    kernels: any[];
+
     /**
      * Last service discovery timestamp
      */
@@ -263,6 +1484,11 @@ declare module '@conceptkernel/ck-client-js' {
      */
     authenticated: boolean;
 
+    /**
+     * Current token expiry (ms since epoch), if the token carries one
+     */
+    tokenExpiresAt: number | null;
+
     /**
      * ConceptKernel version
      */
@@ -284,7 +1510,8 @@ declare module '@conceptkernel/ck-client-js' {
     /**
      * Emit event to a kernel
      *
-     * @param kernelUrn - Kernel URN or simple name (e.g., 'UI.Bakery')
+     * @param kernelUrn - Kernel URN or simple name (e.g., 'UI.Bakery'), resolved with resolveKernel();
+     *   names that are not in URN form (e.g. 'legacy-kernel') are sent unchanged
      * @param payload - Event payload
      * @param options - Emit options
      * @returns Result with txId and processUrn
@@ -298,12 +1525,120 @@ declare module '@conceptkernel/ck-client-js' {
      * await ck.emit('ckp://UI.Bakery:v1', { action: 'bake', temp: 350 });
      * ```
      */
-    emit(
-      kernelUrn: string,
+    emit<K extends TypedKernel, E extends KernelEdge<K> = Extract<'QUERIES', KernelEdge<K>>>(
+      kernelUrn: K,
+      payload: KernelPayload<K, E>,
+      options?: EmitOptions & { edge?: E }
+    ): Promise<EmitResult>;
+    emit<K extends string>(
+      kernelUrn: K extends TypedKernel ? never : K,
       payload: any,
       options?: EmitOptions
     ): Promise<EmitResult>;
 
+    /**
+     * Send a message and wait for the kernel's RESPONDS envelope (matched by txId)
+     *
+     * @param kernelUrn - Kernel URN or simple name
+     * @param payload - Request payload
+     * @param options - Emit options plus timeout
+     * @returns RESPONDS envelope; rejects on timeout or an error envelope
+     *
+     * @example
+     * ```typescript
+     * const response = await ck.request('System.Registry', { action: 'query', type: 'process_list' });
+     * console.log(response.payload.processes);
+     * ```
+     */
+    request<
+      K extends TypedKernel,
+      E extends KernelEdge<K> = Extract<'QUERIES', KernelEdge<K>>,
+      P extends KernelPayload<K, E> = KernelPayload<K, E>
+    >(
+      kernelUrn: K,
+      payload: P,
+      options?: RequestOptions & { edge?: E }
+    ): Promise<Envelope<KernelResponse<K, E, P>>>;
+    request<R = any>(
+      kernelUrn: string,
+      payload: any,
+      options?: RequestOptions
+    ): Promise<Envelope<R>>;
+
+    /**
+     * Follow a transaction's process live
+     *
+     * @param txId - Transaction ID
+     * @param options - Polling interval and timeout
+     * @returns Tracker usable as an async iterator or event emitter
+     *
+     * @example
+     * ```typescript
+     * for await (const update of ck.track(txId)) {
+     *   if (update.type === 'phase') console.log(update.phase.phase);
+     *   else console.log('Done in', update.process.duration, 'ms');
+     * }
+     * ```
+     */
+    track(txId: string, options?: TrackOptions): TransactionTracker;
+
+    /**
+     * Get a proxy for a discovered kernel whose declared functions are methods
+     *
+     * @example
+     * ```typescript
+     * const bakery = ck.kernel('UI.Bakery');
+     * const response = await bakery.mix({ ingredients: ['flour'] });
+     * ```
+     */
+    kernel(kernelUrn: string): KernelProxy;
+
+    /**
+     * Resolve a kernel name or URN to a full, versioned URN using discovery
+     *
+     * @throws AmbiguousUrnError when the name matches several kernels (or unpinned versions)
+     *
+     * @example
+     * ```typescript
+     * ck.resolveKernel('Bakery').urn; // 'ckp://UI.Bakery:v2'
+     * ```
+     */
+    resolveKernel(kernelUrn: string, options?: ResolveKernelOptions): ResolvedKernel;
+
+    /**
+     * Build an edge message envelope
+     *
+     * @param kernelUrn - Target kernel URN or simple name
+     * @param payload - Event payload
+     * @param options - txId, edge and from overrides
+     * @returns Envelope with a schema-valid txId
+     */
+    createEnvelope<P = any>(
+      kernelUrn: string,
+      payload: P,
+      options?: Pick<EmitOptions, 'txId' | 'edge' | 'from'>
+    ): Envelope<P>;
+
+    /**
+     * List emits waiting in the outbox, oldest first
+     */
+    getOutbox(): OutboxEntry[];
+
+    /**
+     * Remove a pending emit from the outbox
+     *
+     * @param txId - Transaction ID of the entry
+     * @returns True if an entry was removed
+     */
+    cancelOutboxEntry(txId: string): Promise<boolean>;
+
+    /**
+     * Replay pending outbox entries in order
+     *
+     * @returns Counts of delivered, dead-lettered and remaining entries
+     */
+    flushOutbox(): Promise<{ delivered: number; deadLettered: number; remaining: number }>;
+
     /**
      * Authenticate with username and password
      *
@@ -319,6 +1654,51 @@ declare module '@conceptkernel/ck-client-js' {
      */
     authenticate(username: string, password: string): Promise<AuthResult>;
 
+    /**
+     * Fetch the OpenID Provider metadata of the discovered `oidc` service
+     */
+    getOidcConfiguration(): Promise<OidcConfiguration>;
+
+    /**
+     * Build an authorization code + PKCE login URL
+     */
+    createAuthorizationUrl(options: OidcAuthorizationOptions): Promise<OidcAuthorizationRequest>;
+
+    /**
+     * Redirect the browser to the OIDC provider (state and verifier kept in sessionStorage)
+     */
+    loginWithRedirect(options: OidcAuthorizationOptions): Promise<void>;
+
+    /**
+     * Complete an authorization code login after the provider redirects back
+     *
+     * @example
+     * ```typescript
+     * if (location.search.includes('code=')) {
+     *   await ck.handleRedirectCallback({ clientId: 'ck-web', redirectUri: location.origin + '/callback' });
+     * }
+     * ```
+     */
+    handleRedirectCallback(options: OidcCallbackOptions): Promise<AuthResult>;
+
+    /**
+     * Log in with the OAuth 2.0 device authorization grant (CLIs, headless devices)
+     *
+     * @example
+     * ```typescript
+     * await ck.loginWithDeviceCode({
+     *   clientId: 'ck-cli',
+     *   onPrompt: ({ verificationUri, userCode }) => console.log(`Visit ${verificationUri} and enter ${userCode}`)
+     * });
+     * ```
+     */
+    loginWithDeviceCode(options: OidcDeviceCodeOptions): Promise<AuthResult>;
+
+    /**
+     * Log in a service account with the client credentials grant
+     */
+    loginWithClientCredentials(options: OidcClientCredentialsOptions): Promise<AuthResult>;
+
     /**
      * Bootstrap a new kernel dynamically
      *
@@ -336,6 +1716,89 @@ declare module '@conceptkernel/ck-client-js' {
      */
     bootstrapKernel(config: KernelBootstrapConfig): Promise<BootstrapResult>;
 
+    /**
+     * List pending items in a kernel's work queue
+     *
+     * @param kernel - Kernel URN or name
+     *
+     * @example
+     * ```typescript
+     * const { queue } = await ck.listQueue('ConceptKernel.LLM.Fabric');
+     * ```
+     */
+    listQueue(kernel: string): Promise<QueueListing>;
+
+    /**
+     * List a kernel's incoming and outgoing edges
+     *
+     * @param kernel - Kernel URN or name
+     */
+    listEdges(kernel: string): Promise<EdgeListing>;
+
+    /**
+     * List processes tracked by System.Registry
+     *
+     * @param kernel - Only processes of this kernel (null for all)
+     * @param options - Filters, pagination and sorting
+     *
+     * @example
+     * ```typescript
+     * const { processes } = await ck.listProcesses('System.Wss', { limit: 20, status: 'failed' });
+     * ```
+     */
+    listProcesses(kernel?: string | null, options?: ListProcessesOptions): Promise<ProcessListing>;
+
+    /**
+     * Resolve any ckp:// URN (including #fragment forms) to its entity
+     *
+     * @example
+     * ```typescript
+     * const result = await ck.queryUrn('ckp://Process#KernelAction-1733445678901-a1b2c3d4');
+     * if (result?.category === 'occurrent') console.log(result.entity.status);
+     * ```
+     */
+    queryUrn(urn: string): Promise<UrnResolution | null>;
+
+    /**
+     * Query processes with filters and cursor pagination
+     */
+    queryProcesses(filters?: QueryFilters, page?: QueryPage): Promise<QueryResult<OccurrentEntity>>;
+
+    /**
+     * Query workflows with filters and cursor pagination
+     */
+    queryWorkflows(filters?: QueryFilters, page?: QueryPage): Promise<QueryResult<WorkflowEntity>>;
+
+    /**
+     * Query improvement processes with filters and cursor pagination
+     */
+    queryImprovements(filters?: QueryFilters, page?: QueryPage): Promise<QueryResult<OccurrentEntity>>;
+
+    /**
+     * Get a kernel's payload schemas from discovery or System.Registry (cached until discovery changes)
+     */
+    getKernelSchemas(kernelUrn: string): Promise<KernelSchemas>;
+
+    /**
+     * Validate a payload against the kernel's schema for its edge and `payload.action`
+     *
+     * @example
+     * ```typescript
+     * const { valid, errors } = await ck.validatePayload('UI.Bakery', { action: 'mix' });
+     * ```
+     */
+    validatePayload(kernelUrn: string, payload: any, options?: { edge?: EdgePredicate }): Promise<PayloadValidationResult>;
+
+    /**
+     * Generate TypeScript declarations that type emit() and request() for discovered kernels
+     *
+     * @example
+     * ```typescript
+     * fs.writeFileSync('ck-kernels.d.ts', await ck.generateTypes());
+     * ```
+     */
+    generateTypes(options?: GenerateTypesOptions): Promise<string>;
+
     /**
      * Register event handler
      *
@@ -359,9 +1822,40 @@ declare module '@conceptkernel/ck-client-js' {
     on(eventType: 'notification', handler: EventHandler<Event>): Unsubscribe;
     on(eventType: 'connected', handler: EventHandler<{ url: string }>): Unsubscribe;
     on(eventType: 'authenticated', handler: EventHandler<{ actor: string; roles: string[] }>): Unsubscribe;
-    on(eventType: 'disconnected', handler: EventHandler<{}>): Unsubscribe;
+    on(eventType: 'disconnected', handler: EventHandler<{ type?: 'nats'; server?: string }>): Unsubscribe;
+    on(eventType: 'nats_ldm', handler: EventHandler<{ server: string }>): Unsubscribe;
+    on(eventType: 'nats_update', handler: EventHandler<{ added: string[]; deleted: string[] }>): Unsubscribe;
+    on(eventType: 'reconnecting', handler: EventHandler<{ attempt: number; delay: number }>): Unsubscribe;
+    on(eventType: 'reconnected', handler: EventHandler<{ attempt: number; authenticated: boolean; actor: string | null }>): Unsubscribe;
+    on(eventType: 'token_expiring', handler: EventHandler<{ actor: string | null; expiresAt: number }>): Unsubscribe;
+    on(eventType: 'token_expired', handler: EventHandler<{ actor: string | null; expiresAt: number }>): Unsubscribe;
+    on(eventType: 'discovered', handler: EventHandler<{ services: string[]; kernels: number; notModified: boolean }>): Unsubscribe;
+    on(eventType: 'service_added' | 'service_removed', handler: EventHandler<{ name: string; service: Service }>): Unsubscribe;
+    on(eventType: 'kernel_added' | 'kernel_removed', handler: EventHandler<{ urn: string; kernel: any }>): Unsubscribe;
+    on(eventType: 'kernel_mode_changed', handler: EventHandler<{ urn: string; kernel: any; from: string; to: string }>): Unsubscribe;
+    on(eventType: 'gateway_switched', handler: EventHandler<{ from: string; to: string; reason: 'emit' | 'websocket' | 'health_check' }>): Unsubscribe;
+    on(eventType: 'outbox_queued', handler: EventHandler<{ entry: OutboxEntry }>): Unsubscribe;
+    on(eventType: 'outbox_delivered', handler: EventHandler<{ entry: OutboxEntry; result: EmitResult }>): Unsubscribe;
+    on(eventType: 'outbox_dead_letter', handler: EventHandler<{ entry: OutboxEntry; error: Error }>): Unsubscribe;
+    on(eventType: 'reconnect_failed', handler: EventHandler<{ attempts: number }>): Unsubscribe;
     on(eventType: 'error', handler: EventHandler<{ message: string; error?: any; context?: string }>): Unsubscribe;
 
+    /**
+     * Subscribe to events matching a filter (sent to System.Wss and applied locally)
+     *
+     * @param filter - Any combination of kernel, edge, actor and txId
+     * @param handler - Called with each matching event
+     * @returns Unsubscribe function
+     *
+     * @example
+     * ```typescript
+     * const unsubscribe = ck.subscribe({ kernel: 'UI.Bakery', edge: 'ANNOUNCES' }, (event) => {
+     *   console.log(event.data);
+     * });
+     * ```
+     */
+    subscribe(filter: SubscriptionFilter, handler: EventHandler<Event>): Unsubscribe;
+
     /**
      * Get service by name
      *
@@ -392,6 +1886,59 @@ declare module '@conceptkernel/ck-client-js' {
      */
     getStatus(): ConnectionStatus;
 
+    /**
+     * List registered kernels (nats and hybrid transports)
+     */
+    getKernels(): Promise<any[]>;
+
+    /**
+     * List registered edges (nats and hybrid transports)
+     */
+    getEdges(): Promise<any[]>;
+
+    /**
+     * Listen for kernel announcements (nats and hybrid transports)
+     */
+    subscribeKernels(callback: EventHandler): Unsubscribe;
+
+    /**
+     * Listen for edge announcements (nats and hybrid transports)
+     */
+    subscribeEdges(callback: EventHandler): Unsubscribe;
+
+    /**
+     * Subscribe to a raw NATS subject (nats and hybrid transports); each call is
+     * a separate subscription, identified by the returned function's `id`
+     */
+    pump(subject: string, handler: (data: any, msg: any) => void | Promise<void>, options?: PumpOptions): SubjectUnsubscribe;
+
+    /**
+     * Active NATS subject subscriptions with their stats
+     */
+    listSubscriptions(): SubjectSubscriptionInfo[];
+
+    /**
+     * Consume a subject through JetStream, with durable position and explicit acks (nats and hybrid transports)
+     *
+     * @example
+     * ```typescript
+     * const consumer = await ck.consume('kernel.UI.Bakery.>', async (event, msg) => {
+     *   await render(event);
+     * }, { durable: 'bakery-dashboard' });
+     * ```
+     */
+    consume<T = any>(subject: string, handler: JetStreamHandler<T> | null, options?: ConsumeOptions): Promise<JetStreamConsumer>;
+
+    /**
+     * Open a JetStream key-value bucket for reading (nats and hybrid transports)
+     */
+    kv(bucket: string): Promise<KvBucket>;
+
+    /**
+     * Publish to a raw NATS subject (nats and hybrid transports)
+     */
+    publishToSubject(subject: string, data: any): void;
+
     /**
      * Disconnect WebSocket
      */
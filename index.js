@@ -40,11 +40,116 @@
  * ```
  */
 
-console.log('[CK Client Library] Loading ConceptKernel client library with verbose logging...');
+// Log levels, ordered from quietest to noisiest
+const LOG_LEVELS = { silent: 0, error: 1, warn: 2, info: 3, debug: 4, trace: 5 };
+
+// Keys whose values are always masked in log output (compared case-insensitively)
+const REDACTED_KEYS = [
+  'token', 'current_token', 'access_token', 'refresh_token', 'id_token',
+  'password', 'secret', 'client_secret', 'authorization', 'credentials',
+  'pass', 'nkeySeed', 'jwt', 'creds'
+];
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Mask secrets in a value before it is logged.
+ * Walks objects and arrays, masking values of sensitive keys, bearer
+ * headers and anything that looks like a JWT.
+ * @private
+ */
+function redact(value, keys, depth = 0) {
+  if (value === null || value === undefined) return value;
+
+  if (typeof value === 'string') {
+    if (/^Bearer\s+/i.test(value)) return `Bearer ${REDACTED}`;
+    if (/^eyJ[\w-]+\.[\w-]+\.[\w-]*$/.test(value)) return REDACTED;
+    return value;
+  }
+
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message };
+  }
+
+  if (typeof value !== 'object') return value;
+  if (depth > 8) return '[Truncated]';
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, keys, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = keys.has(key.toLowerCase()) ? REDACTED : redact(item, keys, depth + 1);
+  }
+  return result;
+}
+
+/**
+ * Create a level-aware logger
+ *
+ * @param {string|Object|Function} [config] - Level name, sink function or config object
+ * @param {string} [config.level='silent'] - silent, error, warn, info, debug or trace
+ * @param {string|Function} [config.sink='console'] - 'console', 'json' (JSON lines) or
+ *   a function receiving (level, message, fields)
+ * @param {string[]} [config.redact] - Extra payload field names to mask
+ * @returns {Object} Logger with error/warn/info/debug/trace methods
+ * @private
+ */
+function createLogger(config = {}) {
+  if (typeof config === 'string') {
+    config = { level: config };
+  } else if (typeof config === 'function') {
+    config = { level: 'info', sink: config };
+  }
+
+  const level = config.level || 'silent';
+  if (LOG_LEVELS[level] === undefined) {
+    throw new Error(`Unknown log level: ${level} (expected one of ${Object.keys(LOG_LEVELS).join(', ')})`);
+  }
+
+  const threshold = LOG_LEVELS[level];
+  const keys = new Set(REDACTED_KEYS.concat(config.redact || []).map(k => k.toLowerCase()));
+  const sink = config.sink || 'console';
+
+  const write = (lvl, message, fields) => {
+    if (LOG_LEVELS[lvl] > threshold) return;
+
+    const safeFields = fields === undefined ? undefined : redact(fields, keys);
+
+    if (typeof sink === 'function') {
+      sink(lvl, message, safeFields);
+    } else if (sink === 'json') {
+      const line = JSON.stringify({ time: new Date().toISOString(), level: lvl, msg: message, ...(safeFields !== undefined && { fields: safeFields }) });
+      if (typeof process !== 'undefined' && process.stderr && process.stderr.write) {
+        process.stderr.write(line + '\n');
+      } else {
+        console.log(line);
+      }
+    } else {
+      const method = lvl === 'error' ? 'error' : lvl === 'warn' ? 'warn' : 'log';
+      if (safeFields === undefined) {
+        console[method](`[CK Client] ${message}`);
+      } else {
+        console[method](`[CK Client] ${message}`, safeFields);
+      }
+    }
+  };
+
+  return {
+    level,
+    isEnabled: (lvl) => LOG_LEVELS[lvl] <= threshold,
+    error: (message, fields) => write('error', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    debug: (message, fields) => write('debug', message, fields),
+    trace: (message, fields) => write('trace', message, fields)
+  };
+}
 
 // Lazy-load NATS client only when needed
 let natsModule = null;
-async function getNatsModule() {
+async function getNatsModule(log) {
   if (!natsModule) {
     try {
       // Browser environment - load from CDN
@@ -52,16 +157,16 @@ async function getNatsModule() {
         // Check if already loaded globally
         if (typeof window.nats !== 'undefined') {
           natsModule = window.nats;
-          console.log('[CK Client] Using existing NATS from window.nats');
+          log.debug('Using existing NATS from window.nats');
         } else {
           // Dynamically load nats.ws from CDN
-          console.log('[CK Client] Loading NATS WebSocket library from CDN...');
+          log.debug('Loading NATS WebSocket library from CDN...');
           await new Promise((resolve, reject) => {
             const script = document.createElement('script');
             script.src = 'https://cdn.jsdelivr.net/npm/nats.ws@1.30.3/+esm';
             script.type = 'module';
             script.onload = () => {
-              console.log('[CK Client] NATS WebSocket library loaded from CDN');
+              log.debug('NATS WebSocket library loaded from CDN');
               resolve();
             };
             script.onerror = () => reject(new Error('Failed to load NATS from CDN'));
@@ -71,848 +176,5312 @@ async function getNatsModule() {
           // Import the module
           const natsImport = await import('https://cdn.jsdelivr.net/npm/nats.ws@1.30.3/+esm');
           natsModule = natsImport;
-          console.log('[CK Client] NATS module imported successfully');
+          log.debug('NATS module imported successfully');
         }
       } else {
         // Node.js environment
         natsModule = await import('nats.ws');
       }
     } catch (err) {
-      console.error('[CK Client] Failed to load NATS module:', err);
+      log.error('Failed to load NATS module', { error: err });
       throw new Error('NATS WebSocket client not available. In Node.js: npm install nats.ws. In browser: CDN failed to load.');
     }
   }
   return natsModule;
 }
 
-class ConceptKernel {
-  /**
-   * Connect to ConceptKernel gateway with auto-discovery
-   *
-   * @param {string} gatewayUrl - Gateway URL (e.g., 'http://localhost:56000' for local discovery)
-   * @param {Object} [options] - Connection options
-   * @param {boolean} [options.autoConnect=true] - Auto-connect WebSocket
-   * @param {Object} [options.auth] - Authentication credentials
-   * @param {string} [options.auth.username] - Username
-   * @param {string} [options.auth.password] - Password
-   * @param {number} [options.cacheTimeout=60000] - Service discovery cache timeout (ms)
-   * @param {boolean} [options.reconnect=true] - Auto-reconnect WebSocket on disconnect
-   * @param {number} [options.reconnectDelay=3000] - Reconnect delay (ms)
-   * @param {boolean} [options.directNATS=false] - Use direct NATS connection instead of HTTP gateway
-   * @param {string} [options.natsUrl='ws://127.0.0.1:8080'] - NATS WebSocket URL (only when directNATS=true)
-   * @returns {Promise<ConceptKernel>} Connected client instance
-   *
-   * @example
-   * ```javascript
-   * // Connect to local discovery port (HTTP gateway)
-   * const ck = await ConceptKernel.connect('http://localhost:56000');
-   *
-   * // Connect with authentication
-   * const ck = await ConceptKernel.connect('http://localhost:56000', {
-   *   auth: { username: 'alice', password: 'secret123' }
-   * });
-   *
-   * // Connect directly to NATS (bypassing HTTP gateway)
-   * const ck = await ConceptKernel.connect('http://localhost:56000', {
-   *   directNATS: true,
-   *   natsUrl: 'ws://127.0.0.1:8080'
-   * });
-   *
-   * // Connect to remote gateway
-   * const ck = await ConceptKernel.connect('https://gateway.example.com', {
-   *   autoConnect: false
-   * });
-   * ```
-   */
-  static async connect(gatewayUrl, options = {}) {
-    if (!gatewayUrl) {
-      throw new Error('gatewayUrl is required (e.g., "http://localhost:56000" for local discovery)');
-    }
-    console.log('[CK Client] Connecting to gateway:', gatewayUrl);
-    console.log('[CK Client] Options:', options);
+/**
+ * Generate a transaction ID in the envelope schema format: {timestampMs}-{8hex}
+ * @private
+ */
+function generateTxId() {
+  let hex = '';
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    const bytes = crypto.getRandomValues(new Uint8Array(4));
+    bytes.forEach(b => { hex += b.toString(16).padStart(2, '0'); });
+  } else {
+    hex = Math.floor(Math.random() * 0x100000000).toString(16).padStart(8, '0');
+  }
+  return `${Date.now()}-${hex}`;
+}
 
-    const client = new ConceptKernel(gatewayUrl, options);
+// BFO predicate and URN formats from schemas/envelope.payload.v1.3.18.schema.json
+const PREDICATE_PATTERN = /^[A-Z][A-Z0-9]*(_[A-Z][A-Z0-9]*)*$/;
+const KERNEL_URN_PATTERN = /^ckp:\/\/[A-Z][a-zA-Z0-9]*(\.[A-Z][a-zA-Z0-9]*)*(:[a-zA-Z0-9.-]+)?$/;
+
+// Common edge predicates
+const EDGES = Object.freeze({
+  QUERIES: 'QUERIES',
+  RESPONDS: 'RESPONDS',
+  ANNOUNCES: 'ANNOUNCES',
+  TRANSFORMS: 'TRANSFORMS',
+  VALIDATES: 'VALIDATES',
+  PRODUCES: 'PRODUCES',
+  REQUIRES: 'REQUIRES'
+});
+
+/**
+ * Map an authenticated actor to an envelope `from` URN.
+ * Actors such as ckp://System.Oidc.User#alice become ckp://Agent.Alice,
+ * since the envelope `from` field does not allow fragments.
+ * @private
+ */
+function actorToAgentUrn(actor) {
+  if (actor && KERNEL_URN_PATTERN.test(actor)) {
+    return actor;
+  }
+
+  const name = actor ? actor.split(/[#/:.]/).filter(Boolean).pop() : '';
+  const words = (name || 'anonymous').split(/[^a-zA-Z0-9]+/).filter(Boolean);
+  const agent = words.map(w => w.charAt(0).toUpperCase() + w.slice(1)).join('');
+  return `ckp://Agent.${/^[A-Z]/.test(agent) ? agent : 'Anonymous'}`;
+}
+
+/**
+ * Error raised when a message does not match its JSON Schema.
+ * `errors` lists each failure with a JSON pointer to the offending field.
+ */
+class EnvelopeValidationError extends Error {
+  constructor(message, errors) {
+    super(message);
+    this.name = 'EnvelopeValidationError';
+    this.errors = errors;
+  }
+}
 
-    // If directNATS mode, connect to NATS instead of HTTP gateway
-    if (options.directNATS) {
-      console.log('[CK Client] Direct NATS mode enabled, connecting to:', options.natsUrl || 'ws://127.0.0.1:8080');
-      await client._connectNATS();
-      console.log('[CK Client] NATS connection complete!');
-      return client;
+/**
+ * Error raised when an emit payload does not match the target kernel's
+ * `ckp://{Kernel}#schema/{edge}/{action}` schema (validatePayloads: 'strict').
+ */
+class PayloadValidationError extends EnvelopeValidationError {
+  constructor(message, errors, schema) {
+    super(message, errors);
+    this.name = 'PayloadValidationError';
+    this.schema = schema;
+  }
+}
+
+// Structural core of schemas/envelope.payload.v1.3.18.schema.json, used where
+// the bundled file cannot be required (browsers loading index.js directly)
+const EMBEDDED_ENVELOPE_SCHEMA = {
+  type: 'object',
+  required: ['txId', 'edge', 'from', 'to', 'payload'],
+  properties: {
+    txId: { type: 'string', pattern: '^[0-9]{13,}-[a-f0-9]{8}$' },
+    edge: { type: 'string', pattern: '^[A-Z][A-Z0-9]*(_[A-Z][A-Z0-9]*)*$' },
+    from: { type: 'string', pattern: '^ckp://[A-Z][a-zA-Z0-9]*(\\.[A-Z][a-zA-Z0-9]*)*(:[a-zA-Z0-9.-]+)?$' },
+    to: { type: 'string', pattern: '^ckp://[A-Z][a-zA-Z0-9]*(\\.[A-Z][a-zA-Z0-9]*)*(:[a-zA-Z0-9.-]+)?$' },
+    payload: { type: 'object', additionalProperties: true }
+  },
+  additionalProperties: false
+};
+
+let envelopeSchema = null;
+function getEnvelopeSchema() {
+  if (!envelopeSchema) {
+    try {
+      envelopeSchema = require('./schemas/envelope.payload.v1.3.18.schema.json');
+    } catch (err) {
+      envelopeSchema = EMBEDDED_ENVELOPE_SCHEMA;
     }
+  }
+  return envelopeSchema;
+}
 
-    console.log('[CK Client] Starting service discovery...');
-    await client.discover();
-    console.log('[CK Client] Service discovery complete. Services:', client.getAvailableServices());
+/**
+ * Check a value against a JSON Schema type name
+ * @private
+ */
+function matchesType(type, value) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && !isNaN(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
 
-    if (options.autoConnect !== false && client.hasService('websocket')) {
-      console.log('[CK Client] Auto-connecting WebSocket...');
-      await client._connectWebSocket();
+/**
+ * Validate a value against the draft-07 subset used by the bundled schemas:
+ * $ref (local), type, enum, const, string/number/array bounds, pattern,
+ * required, properties, additionalProperties, items, allOf, anyOf, oneOf.
+ *
+ * @returns {Object[]} Errors as { pointer, keyword, message }
+ * @private
+ */
+function validateSchema(schema, value, root = schema, pointer = '', errors = []) {
+  if (schema === true || schema === undefined) return errors;
+  if (schema === false) {
+    errors.push({ pointer, keyword: 'false schema', message: 'is not allowed' });
+    return errors;
+  }
 
-      // Authenticate if credentials provided
-      if (options.auth) {
-        console.log('[CK Client] Authenticating with provided credentials...');
-        await client.authenticate(options.auth.username, options.auth.password);
-      }
-    } else {
-      console.log('[CK Client] Skipping WebSocket connection (autoConnect=false or no websocket service)');
+  const fail = (keyword, message) => errors.push({ pointer: pointer || '/', keyword, message });
+
+  if (schema.$ref) {
+    if (!schema.$ref.startsWith('#')) {
+      throw new Error(`Unsupported schema reference: ${schema.$ref}`);
     }
+    const target = schema.$ref.slice(1).split('/').filter(Boolean)
+      .reduce((node, part) => node && node[part.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+    return validateSchema(target, value, root, pointer, errors);
+  }
 
-    console.log('[CK Client] Connection complete!');
-    return client;
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(type, value))) {
+      fail('type', `must be ${types.join(' or ')}`);
+      return errors;
+    }
   }
 
-  /**
-   * Create a new ConceptKernel client (use .connect() instead)
-   * @private
-   */
-  constructor(gatewayUrl, options = {}) {
-    this.gatewayUrl = gatewayUrl;
-    this.options = {
-      cacheTimeout: 60000,
-      reconnect: true,
-      reconnectDelay: 3000,
-      natsUrl: 'ws://127.0.0.1:8080',
-      directNATS: false,
-      ...options
-    };
+  if (schema.enum && !schema.enum.some(item => JSON.stringify(item) === JSON.stringify(value))) {
+    fail('enum', `must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+  }
 
-    this.services = null;
-    this.lastDiscovery = null;
-    this.websocket = null;
-    this.token = null;
-    this.actor = null;
-    this.roles = [];
-    this.authenticated = false;
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    fail('const', `must equal ${JSON.stringify(schema.const)}`);
+  }
 
-    // NATS connection (when directNATS=true)
-    this.natsConnection = null;
-    this.natsSubscriptions = new Map();
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail('minLength', `must have at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail('maxLength', `must have at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail('pattern', `must match pattern ${schema.pattern}`);
+  }
 
-    // Event handlers
-    this._eventHandlers = {
-      event: [],
-      notification: [],
-      connected: [],
-      authenticated: [],
-      disconnected: [],
-      error: []
-    };
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `must be <= ${schema.maximum}`);
   }
 
-  /**
-   * Discover available services from gateway
-   * @returns {Promise<Object>} Service map
-   */
-  async discover(forceRefresh = false) {
-    console.log('[CK Client] discover() called, forceRefresh:', forceRefresh);
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail('minItems', `must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail('maxItems', `must have at most ${schema.maxItems} items`);
+    if (schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)) {
+      value.forEach((item, i) => validateSchema(schema.items, item, root, `${pointer}/${i}`, errors));
+    }
+  }
 
-    // Return cached services if still valid
-    if (!forceRefresh && this.services && this.lastDiscovery) {
-      const age = Date.now() - this.lastDiscovery;
-      if (age < this.options.cacheTimeout) {
-        console.log('[CK Client] Using cached services (age:', age, 'ms)');
-        return this.services;
+  if (matchesType('object', value)) {
+    const properties = schema.properties || {};
+    const escape = key => key.replace(/~/g, '~0').replace(/\//g, '~1');
+
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ pointer: `${pointer}/${escape(key)}`, keyword: 'required', message: 'is required' });
       }
     }
 
-    const url = `${this.gatewayUrl}/.well-known/ck-services`;
-    console.log('[CK Client] Fetching service discovery:', url);
+    for (const [key, item] of Object.entries(value)) {
+      const childPointer = `${pointer}/${escape(key)}`;
+      if (properties[key] !== undefined) {
+        validateSchema(properties[key], item, root, childPointer, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ pointer: childPointer, keyword: 'additionalProperties', message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateSchema(schema.additionalProperties, item, root, childPointer, errors);
+      }
+    }
+  }
 
-    try {
-      const response = await this._fetch(url);
-      console.log('[CK Client] Service discovery response status:', response.status, response.statusText);
+  if (schema.allOf) {
+    schema.allOf.forEach(sub => validateSchema(sub, value, root, pointer, errors));
+  }
 
-      if (!response.ok) {
-        console.error('[CK Client] Service discovery failed:', response.status, response.statusText);
-        throw new Error(`Service discovery failed: ${response.status} ${response.statusText}`);
-      }
+  if (schema.anyOf && !schema.anyOf.some(sub => validateSchema(sub, value, root, pointer).length === 0)) {
+    fail('anyOf', 'must match at least one schema in anyOf');
+  }
 
-      const data = await response.json();
-      console.log('[CK Client] Service discovery data:', data);
+  if (schema.oneOf && schema.oneOf.filter(sub => validateSchema(sub, value, root, pointer).length === 0).length !== 1) {
+    fail('oneOf', 'must match exactly one schema in oneOf');
+  }
 
-      this.services = data.services || {};
-      this.lastDiscovery = Date.now();
-      this.ckVersion = data.ck_version;
-      this.domain = data.domain;
+  return errors;
+}
 
-      console.log('[CK Client] Discovered services:', Object.keys(this.services));
-      this._emit('discovered', { services: Object.keys(this.services) });
+/**
+ * Validate an edge envelope against the bundled envelope schema
+ * @returns {{ valid: boolean, errors: Object[] }}
+ * @private
+ */
+function validateEnvelope(envelope) {
+  const errors = validateSchema(getEnvelopeSchema(), envelope);
+  return { valid: errors.length === 0, errors };
+}
 
-      return this.services;
-    } catch (error) {
-      console.error('[CK Client] Service discovery error:', error);
-      throw error;
-    }
+/**
+ * Throw an EnvelopeValidationError listing every failure
+ * @private
+ */
+function assertValidEnvelope(envelope, direction) {
+  const { valid, errors } = validateEnvelope(envelope);
+  if (!valid) {
+    const details = errors.map(e => `${e.pointer} ${e.message}`).join('; ');
+    throw new EnvelopeValidationError(`Invalid ${direction} envelope: ${details}`, errors);
   }
+}
 
-  /**
-   * Emit event to a kernel
-   *
-   * @param {string} kernelUrn - Kernel URN or simple name (e.g., 'UI.Bakery' or 'ckp://UI.Bakery:v1')
-   * @param {Object} payload - Event payload
-   * @param {Object} [options] - Emit options
-   * @param {string} [options.txId] - Transaction ID (auto-generated if not provided)
-   * @returns {Promise<Object>} Result with txId and processUrn
-   *
-   * @example
-   * ```javascript
-   * // Simple emit
-   * await ck.emit('UI.Bakery', { action: 'mix' });
-   *
-   * // With full URN
-   * await ck.emit('ckp://UI.Bakery:v1', { action: 'bake', temp: 350 });
-   *
-   * // Get transaction ID
-   * const result = await ck.emit('UI.Bakery', { action: 'mix' });
-   * console.log('Transaction:', result.txId);
-   * ```
-   */
-  async emit(kernelUrn, payload, options = {}) {
-    console.log('[CK Client] emit() called - Kernel:', kernelUrn, 'Payload:', payload);
+/**
+ * Strip the ckp:// scheme, version and fragment from a kernel URN
+ * @private
+ */
+function kernelNameOf(urn) {
+  return String(urn).replace(/^ckp:\/\//, '').split(/[:#]/)[0];
+}
 
-    const gatewayService = this.getService('gateway');
-    console.log('[CK Client] Gateway service:', gatewayService);
+// Kernel URN with optional fragment (urnPattern in the envelope schema)
+const URN_PATTERN = /^ckp:\/\/([A-Z][a-zA-Z0-9]*(?:\.[A-Z][a-zA-Z0-9]*)*)(?::([a-zA-Z0-9.-]+))?(?:#([a-zA-Z0-9/_-]+))?$/;
 
-    if (!gatewayService) {
-      console.error('[CK Client] Gateway service not available!');
-      throw new Error('Gateway service not available');
-    }
+const VERSION_POLICIES = ['latest', 'pinned'];
 
-    const emitUrl = gatewayService.endpoints.emit || gatewayService.endpoints.http;
-    console.log('[CK Client] Emit URL:', emitUrl);
+/**
+ * Error raised when a kernel name matches several discovered kernels (or, with
+ * the 'pinned' policy, several versions). `candidates` lists the matching URNs.
+ */
+class AmbiguousUrnError extends Error {
+  constructor(message, urn, candidates) {
+    super(message);
+    this.name = 'AmbiguousUrnError';
+    this.code = 'ERR_URN_AMBIGUOUS';
+    this.urn = urn;
+    this.candidates = candidates;
+  }
+}
 
-    if (!emitUrl) {
-      console.error('[CK Client] Gateway emit endpoint not found!');
-      throw new Error('Gateway emit endpoint not found');
+/**
+ * Split a `ckp://Name.Parts:version#fragment` URN
+ * @returns {Object} { name, parts, version, fragment } (version and fragment null when absent)
+ */
+function parseUrn(urn) {
+  const match = URN_PATTERN.exec(urn);
+  if (!match) {
+    throw new Error(`Invalid URN: ${urn} (expected ckp://Name.Parts[:version][#fragment])`);
+  }
+  return { name: match[1], parts: match[1].split('.'), version: match[2] || null, fragment: match[3] || null };
+}
+
+/**
+ * Build a URN from { name, version, fragment }
+ * @returns {string} URN
+ */
+function formatUrn({ name, version, fragment }) {
+  const urn = `ckp://${name}${version ? `:${version}` : ''}${fragment ? `#${fragment}` : ''}`;
+  parseUrn(urn);
+  return urn;
+}
+
+/**
+ * Full URN for a short name ('UI.Bakery' -> 'ckp://UI.Bakery'); versions and fragments are kept
+ * @returns {string} URN
+ */
+function normalizeUrn(urn) {
+  const value = String(urn).trim();
+  const full = value.startsWith('ckp://') ? value : `ckp://${value}`;
+  if (!URN_PATTERN.test(full)) {
+    throw new Error(`Invalid kernel URN or name: ${urn} (expected [ckp://]Name.Parts[:version][#fragment])`);
+  }
+  return full;
+}
+
+/**
+ * Order two kernel versions ('v1.10' after 'v1.9'); missing versions sort first
+ * @private
+ */
+function compareVersions(a, b) {
+  if (!a || !b) return (a ? 1 : 0) - (b ? 1 : 0);
+  return a.replace(/^v/i, '').localeCompare(b.replace(/^v/i, ''), 'en', { numeric: true });
+}
+
+/**
+ * Resolve a kernel name or URN against discovered kernels
+ *
+ * Short names match whole trailing name segments ('Bakery' matches UI.Bakery,
+ * not UI.BakeryAdmin). Without a version in the URN, the policy picks one:
+ * 'latest' (highest discovered version) or 'pinned' (the version in `pins`;
+ * an error when several versions are discovered and none is pinned).
+ *
+ * @param {string} urn - Kernel URN or name
+ * @param {Object[]} kernels - Discovery kernel entries
+ * @param {Object} [options]
+ * @param {string} [options.policy='latest'] - 'latest' or 'pinned'
+ * @param {Object} [options.pins] - Versions by kernel name ({ 'UI.Bakery': 'v1' })
+ * @returns {Object} { urn, kernel } - kernel is the discovery entry, or null when not discovered
+ */
+function resolveKernelUrn(urn, kernels, options = {}) {
+  const requested = parseUrn(normalizeUrn(urn));
+
+  const discovered = [];
+  (kernels || []).forEach(kernel => {
+    try {
+      const parsed = parseUrn(normalizeUrn(kernel.urn || kernel.name));
+      discovered.push({ ...parsed, version: parsed.version || kernel.version || null, kernel });
+    } catch (err) {
+      // Not a kernel URN; cannot be addressed by name
     }
+  });
 
-    const headers = {
-      'Content-Type': 'application/json',
-      'X-CK-Kernel': kernelUrn
-    };
+  const exact = discovered.filter(entry => entry.name === requested.name);
+  const matches = exact.length > 0 ? exact : discovered.filter(entry => entry.name.endsWith(`.${requested.name}`));
+  const candidates = matches.map(entry => formatUrn({ name: entry.name, version: entry.version }));
+  const names = [...new Set(matches.map(entry => entry.name))];
+
+  if (names.length > 1) {
+    throw new AmbiguousUrnError(`Ambiguous kernel name ${urn}: matches ${candidates.join(', ')}`, urn, candidates);
+  }
+  if (names.length === 0) {
+    return { urn: formatUrn(requested), kernel: null };
+  }
+
+  const name = names[0];
+  const fragment = requested.fragment;
+  const version = requested.version || (options.pins && options.pins[name]) || null;
+
+  if (version) {
+    const match = matches.find(entry => entry.version === version);
+    return { urn: formatUrn({ name, version, fragment }), kernel: match ? match.kernel : null };
+  }
+
+  if (matches.length > 1 && options.policy === 'pinned') {
+    throw new AmbiguousUrnError(
+      `Kernel ${urn} has ${matches.length} versions and none is pinned: ${candidates.join(', ')}`, urn, candidates
+    );
+  }
+
+  const chosen = matches.slice().sort((a, b) => compareVersions(b.version, a.version))[0];
+  return { urn: formatUrn({ name, version: chosen.version, fragment }), kernel: chosen.kernel };
+}
+
+/**
+ * Check an incoming event against a subscribe() filter
+ * @private
+ */
+function matchesSubscription(filter, event) {
+  const envelope = extractEnvelope(event) || {};
+  const data = (event.data && typeof event.data === 'object') ? event.data : {};
+
+  if (filter.txId && (envelope.txId || event.txId) !== filter.txId) return false;
+  if (filter.edge && (envelope.edge || event.edge) !== filter.edge) return false;
+
+  if (filter.kernel) {
+    const wanted = kernelNameOf(filter.kernel);
+    const kernels = [event.kernel, envelope.from, envelope.to].filter(Boolean).map(kernelNameOf);
+    if (!kernels.includes(wanted)) return false;
+  }
+
+  if (filter.actor) {
+    const actors = [event.actor, data.actor, envelope.from].filter(Boolean);
+    if (!actors.includes(filter.actor)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Find the edge envelope in an incoming event message.
+ * Gateways either flatten the envelope into the event or nest it under `data`.
+ * @private
+ */
+function extractEnvelope(message) {
+  if (!message || typeof message !== 'object') return null;
+  if (message.edge && message.txId) return message;
+  if (message.data && typeof message.data === 'object' && message.data.edge && message.data.txId) return message.data;
+  return null;
+}
+
+/**
+ * Give a message read from a NATS kernel subject the WebSocket event shape
+ * ({ type: 'event', kernel, data, timestamp }), so handlers see one shape on
+ * every transport
+ * @private
+ */
+function toEventMessage(data, subject) {
+  const envelope = extractEnvelope(data);
+  // kernel.{Name}.{suffix}, where the name itself contains dots
+  const kernel = envelope && envelope.from
+    ? kernelNameOf(envelope.from)
+    : subject.slice('kernel.'.length, subject.lastIndexOf('.'));
+  return { type: 'event', kernel, data, timestamp: new Date().toISOString() };
+}
+
+/**
+ * Whether a failed emit should be kept for replay rather than surfaced.
+ * Network failures and missing gateways are retryable; of HTTP errors only
+ * 408, 429 and 5xx are.
+ * @private
+ */
+function isRetryableEmitError(err) {
+  if (err.status === undefined) return true;
+  return err.status === 408 || err.status === 429 || err.status >= 500;
+}
+
+/**
+ * In-memory outbox store (lost on restart)
+ * @private
+ */
+function createMemoryOutboxStore() {
+  const entries = new Map();
+  return {
+    async load() { return Array.from(entries.values()); },
+    async put(entry) { entries.set(entry.txId, entry); },
+    async remove(txId) { entries.delete(txId); }
+  };
+}
+
+/**
+ * IndexedDB outbox store for browsers
+ * @private
+ */
+function createIndexedDbOutboxStore(dbName = 'ck-client-outbox') {
+  let dbPromise = null;
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore('entries', { keyPath: 'txId' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+  const run = async (mode, fn) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('entries', mode);
+      const request = fn(tx.objectStore('entries'));
+      tx.oncomplete = () => resolve(request && request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  };
+  return {
+    load: () => run('readonly', store => store.getAll()),
+    put: (entry) => run('readwrite', store => store.put(entry)),
+    remove: (txId) => run('readwrite', store => store.delete(txId))
+  };
+}
+
+/**
+ * File-backed outbox journal for Node.js.
+ * Appends one JSON line per put/remove and compacts the journal on load.
+ * @private
+ */
+function createFileOutboxStore(filePath = '.ck-outbox.jsonl') {
+  const fs = require('fs').promises;
+  const append = (record) => fs.appendFile(filePath, JSON.stringify(record) + '\n', 'utf8');
+  return {
+    async load() {
+      let text = '';
+      try {
+        text = await fs.readFile(filePath, 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+
+      const entries = new Map();
+      for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const record = JSON.parse(line);
+          if (record.op === 'put') entries.set(record.entry.txId, record.entry);
+          else if (record.op === 'remove') entries.delete(record.txId);
+        } catch (err) {
+          // Torn write from a crash; skip the partial line
+        }
+      }
+
+      const compacted = Array.from(entries.values())
+        .map(entry => JSON.stringify({ op: 'put', entry }) + '\n')
+        .join('');
+      await fs.writeFile(filePath, compacted, 'utf8');
+      return Array.from(entries.values());
+    },
+    put: (entry) => append({ op: 'put', entry }),
+    remove: (txId) => append({ op: 'remove', txId })
+  };
+}
+
+/**
+ * Pick an outbox store from the `outbox.storage` option
+ * @private
+ */
+function createOutboxStore(config) {
+  const storage = config.storage || 'auto';
+
+  if (typeof storage === 'object') return storage;
+  if (storage === 'memory') return createMemoryOutboxStore();
+  if (storage === 'indexeddb') return createIndexedDbOutboxStore(config.name);
+  if (storage === 'file') return createFileOutboxStore(config.path);
+
+  if (storage === 'auto') {
+    if (typeof indexedDB !== 'undefined') return createIndexedDbOutboxStore(config.name);
+    if (typeof window === 'undefined' && typeof require === 'function') return createFileOutboxStore(config.path);
+    return createMemoryOutboxStore();
+  }
+
+  throw new Error(`Unknown outbox storage: ${storage} (expected auto, memory, indexeddb, file or an adapter)`);
+}
+
+// Process statuses that end a tracked transaction (compared case-insensitively)
+const TERMINAL_STATUSES = ['completed', 'complete', 'succeeded', 'success', 'failed', 'failure', 'error', 'cancelled', 'canceled', 'timeout'];
+
+/**
+ * Follows one transaction's process as it unfolds.
+ * Usable as an async iterator or through on('phase' | 'complete' | 'error').
+ * Created by ConceptKernel#track().
+ */
+class TransactionTracker {
+  constructor(txId) {
+    this.txId = txId;
+    this.process = null;
+    this.finished = false;
+    this._queue = [];
+    this._waiting = [];
+    this._seen = new Set();
+    this._handlers = { phase: [], complete: [], error: [] };
+    this._cleanup = [];
+    this.done = new Promise((resolve, reject) => {
+      this._resolveDone = resolve;
+      this._rejectDone = reject;
+    });
+    // Avoid unhandled rejections when only the iterator or events are used
+    this.done.catch(() => {});
+  }
+
+  /**
+   * Register a handler for 'phase', 'complete' or 'error'
+   * @returns {Function} Unsubscribe function
+   */
+  on(eventType, handler) {
+    if (!this._handlers[eventType]) {
+      throw new Error(`Unknown tracker event type: ${eventType}`);
+    }
+    this._handlers[eventType].push(handler);
+    return () => {
+      const index = this._handlers[eventType].indexOf(handler);
+      if (index > -1) this._handlers[eventType].splice(index, 1);
+    };
+  }
+
+  /**
+   * Stop tracking; the iterator ends without a final record
+   */
+  stop() {
+    this._finish();
+  }
+
+  [Symbol.asyncIterator]() {
+    return {
+      next: () => {
+        if (this._queue.length > 0) {
+          const item = this._queue.shift();
+          return item.error ? Promise.reject(item.error) : Promise.resolve({ value: item, done: false });
+        }
+        if (this.finished) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve, reject) => this._waiting.push({ resolve, reject }));
+      },
+      return: () => {
+        this.stop();
+        return Promise.resolve({ value: undefined, done: true });
+      }
+    };
+  }
+
+  /** @private */
+  _push(item) {
+    const waiter = this._waiting.shift();
+    if (!waiter) {
+      this._queue.push(item);
+    } else if (item.error) {
+      waiter.reject(item.error);
+    } else {
+      waiter.resolve({ value: item, done: false });
+    }
+  }
+
+  /** @private */
+  _dispatch(eventType, data) {
+    this._handlers[eventType].forEach(handler => {
+      try {
+        handler(data);
+      } catch (err) {
+        // Handler errors must not stop tracking
+      }
+    });
+  }
+
+  /** @private */
+  _phase(part) {
+    if (this.finished) return;
+    const key = `${part.phase}|${part.timestamp}`;
+    if (this._seen.has(key)) return;
+    this._seen.add(key);
+    this._push({ type: 'phase', phase: part });
+    this._dispatch('phase', part);
+  }
+
+  /** @private */
+  _complete(process) {
+    if (this.finished) return;
+    (process.temporalParts || []).forEach(part => this._phase(part));
+    this.process = process;
+    this._push({ type: 'complete', process });
+    this._dispatch('complete', process);
+    this._resolveDone(process);
+    this._finish();
+  }
+
+  /** @private */
+  _fail(error) {
+    if (this.finished) return;
+    this._push({ error });
+    this._dispatch('error', error);
+    this._rejectDone(error);
+    this._finish();
+  }
+
+  /** @private */
+  _finish() {
+    if (this.finished) return;
+    this.finished = true;
+    this._cleanup.splice(0).forEach(fn => fn());
+    this._resolveDone(this.process);
+    this._waiting.splice(0).forEach(waiter => waiter.resolve({ value: undefined, done: true }));
+  }
+}
+
+/**
+ * Normalize a System.Registry process record into a final tracking result
+ * @private
+ */
+function toFinalProcess(process) {
+  const region = process.temporalRegion || {};
+  const metadata = process.metadata || {};
+  const exitCode = [process.exitCode, process.exit_code, metadata.exitCode, metadata.exit_code]
+    .find(value => value !== undefined);
+  return {
+    ...process,
+    duration: region.duration !== undefined ? region.duration : process.duration,
+    exitCode: exitCode !== undefined ? exitCode : null
+  };
+}
+
+/**
+ * Whether a process record describes a finished process
+ * @private
+ */
+function isProcessFinished(process) {
+  if (process.temporalRegion && process.temporalRegion.end) return true;
+  return typeof process.status === 'string' && TERMINAL_STATUSES.includes(process.status.toLowerCase());
+}
+
+/**
+ * Normalize a System.Registry process entry into the listProcesses() shape
+ * @private
+ */
+function toProcessSummary(process) {
+  const region = process.temporalRegion || process.temporal_region || {};
+  const metadata = process.metadata || {};
+  const pick = (...values) => {
+    const found = values.find(value => value !== undefined && value !== null);
+    return found === undefined ? null : found;
+  };
+  const txId = pick(process.txId, process.tx_id);
+  const type = pick(process.type, process.process_type);
+  return {
+    ...process,
+    urn: pick(process.urn, process.processUrn, txId && `ckp://Process#${type || 'Process'}-${txId}`),
+    txId,
+    type,
+    status: pick(process.status, 'unknown'),
+    kernel: pick(process.kernel, process.participants && process.participants.kernel, metadata.kernel),
+    timestamp: pick(process.timestamp, region.start),
+    duration: pick(region.duration, process.duration),
+    exitCode: pick(process.exitCode, process.exit_code, metadata.exitCode, metadata.exit_code),
+    storagePath: pick(process.storagePath, process.storage_path, metadata.storage_path)
+  };
+}
+
+/**
+ * Apply listProcesses() filters and sorting on the client, in case the
+ * registry ignored some of them
+ * @private
+ */
+function filterProcesses(processes, filters) {
+  const time = value => (value === undefined || value === null ? NaN : new Date(value).getTime());
+  const since = time(filters.since);
+  const until = time(filters.until);
+
+  let result = processes.filter(p => {
+    if (filters.kernel && p.kernel && kernelNameOf(p.kernel) !== kernelNameOf(filters.kernel)) return false;
+    if (filters.processType && p.type !== filters.processType) return false;
+    if (filters.status && String(p.status).toLowerCase() !== String(filters.status).toLowerCase()) return false;
+    const started = time(p.timestamp);
+    if (!isNaN(since) && !isNaN(started) && started < since) return false;
+    if (!isNaN(until) && !isNaN(started) && started > until) return false;
+    return true;
+  });
+
+  if (filters.sortBy) {
+    const direction = filters.order === 'asc' ? 1 : -1;
+    result = result.slice().sort((a, b) => {
+      const x = a[filters.sortBy];
+      const y = b[filters.sortBy];
+      if (x === y) return 0;
+      if (x === null || x === undefined) return 1;
+      if (y === null || y === undefined) return -1;
+      return (x < y ? -1 : 1) * direction;
+    });
+  }
+
+  return result;
+}
+
+// Process (occurrent) URNs: ckp://Process#{Type}-{txId}
+const PROCESS_URN_PATTERN = /^ckp:\/\/Process#([A-Za-z0-9_]+)-([0-9]{13,}-[a-f0-9]{8})$/;
+
+/**
+ * Normalize a discovery kernel entry into a continuant entity
+ * @private
+ */
+function toKernelEntity(kernel) {
+  return {
+    ...kernel,
+    category: 'continuant',
+    name: kernel.name || kernelNameOf(kernel.urn),
+    urn: kernel.urn || `ckp://${kernel.name}`,
+    mode: kernel.mode || null,
+    status: kernel.status || null,
+    capabilities: kernel.capabilities || [],
+    roles: kernel.roles || [],
+    functions: kernel.functions || [],
+    bfo_type: kernel.bfo_type || 'MaterialEntity'
+  };
+}
+
+/**
+ * Normalize a process-like registry entry into an occurrent entity
+ * @private
+ */
+function toOccurrentEntity(process) {
+  return { ...toProcessSummary(process), category: 'occurrent' };
+}
+
+/**
+ * Split a query cursor into a server cursor or an offset.
+ * Cursors are opaque to callers: "offset:{n}" when the registry does not
+ * issue its own, otherwise the registry's cursor unchanged.
+ * @private
+ */
+function decodeCursor(cursor) {
+  if (!cursor) return { offset: 0 };
+  const match = /^offset:(\d+)$/.exec(cursor);
+  return match ? { offset: Number(match[1]) } : { cursor };
+}
+
+/**
+ * Read the claims of a JWT (without verifying it), or null if it cannot be decoded
+ * @private
+ */
+function decodeJwtClaims(token) {
+  if (typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length < 2) return null;
+
+  try {
+    const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+    const json = typeof atob === 'function'
+      ? decodeURIComponent(Array.from(atob(padded), c => '%' + c.charCodeAt(0).toString(16).padStart(2, '0')).join(''))
+      : Buffer.from(padded, 'base64').toString('utf8');
+    const claims = JSON.parse(json);
+    return claims && typeof claims === 'object' ? claims : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Read the expiry (ms since epoch) from a JWT, or null if it has none
+ * @private
+ */
+function decodeJwtExpiry(token) {
+  const claims = decodeJwtClaims(token);
+  return claims && typeof claims.exp === 'number' ? claims.exp * 1000 : null;
+}
+
+/**
+ * Actor URN and roles from OIDC token claims (ckp://System.Oidc.User#{username});
+ * null when the claims name no user
+ * @private
+ */
+function oidcIdentityFromClaims(claims) {
+  const username = claims && (claims.preferred_username || claims.sub);
+  if (!username) return null;
+  const roles = Array.isArray(claims.roles) ? claims.roles
+    : (claims.realm_access && Array.isArray(claims.realm_access.roles) ? claims.realm_access.roles : null);
+  return { actor: `ckp://System.Oidc.User#${username}`, roles };
+}
+
+/**
+ * In-memory token store (lost on restart)
+ * @private
+ */
+function createMemoryTokenStore() {
+  let session = null;
+  return {
+    async get() { return session; },
+    async set(value) { session = value; },
+    async clear() { session = null; }
+  };
+}
+
+/**
+ * Token store on a Web Storage object (localStorage or sessionStorage)
+ * @private
+ */
+function createWebStorageTokenStore(storage, key) {
+  return {
+    async get() {
+      const raw = storage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async set(value) { storage.setItem(key, JSON.stringify(value)); },
+    async clear() { storage.removeItem(key); }
+  };
+}
+
+/**
+ * File token store for Node.js (written with owner-only permissions)
+ * @private
+ */
+function createFileTokenStore(filePath = '.ck-token.json', key) {
+  const fs = require('fs').promises;
+  const readAll = async () => {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return {};
+      throw err;
+    }
+  };
+  const writeAll = async (all) => {
+    await fs.writeFile(filePath, JSON.stringify(all, null, 2), { encoding: 'utf8', mode: 0o600 });
+    // The mode above only applies when the file is created
+    await fs.chmod(filePath, 0o600);
+  };
+  return {
+    async get() { return (await readAll())[key] || null; },
+    async set(value) {
+      const all = await readAll();
+      all[key] = value;
+      await writeAll(all);
+    },
+    async clear() {
+      const all = await readAll();
+      delete all[key];
+      await writeAll(all);
+    }
+  };
+}
+
+/**
+ * Pick a token store from the `tokenStore` option
+ * @private
+ */
+function createTokenStore(type, key, filePath) {
+  if (type && typeof type === 'object') return type;
+
+  switch (type) {
+    case 'memory':
+      return createMemoryTokenStore();
+    case 'localStorage':
+      return createWebStorageTokenStore(window.localStorage, key);
+    case 'sessionStorage':
+      return createWebStorageTokenStore(window.sessionStorage, key);
+    case 'file':
+      return createFileTokenStore(filePath, key);
+    default:
+      throw new Error(`Unknown token store: ${type} (expected memory, localStorage, sessionStorage, file or an adapter)`);
+  }
+}
+
+// OAuth 2.0 device authorization grant type (RFC 8628)
+const DEVICE_CODE_GRANT = 'urn:ietf:params:oauth:grant-type:device_code';
+
+/**
+ * Random URL-safe string for PKCE verifiers and OAuth state
+ * @private
+ */
+function randomBase64Url(byteLength = 32) {
+  let bytes;
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    bytes = crypto.getRandomValues(new Uint8Array(byteLength));
+  } else {
+    bytes = new Uint8Array(require('crypto').randomBytes(byteLength));
+  }
+  return base64UrlEncode(bytes);
+}
+
+/**
+ * Base64url-encode bytes without padding
+ * @private
+ */
+function base64UrlEncode(bytes) {
+  const base64 = typeof btoa === 'function'
+    ? btoa(String.fromCharCode.apply(null, Array.from(bytes)))
+    : Buffer.from(bytes).toString('base64');
+  return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * PKCE S256 code challenge for a verifier
+ * @private
+ */
+async function pkceChallenge(verifier) {
+  if (typeof crypto !== 'undefined' && crypto.subtle) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+    return base64UrlEncode(new Uint8Array(digest));
+  }
+  return base64UrlEncode(new Uint8Array(require('crypto').createHash('sha256').update(verifier).digest()));
+}
+
+// KernelProxy members that declared functions cannot shadow
+const KERNEL_PROXY_RESERVED = ['call', 'emit', 'has', 'urn', 'name', 'entry', 'mode', 'status', 'metadata', 'functions', 'capabilities', 'roles', 'constructor', 'then'];
+
+/**
+ * A discovered kernel with one method per declared function.
+ * `bakery.mix({ flour: 2 })` sends `{ action: 'mix', flour: 2 }` through
+ * request() and resolves with the RESPONDS envelope. Created by ConceptKernel#kernel().
+ * Methods are looked up in the current discovery entry on each access, so
+ * functions added or removed by a discovery refresh show up immediately.
+ */
+class KernelProxy {
+  constructor(client, name) {
+    Object.defineProperty(this, '_client', { value: client });
+    this.name = name;
+
+    return new Proxy(this, {
+      get(target, property, receiver) {
+        if (typeof property === 'string' && !(property in target) && !KERNEL_PROXY_RESERVED.includes(property) &&
+            target.has(property)) {
+          return (params, options) => target.call(property, params, options);
+        }
+        return Reflect.get(target, property, receiver);
+      },
+      has(target, property) {
+        return property in target || (typeof property === 'string' && !KERNEL_PROXY_RESERVED.includes(property) &&
+          target.has(property));
+      }
+    });
+  }
+
+  /** Current discovery entry (follows discovery refreshes) */
+  get entry() {
+    return this._client.kernels.find(kernel => kernelNameOf(kernel.urn || kernel.name) === this.name) || {};
+  }
+
+  get urn() {
+    return this.entry.urn || `ckp://${this.name}`;
+  }
+
+  get mode() {
+    return this.entry.mode || null;
+  }
+
+  get status() {
+    return this.entry.status || null;
+  }
+
+  get metadata() {
+    return this.entry.metadata || {};
+  }
+
+  get functions() {
+    return this.entry.functions || [];
+  }
+
+  get capabilities() {
+    return this.entry.capabilities || [];
+  }
+
+  get roles() {
+    return this.entry.roles || [];
+  }
+
+  /**
+   * Whether the kernel declares a function
+   */
+  has(action) {
+    return this.functions.includes(action);
+  }
+
+  /**
+   * Invoke a function and wait for the kernel's answer
+   * @param {string} action - Function name
+   * @param {Object} [params] - Payload fields sent alongside the action
+   * @param {Object} [options] - request() options
+   * @returns {Promise<Object>} RESPONDS envelope
+   */
+  async call(action, params = {}, options = {}) {
+    this._assertDeclared(action);
+    return this._client.request(this.urn, { action, ...params }, options);
+  }
+
+  /**
+   * Invoke a function without waiting for an answer
+   * @returns {Promise<Object>} emit() result
+   */
+  async emit(action, params = {}, options = {}) {
+    this._assertDeclared(action);
+    return this._client.emit(this.urn, { action, ...params }, options);
+  }
+
+  /**
+   * Throw before sending an action the kernel does not declare
+   * @private
+   */
+  _assertDeclared(action) {
+    if (!this.has(action)) {
+      const declared = this.functions.length > 0 ? this.functions.join(', ') : 'none';
+      throw new Error(`${this.name} does not declare function '${action}' (declared: ${declared})`);
+    }
+  }
+}
+
+/**
+ * Compare two discovery snapshots ({ services, kernels })
+ * @returns {Array} [eventType, data] pairs for the change events
+ * @private
+ */
+function diffDiscovery(previous, next) {
+  const changes = [];
+
+  Object.keys(next.services).forEach(name => {
+    if (!(name in previous.services)) changes.push(['service_added', { name, service: next.services[name] }]);
+  });
+  Object.keys(previous.services).forEach(name => {
+    if (!(name in next.services)) changes.push(['service_removed', { name, service: previous.services[name] }]);
+  });
+
+  const keyOf = kernel => kernel.urn || kernel.name;
+  const before = new Map(previous.kernels.map(kernel => [keyOf(kernel), kernel]));
+  const after = new Map(next.kernels.map(kernel => [keyOf(kernel), kernel]));
+
+  after.forEach((kernel, urn) => {
+    const old = before.get(urn);
+    if (!old) {
+      changes.push(['kernel_added', { urn, kernel }]);
+    } else if (old.mode !== kernel.mode) {
+      changes.push(['kernel_mode_changed', { urn, kernel, from: old.mode, to: kernel.mode }]);
+    }
+  });
+  before.forEach((kernel, urn) => {
+    if (!after.has(urn)) changes.push(['kernel_removed', { urn, kernel }]);
+  });
+
+  return changes;
+}
+
+/**
+ * Normalize a kernel's payload schemas to { [edge]: { [action]: { payload, response } } }
+ *
+ * Accepts the nested form, flat `EDGE/action` keys (optionally as full
+ * `ckp://Kernel#schema/EDGE/action` URNs) or an array of
+ * `{ edge, action, payload, response }` entries.
+ * @private
+ */
+function normalizeKernelSchemas(raw) {
+  const schemas = {};
+  const add = (edge, action, payload, response) => {
+    if (!edge || !action) return;
+    schemas[edge] = schemas[edge] || {};
+    schemas[edge][action] = { payload: payload || {}, response: response || null };
+  };
+
+  if (Array.isArray(raw)) {
+    raw.forEach(entry => add(entry.edge || 'QUERIES', entry.action, entry.payload || entry.schema, entry.response));
+    return schemas;
+  }
+
+  Object.entries(raw || {}).forEach(([key, value]) => {
+    const path = key.includes('#schema/') ? key.split('#schema/')[1] : key;
+    if (path.includes('/')) {
+      const [edge, action] = path.split('/');
+      const flat = value && (value.payload || value.response) ? value : { payload: value };
+      add(edge, action, flat.payload, flat.response);
+    } else {
+      Object.entries(value || {}).forEach(([action, entry]) => {
+        add(path, action, entry && entry.payload, entry && entry.response);
+      });
+    }
+  });
+  return schemas;
+}
+
+const TS_IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * Property key as written in a TypeScript type literal
+ * @private
+ */
+function tsKey(key) {
+  return TS_IDENTIFIER.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Render a JSON Schema as a TypeScript type expression
+ *
+ * Covers the subset used by kernel ontologies: const, enum, type (and type
+ * arrays), oneOf/anyOf unions, allOf intersections, items/tuples, properties
+ * with required, additionalProperties and local $refs.
+ * @private
+ */
+function schemaToTs(schema, root = schema, indent = '', seen = []) {
+  if (schema === false) return 'never';
+  if (!schema || typeof schema !== 'object' || Object.keys(schema).length === 0) return 'any';
+
+  if (schema.$ref) {
+    if (!schema.$ref.startsWith('#') || seen.includes(schema.$ref)) return 'any';
+    const target = schema.$ref.slice(1).split('/').filter(Boolean)
+      .reduce((node, part) => node && node[part.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+    return target ? schemaToTs(target, root, indent, [...seen, schema.$ref]) : 'any';
+  }
+
+  if ('const' in schema) return JSON.stringify(schema.const);
+  if (Array.isArray(schema.enum)) return schema.enum.map(value => JSON.stringify(value)).join(' | ') || 'never';
+
+  const variants = schema.oneOf || schema.anyOf;
+  if (variants) return variants.map(sub => wrapTs(schemaToTs(sub, root, indent, seen))).join(' | ') || 'never';
+  if (schema.allOf) return schema.allOf.map(sub => wrapTs(schemaToTs(sub, root, indent, seen))).join(' & ') || 'any';
+
+  const type = schema.type || (schema.properties ? 'object' : schema.items ? 'array' : null);
+  if (Array.isArray(type)) {
+    return type.map(single => wrapTs(schemaToTs({ ...schema, type: single }, root, indent, seen))).join(' | ');
+  }
+
+  switch (type) {
+    case 'string': return 'string';
+    case 'number':
+    case 'integer': return 'number';
+    case 'boolean': return 'boolean';
+    case 'null': return 'null';
+    case 'array':
+      if (Array.isArray(schema.items)) {
+        return `[${schema.items.map(item => schemaToTs(item, root, indent, seen)).join(', ')}]`;
+      }
+      return `Array<${schemaToTs(schema.items, root, indent, seen)}>`;
+    case 'object':
+      return objectToTs(schema, root, indent, seen);
+    default:
+      return 'any';
+  }
+}
+
+/**
+ * Parenthesize union/intersection members
+ * @private
+ */
+function wrapTs(type) {
+  return /[|&]/.test(type) && !/^[{[]/.test(type) ? `(${type})` : type;
+}
+
+/**
+ * Render an object schema as a TypeScript type literal
+ * @private
+ */
+function objectToTs(schema, root, indent, seen) {
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+  const inner = `${indent}  `;
+  const lines = [];
+
+  Object.entries(properties).forEach(([key, property]) => {
+    if (property && property.description) {
+      lines.push(`${inner}/** ${String(property.description).replace(/\*\//g, '*\\/')} */`);
+    }
+    const optional = required.includes(key) ? '' : '?';
+    lines.push(`${inner}${tsKey(key)}${optional}: ${schemaToTs(property, root, inner, seen)};`);
+  });
+
+  if (schema.additionalProperties && schema.additionalProperties !== false) {
+    const extra = schema.additionalProperties === true ? 'any' : schemaToTs(schema.additionalProperties, root, inner, seen);
+    lines.push(`${inner}[key: string]: ${Object.keys(properties).length > 0 ? 'any' : extra};`);
+  } else if (lines.length === 0) {
+    return schema.additionalProperties === false ? '{}' : 'Record<string, any>';
+  }
+
+  return `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+/**
+ * Render the `.d.ts` augmentation for a set of kernel schemas
+ *
+ * @param {Object} kernelSchemas - { [kernelName]: schemas } (any form normalizeKernelSchemas accepts,
+ *   or null for kernels whose schemas were unavailable)
+ * @returns {string} Declaration file source
+ * @private
+ */
+function generateKernelTypes(kernelSchemas) {
+  const lines = [
+    '// Generated by @conceptkernel/ck-client-js from kernel ontology schemas. Do not edit.',
+    "import '@conceptkernel/ck-client-js';",
+    '',
+    "declare module '@conceptkernel/ck-client-js' {",
+    '  interface KernelPayloads {'
+  ];
+
+  Object.keys(kernelSchemas).sort().forEach(name => {
+    if (!kernelSchemas[name]) {
+      lines.push(`    // ${name}: no payload schemas available`);
+      return;
+    }
+
+    const schemas = normalizeKernelSchemas(kernelSchemas[name]);
+    lines.push(`    ${JSON.stringify(name)}: {`);
+    Object.keys(schemas).sort().forEach(edge => {
+      lines.push(`      ${tsKey(edge)}: {`);
+      Object.keys(schemas[edge]).sort().forEach(action => {
+        const { payload, response } = schemas[edge][action];
+        const payloadSchema = {
+          ...payload,
+          type: 'object',
+          properties: Object.assign({ action: null }, payload.properties, { action: { const: action } }),
+          required: ['action', ...(payload.required || []).filter(key => key !== 'action')]
+        };
+        const indent = '          ';
+        lines.push(`        /** ckp://${name}#schema/${edge}/${action} */`);
+        lines.push(`        ${JSON.stringify(action)}: {`);
+        lines.push(`${indent}payload: ${schemaToTs(payloadSchema, payload, indent)};`);
+        lines.push(`${indent}response: ${response ? schemaToTs(response, response, indent) : 'any'};`);
+        lines.push('        };');
+      });
+      lines.push('      };');
+    });
+    lines.push('    };');
+  });
+
+  lines.push('  }', '}', '');
+  return lines.join('\n');
+}
+
+// `nats` connect options handed to nats.ws unchanged
+const NATS_PASSTHROUGH_OPTIONS = ['name', 'user', 'pass', 'token', 'tls', 'reconnect', 'reconnectTimeWait',
+  'maxReconnectAttempts', 'pingInterval', 'maxPingOut', 'timeout', 'waitOnFirstConnect'];
+
+/**
+ * nats.ws connect() options from the natsUrl and `nats` connect options
+ * @private
+ */
+function natsConnectOptions(options, nats) {
+  const config = options.nats || {};
+  const servers = config.servers || options.natsUrl;
+  const connectOptions = { servers: Array.isArray(servers) ? servers : [servers] };
+
+  NATS_PASSTHROUGH_OPTIONS.forEach(key => {
+    if (config[key] !== undefined) connectOptions[key] = config[key];
+  });
+
+  const encode = text => new TextEncoder().encode(text);
+  const authenticator = (factory, ...args) => {
+    if (typeof nats[factory] !== 'function') {
+      throw new Error(`NATS module does not provide ${factory}()`);
+    }
+    return nats[factory](...args);
+  };
+
+  if (config.credsFile || config.creds) {
+    if (config.credsFile && typeof require === 'undefined') {
+      throw new Error('nats.credsFile needs Node.js; pass the file contents as nats.creds');
+    }
+    const creds = config.creds || require('fs').readFileSync(config.credsFile, 'utf8');
+    connectOptions.authenticator = authenticator('credsAuthenticator', encode(creds));
+  } else if (config.jwt) {
+    connectOptions.authenticator = authenticator('jwtAuthenticator', config.jwt, config.nkeySeed && encode(config.nkeySeed));
+  } else if (config.nkeySeed) {
+    connectOptions.authenticator = authenticator('nkeyAuthenticator', encode(config.nkeySeed));
+  }
+
+  return connectOptions;
+}
+
+/**
+ * Decode a NATS message body: parsed JSON, or the raw string
+ * @private
+ */
+function decodeNatsData(codec, bytes) {
+  const text = codec.decode(bytes);
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return text;
+  }
+}
+
+/**
+ * JetStream consumer configuration for consume() options
+ * @private
+ */
+function jetStreamConsumerConfig(subject, options) {
+  if (options.startSequence !== undefined && options.startTime !== undefined) {
+    throw new Error('consume() accepts startSequence or startTime, not both');
+  }
+
+  const config = {
+    ack_policy: 'explicit',
+    filter_subject: subject,
+    deliver_policy: options.deliver || 'all'
+  };
+  if (options.durable) config.durable_name = options.durable;
+  if (options.startSequence !== undefined) {
+    config.deliver_policy = 'by_start_sequence';
+    config.opt_start_seq = options.startSequence;
+  }
+  if (options.startTime !== undefined) {
+    config.deliver_policy = 'by_start_time';
+    config.opt_start_time = new Date(options.startTime).toISOString();
+  }
+  // JetStream durations are nanoseconds
+  if (options.ackWait) config.ack_wait = options.ackWait * 1e6;
+  if (options.maxDeliver) config.max_deliver = options.maxDeliver;
+  return config;
+}
+
+/**
+ * A JetStream message as handed to consume() handlers and returned by fetch().
+ * The first of ack(), nak() or term() settles it; unsettled messages are
+ * redelivered once the consumer's ack wait runs out.
+ */
+class JetStreamMessage {
+  constructor(msg, data) {
+    Object.defineProperty(this, '_msg', { value: msg });
+    this.subject = msg.subject;
+    this.seq = msg.seq;
+    this.data = data;
+    this.redelivered = !!msg.redelivered;
+    this.deliveryCount = msg.info ? msg.info.redeliveryCount : 1;
+    this.timestamp = msg.info && msg.info.timestampNanos ? new Date(Math.floor(msg.info.timestampNanos / 1e6)) : null;
+    this.settled = null;
+  }
+
+  /** Processed; never redeliver */
+  ack() {
+    this._settle('ack', () => this._msg.ack());
+  }
+
+  /**
+   * Failed; redeliver (after `delay` ms when given)
+   * @param {number} [delay]
+   */
+  nak(delay) {
+    this._settle('nak', () => this._msg.nak(delay));
+  }
+
+  /** Unprocessable; never redeliver */
+  term() {
+    this._settle('term', () => this._msg.term());
+  }
+
+  /** Still processing; restart the ack wait */
+  working() {
+    if (!this.settled) this._msg.working();
+  }
+
+  _settle(outcome, send) {
+    if (this.settled) return;
+    this.settled = outcome;
+    send();
+  }
+}
+
+/**
+ * Handle for a JetStream consumer created by ConceptKernel#consume()
+ *
+ * With a handler, messages are pushed to it one at a time; without one, pull
+ * them in batches with fetch().
+ */
+class JetStreamConsumer {
+  constructor(client, { stream, name, durable, consumer, ack }) {
+    Object.defineProperty(this, '_client', { value: client });
+    Object.defineProperty(this, '_consumer', { value: consumer });
+    this.stream = stream;
+    this.name = name;
+    this.durable = durable;
+    this.ack = ack;
+    this.stopped = false;
+    this._messages = null;
+  }
+
+  /**
+   * Pull a batch of messages (settle each with ack(), nak() or term())
+   * @param {Object} [options]
+   * @param {number} [options.batch=10] - Maximum messages
+   * @param {number} [options.expires=5000] - Time to wait for the batch to fill (ms)
+   * @returns {Promise<JetStreamMessage[]>}
+   */
+  async fetch(options = {}) {
+    const batch = await this._consumer.fetch({ max_messages: options.batch || 10, expires: options.expires || 5000 });
+    const messages = [];
+    for await (const msg of batch) {
+      const message = this._wrap(msg);
+      if (message) messages.push(message);
+    }
+    return messages;
+  }
+
+  /**
+   * Consumer state from the server
+   * @returns {Promise<Object>} { stream, name, pending, ackPending, redelivered, delivered }
+   */
+  async info() {
+    const info = await this._consumer.info();
+    return {
+      stream: this.stream,
+      name: this.name,
+      pending: info.num_pending,
+      ackPending: info.num_ack_pending,
+      redelivered: info.num_redelivered,
+      delivered: info.delivered ? info.delivered.stream_seq : 0
+    };
+  }
+
+  /**
+   * Stop delivering to the handler. Durable consumers keep their position on
+   * the server and resume when consumed again under the same name.
+   */
+  stop() {
+    if (this.stopped) return;
+    this.stopped = true;
+    if (this._messages) this._messages.stop();
+    this._client._jetStreamConsumers.delete(this);
+  }
+
+  /**
+   * Stop and remove the consumer from the server
+   */
+  async delete() {
+    this.stop();
+    const jsm = await this._client._jetStreamManager();
+    await jsm.consumers.delete(this.stream, this.name);
+  }
+
+  _start(handler, batch) {
+    (async () => {
+      const messages = await this._consumer.consume({ max_messages: batch || 100 });
+      this._messages = messages;
+      if (this.stopped) {
+        messages.stop();
+        return;
+      }
+
+      for await (const msg of messages) {
+        const message = this._wrap(msg);
+        if (!message) continue;
+        try {
+          await handler(message.data, message);
+          if (this.ack === 'auto') message.ack();
+        } catch (err) {
+          this._client._log.error('JetStream handler error', { stream: this.stream, consumer: this.name, seq: message.seq, error: err });
+          message.nak();
+        }
+      }
+    })().catch(err => {
+      this._client._log.error('JetStream consumer error', { stream: this.stream, consumer: this.name, error: err });
+    });
+  }
+
+  /**
+   * Parse a message; invalid envelopes are terminated rather than redelivered
+   */
+  _wrap(msg) {
+    const client = this._client;
+    const data = decodeNatsData(client._natsCodec, msg.data);
+    if (!client._acceptIncoming(data)) {
+      msg.term();
+      return null;
+    }
+    return new JetStreamMessage(msg, data);
+  }
+}
+
+/**
+ * Read view of a JetStream key-value bucket, created by ConceptKernel#kv().
+ * Values are decoded from JSON (or returned as strings).
+ */
+class KvBucket {
+  constructor(client, bucket, kv) {
+    Object.defineProperty(this, '_client', { value: client });
+    Object.defineProperty(this, '_kv', { value: kv });
+    this.bucket = bucket;
+  }
+
+  /**
+   * Current value of a key
+   * @returns {Promise<*>} Value, or null when the key is missing or deleted
+   */
+  async get(key) {
+    const entry = await this.entry(key);
+    return entry ? entry.value : null;
+  }
+
+  /**
+   * Current entry of a key
+   * @returns {Promise<Object|null>} { key, value, revision, created }
+   */
+  async entry(key) {
+    const entry = await this._kv.get(key);
+    if (!entry || entry.operation !== 'PUT') return null;
+    return this._toEntry(entry);
+  }
+
+  /**
+   * Keys in the bucket
+   * @param {string} [filter='>'] - Key filter with NATS wildcards
+   * @returns {Promise<string[]>}
+   */
+  async keys(filter) {
+    const keys = [];
+    for await (const key of await this._kv.keys(filter)) {
+      keys.push(key);
+    }
+    return keys;
+  }
+
+  /**
+   * Watch keys: the handler first receives each current value, then every update
+   * @param {string} key - Key or filter ('>' for all)
+   * @param {Function} handler - ({ key, value, revision, created, operation }) => void;
+   *   value is null for deletes
+   * @returns {Promise<Function>} Stop function
+   */
+  async watch(key, handler) {
+    const updates = await this._kv.watch({ key });
+    (async () => {
+      for await (const entry of updates) {
+        handler(this._toEntry(entry));
+      }
+    })().catch(err => {
+      this._client._log.error('KV watch error', { bucket: this.bucket, key, error: err });
+    });
+    return () => updates.stop();
+  }
+
+  _toEntry(entry) {
+    return {
+      key: entry.key,
+      value: entry.operation === 'PUT' ? decodeNatsData(this._client._natsCodec, entry.value) : null,
+      revision: entry.revision,
+      created: entry.created,
+      operation: entry.operation
+    };
+  }
+}
+
+// pump() order keys: messages sharing a key are handled one at a time, in order
+const PUMP_ORDER_KEYS = {
+  txId: (data) => (extractEnvelope(data) || data || {}).txId || null,
+  kernel: (data) => {
+    const envelope = extractEnvelope(data) || {};
+    const urn = (data && data.kernel) || envelope.to || envelope.from;
+    return urn ? kernelNameOf(urn) : null;
+  },
+  subject: (data, msg) => msg.subject
+};
+
+/**
+ * Work queue between a NATS subscription and its handler. Runs up to
+ * `concurrency` handlers at once (awaiting their promises), one at a time per
+ * order key, retries failures with exponential backoff and dead-letters what
+ * cannot be handled. The subscription is read only while fewer than
+ * `maxPending` messages are queued or running.
+ * @private
+ */
+class MessagePump {
+  constructor(client, entry, handler, options = {}) {
+    if (options.orderBy !== undefined && typeof options.orderBy !== 'function' && !PUMP_ORDER_KEYS[options.orderBy]) {
+      throw new Error(`Invalid orderBy option: ${options.orderBy} (expected 'txId', 'kernel', 'subject' or a function)`);
+    }
+    if (options.deadLetter !== undefined && typeof options.deadLetter !== 'string' && typeof options.deadLetter !== 'function') {
+      throw new Error('deadLetter must be a subject or a function');
+    }
+
+    this.client = client;
+    this.entry = entry;
+    this.handler = handler;
+    this.decode = options.decode || (msg => JSON.parse(client._natsCodec.decode(msg.data)));
+    this.accept = options.accept || (() => true);
+    this.orderBy = typeof options.orderBy === 'function' ? options.orderBy : PUMP_ORDER_KEYS[options.orderBy] || null;
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    this.maxPending = Math.max(1, options.maxPending || 1000);
+    this.retries = Math.max(0, options.retries || 0);
+    this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 1000;
+    this.retryMaxDelay = options.retryMaxDelay !== undefined ? options.retryMaxDelay : 30000;
+    this.deadLetter = options.deadLetter || null;
+
+    this.queue = [];
+    this.active = 0;
+    this.stopped = false;
+    this._busyKeys = new Set();
+    this._retryTimers = new Map();
+    this._waiters = [];
+  }
+
+  /**
+   * Decode and queue a message; resolves once there is room for the next one
+   */
+  async push(msg) {
+    const stats = this.entry.stats;
+    const item = { msg, data: undefined, key: null, attempts: 0, receivedAt: Date.now() };
+
+    try {
+      item.data = this.decode(msg);
+    } catch (err) {
+      await this._fail(item, 'parse', err);
+      return;
+    }
+    if (!this.accept(item.data)) {
+      stats.dropped++;
+      return;
+    }
+    if (this.orderBy) {
+      const key = this.orderBy(item.data, msg);
+      item.key = key === undefined ? null : key;
+    }
+
+    this.queue.push(item);
+    this._next();
+    while (this.queue.length + this.active >= this.maxPending) {
+      await new Promise(resolve => this._waiters.push(resolve));
+    }
+  }
+
+  /**
+   * Resolves when nothing is queued or running
+   */
+  async idle() {
+    while (this.queue.length + this.active > 0) {
+      await new Promise(resolve => this._waiters.push(resolve));
+    }
+  }
+
+  /**
+   * Stop retrying (failures are dead-lettered at once) and wait for the queue to empty
+   */
+  async drain() {
+    this.stopped = true;
+    this._retryTimers.forEach((resolve, timer) => {
+      clearTimeout(timer);
+      resolve();
+    });
+    this._retryTimers.clear();
+    await this.idle();
+  }
+
+  /**
+   * Queue depth and the age of the oldest waiting message
+   */
+  metrics() {
+    return {
+      pending: this.queue.length + this.active,
+      active: this.active,
+      lag: this.queue.length > 0 ? Date.now() - this.queue[0].receivedAt : 0
+    };
+  }
+
+  _next() {
+    for (let i = 0; i < this.queue.length && this.active < this.concurrency;) {
+      const item = this.queue[i];
+      if (item.key !== null && this._busyKeys.has(item.key)) {
+        i++;
+        continue;
+      }
+      this.queue.splice(i, 1);
+      this._run(item);
+    }
+  }
+
+  async _run(item) {
+    const stats = this.entry.stats;
+    this.active++;
+    if (item.key !== null) this._busyKeys.add(item.key);
+
+    try {
+      for (;;) {
+        item.attempts++;
+        try {
+          await this.handler(item.data, item.msg);
+          stats.processed++;
+          break;
+        } catch (err) {
+          if (item.attempts > this.retries || this.stopped) {
+            await this._fail(item, 'handler', err);
+            break;
+          }
+          stats.retried++;
+          const delay = Math.min(this.retryMaxDelay, this.retryDelay * Math.pow(2, item.attempts - 1));
+          this.client._log.debug('Retrying NATS message', { id: this.entry.id, subject: item.msg.subject, attempt: item.attempts, delay });
+          await new Promise(resolve => {
+            const timer = setTimeout(() => {
+              this._retryTimers.delete(timer);
+              resolve();
+            }, delay);
+            this._retryTimers.set(timer, resolve);
+          });
+        }
+      }
+    } finally {
+      this.active--;
+      if (item.key !== null) this._busyKeys.delete(item.key);
+      this._next();
+      this._waiters.splice(0).forEach(resolve => resolve());
+    }
+  }
+
+  /**
+   * Hand a message that could not be handled to the dead-letter subject or callback
+   */
+  async _fail(item, reason, error) {
+    const { client, entry } = this;
+    entry.stats.dropped++;
+    if (reason === 'handler') entry.stats.failed++;
+
+    const subject = item.msg.subject;
+    if (!this.deadLetter) {
+      client._log.warn(reason === 'parse' ? 'Failed to parse message' : 'NATS message handler failed',
+        { id: entry.id, subject, attempts: item.attempts, error });
+      return;
+    }
+
+    const letter = {
+      subscription: entry.id,
+      subject,
+      reason,
+      error: error && error.message ? error.message : String(error),
+      attempts: item.attempts,
+      data: reason === 'parse' ? client._natsCodec.decode(item.msg.data) : item.data,
+      receivedAt: item.receivedAt,
+      failedAt: Date.now()
+    };
+    try {
+      if (typeof this.deadLetter === 'function') {
+        await this.deadLetter(letter, item.msg);
+      } else {
+        client.publishToSubject(this.deadLetter, letter);
+      }
+      entry.stats.deadLettered++;
+    } catch (err) {
+      client._log.error('Dead-lettering failed', { id: entry.id, subject, error: err });
+    }
+  }
+}
+
+// Gateway selection strategies for multi-gateway configurations
+const GATEWAY_STRATEGIES = ['priority', 'round-robin', 'lowest-latency'];
+
+/**
+ * Normalize the connect() gateway argument (a URL, or a list of URLs and
+ * { url, priority } entries) into gateway health records
+ * @private
+ */
+function normalizeGateways(gatewayUrl) {
+  const list = Array.isArray(gatewayUrl) ? gatewayUrl : [gatewayUrl];
+  return list.map((entry, index) => {
+    const config = typeof entry === 'string' ? { url: entry } : (entry || {});
+    if (!config.url) {
+      throw new Error(`Gateway #${index + 1} has no url`);
+    }
+    return {
+      url: config.url,
+      priority: config.priority !== undefined ? config.priority : index,
+      healthy: true,
+      latency: null,
+      lastCheck: null,
+      failures: 0
+    };
+  });
+}
+
+/**
+ * Whether an emit error means the gateway itself is unreachable or down
+ * @private
+ */
+function isGatewayDownError(err) {
+  return err.status === undefined || err.status === 502 || err.status === 503 || err.status === 504;
+}
+
+// Capabilities a transport may provide; each transport lists the ones it lacks
+const TRANSPORT_CAPABILITIES = ['emit', 'request', 'subscribe', 'auth', 'subjects'];
+
+/**
+ * Error thrown when the active transport cannot carry a call
+ */
+class TransportCapabilityError extends Error {
+  constructor(transport, capability, method, hint) {
+    super(`${method}() is not supported by the ${transport} transport (missing capability: ${capability})${hint ? `. ${hint}` : ''}`);
+    this.name = 'TransportCapabilityError';
+    this.code = 'ERR_TRANSPORT_CAPABILITY';
+    this.transport = transport;
+    this.capability = capability;
+  }
+}
+
+/**
+ * Base transport. Connection state stays on the client; a transport decides
+ * how emits leave and how incoming events reach the client's event pipeline.
+ * @private
+ */
+class Transport {
+  constructor(client, name, missing = {}) {
+    this.client = client;
+    this.name = name;
+    // Missing capability -> hint shown in the capability error
+    this.missing = missing;
+    this.capabilities = TRANSPORT_CAPABILITIES.filter(capability => !(capability in missing));
+  }
+
+  supports(capability) {
+    return this.capabilities.includes(capability);
+  }
+
+  require(capability, method) {
+    if (!this.supports(capability)) {
+      throw new TransportCapabilityError(this.name, capability, method, this.missing[capability]);
+    }
+  }
+
+  close() {}
+}
+
+/**
+ * HTTP gateway for discovery and emits, WebSocket for events, auth and requests
+ * @private
+ */
+class HttpWsTransport extends Transport {
+  constructor(client) {
+    super(client, 'http-ws', {
+      subjects: "Use transport: 'nats' or 'hybrid' for raw NATS subjects"
+    });
+  }
+
+  async connect() {
+    const client = this.client;
+    const options = client.options;
+
+    client._log.debug('Starting service discovery...');
+    await client.discover();
+    client._log.info('Service discovery complete', { services: client.getAvailableServices() });
+
+    if (options.autoConnect !== false && client.hasService('websocket')) {
+      client._log.debug('Auto-connecting WebSocket...');
+      await client._connectWebSocket();
+
+      const restored = await client._restoreStoredToken();
+
+      // Authenticate if credentials provided
+      if (options.auth && !restored) {
+        client._log.debug('Authenticating with provided credentials...');
+        await client.authenticate(options.auth.username, options.auth.password);
+      }
+    } else {
+      client._log.debug('Skipping WebSocket connection (autoConnect=false or no websocket service)');
+    }
+  }
+
+  emit(kernelUrn, payload, options) {
+    return this.client._withFailover(() => this.client._sendEmit(kernelUrn, payload, options));
+  }
+
+  /**
+   * Make sure events matching a filter reach the client. The WebSocket stream
+   * carries every event already; subscriptions with an id are also registered
+   * with System.Wss so it can filter server-side.
+   * @returns {Function} Release function
+   */
+  watch(filter, id) {
+    const client = this.client;
+    if (!id) {
+      if (!client.websocket || client.websocket.readyState !== WebSocket.OPEN) {
+        throw new Error('WebSocket not connected. request() needs the event stream to receive responses');
+      }
+      return () => {};
+    }
+
+    const message = { type: 'subscribe', subscription_id: id, filter };
+    client._serverSubscriptions.set(id, message);
+    client._sendControl(message);
+
+    return () => {
+      client._serverSubscriptions.delete(id);
+      client._sendControl({ type: 'unsubscribe', subscription_id: id });
+    };
+  }
+}
+
+/**
+ * Everything over NATS: emits are published to kernel.{Name}.action.emit and
+ * events are read from kernel.{Name}.> subjects
+ * @private
+ */
+class NatsTransport extends Transport {
+  constructor(client, name = 'nats', missing = {
+    auth: 'Password login needs the gateway WebSocket; use an OIDC login or transport: \'http-ws\''
+  }) {
+    super(client, name, missing);
+    // NATS subscriptions feeding the event pipeline, shared by subject
+    this._watches = new Map();
+  }
+
+  async connect() {
+    this.client._log.info('Direct NATS mode enabled', { natsUrl: this.client.options.natsUrl });
+    await this.client._connectNATS();
+    this.client._log.info('NATS connection complete');
+  }
+
+  async emit(kernelUrn, payload, options) {
+    const client = this.client;
+    if (!client.natsConnection) {
+      throw new Error('NATS connection not established');
+    }
+
+    const subject = options.subject || `kernel.${kernelNameOf(kernelUrn)}.action.emit`;
+    client.publishToSubject(subject, client.createEnvelope(kernelUrn, payload, options));
+    return { txId: options.txId, kernel: kernelUrn, subject };
+  }
+
+  /**
+   * Subscribe to the kernel subjects a filter needs (kernel.> without a kernel
+   * filter) and route their messages through the client's event pipeline
+   * @returns {Function} Release function
+   */
+  watch(filter, id, subject) {
+    const client = this.client;
+    subject = subject || (filter.kernel ? `kernel.${kernelNameOf(filter.kernel)}.>` : 'kernel.>');
+
+    let watch = this._watches.get(subject);
+    if (!watch) {
+      watch = {
+        count: 0,
+        unsubscribe: client._natsSubscribe(subject, (data, msg) => {
+          // Emits to kernels share kernel.> with their answers but are not events
+          if (msg.subject.endsWith('.action.emit')) return;
+          client._handleEvent(data, msg.subject);
+        })
+      };
+      this._watches.set(subject, watch);
+    }
+    watch.count++;
+
+    let released = false;
+    return () => {
+      if (released || this._watches.get(subject) !== watch) return;
+      released = true;
+      if (--watch.count === 0) {
+        this._watches.delete(subject);
+        watch.unsubscribe();
+      }
+    };
+  }
+
+  close() {
+    // The client unsubscribes everything when it drains the connection
+    this._watches.clear();
+  }
+}
+
+/**
+ * Discovery and emits over the HTTP gateway, events and subjects over NATS.
+ * The NATS URL comes from the discovered `nats` service when there is one.
+ * @private
+ */
+class HybridTransport extends NatsTransport {
+  constructor(client) {
+    super(client, 'hybrid', {
+      auth: 'Password login needs the gateway WebSocket; use an OIDC login or transport: \'http-ws\''
+    });
+  }
+
+  async connect() {
+    const client = this.client;
+    await client.discover();
+
+    const natsService = client.getService('nats');
+    const endpoints = (natsService && natsService.endpoints) || {};
+    const natsUrl = endpoints.ws || endpoints.wss;
+    if (natsUrl) {
+      client.options.natsUrl = natsUrl;
+    }
+
+    client._log.info('Hybrid mode: discovery over HTTP, events over NATS', { natsUrl: client.options.natsUrl });
+    await client._connectNATS();
+  }
+
+  emit(kernelUrn, payload, options) {
+    return this.client._withFailover(() => this.client._sendEmit(kernelUrn, payload, options));
+  }
+}
+
+/**
+ * Create the transport named by the connect options
+ * @private
+ */
+function createTransport(client) {
+  const name = client.options.transport || (client.options.directNATS ? 'nats' : 'http-ws');
+  switch (name) {
+    case 'http-ws':
+      return new HttpWsTransport(client);
+    case 'nats':
+      return new NatsTransport(client);
+    case 'hybrid':
+      return new HybridTransport(client);
+    default:
+      throw new Error(`Unknown transport: ${name} (expected 'http-ws', 'nats' or 'hybrid')`);
+  }
+}
+
+class ConceptKernel {
+  /**
+   * Connect to ConceptKernel gateway with auto-discovery
+   *
+   * @param {string|Array<string|Object>} gatewayUrl - Gateway URL (e.g., 'http://localhost:56000' for
+   *   local discovery), or a list of URLs / { url, priority } entries to fail over between
+   * @param {Object} [options] - Connection options
+   * @param {string} [options.gatewayStrategy='priority'] - With several gateways: 'priority' (lowest
+   *   priority number first, default list order), 'round-robin' (the first gateway, then onward
+   *   through the list at each failover instead of back to the top) or 'lowest-latency'
+   *   (fastest health check). The client stays on one gateway until it fails over.
+   * @param {number} [options.healthCheckInterval=30000] - Gateway health check interval (ms, 0 disables)
+   * @param {number} [options.healthCheckTimeout=5000] - Health check request timeout (ms)
+   * @param {string} [options.versionPolicy='latest'] - Version picked for unversioned kernel names:
+   *   'latest' (highest discovered) or 'pinned' (from pinnedVersions)
+   * @param {Object} [options.pinnedVersions] - Kernel versions by name ({ 'UI.Bakery': 'v1' })
+   * @param {boolean} [options.autoConnect=true] - Auto-connect WebSocket
+   * @param {Object} [options.auth] - Authentication credentials
+   * @param {string} [options.auth.username] - Username
+   * @param {string} [options.auth.password] - Password
+   * @param {number} [options.cacheTimeout=60000] - Service discovery cache timeout (ms)
+   * @param {boolean} [options.staleWhileRevalidate=false] - Once the cache expires, answer discover()
+   *   from it and refresh in the background
+   * @param {number} [options.discoveryRefreshInterval=0] - Re-fetch discovery in the background every
+   *   this many ms, emitting change events (0 disables)
+   * @param {boolean} [options.reconnect=true] - Auto-reconnect WebSocket on disconnect
+   * @param {number} [options.reconnectDelay=3000] - Initial reconnect delay, doubled on each attempt (ms)
+   * @param {number} [options.reconnectMaxDelay=30000] - Upper bound for the reconnect delay (ms)
+   * @param {number} [options.reconnectMaxAttempts=10] - Attempts before giving up (Infinity for no limit)
+   * @param {number} [options.reconnectJitter=0.5] - Fraction of each delay that is randomized (0-1)
+   * @param {string} [options.transport='http-ws'] - 'http-ws' (HTTP gateway + WebSocket), 'nats'
+   *   (NATS only, no discovery) or 'hybrid' (HTTP discovery and emits, events over NATS)
+   * @param {boolean} [options.directNATS=false] - Shorthand for transport: 'nats'
+   * @param {string} [options.natsUrl='ws://127.0.0.1:8080'] - NATS WebSocket URL (nats transport,
+   *   or hybrid when discovery has no `nats` service)
+   * @param {Object} [options.nats] - NATS connection settings (nats and hybrid transports)
+   * @param {string|string[]} [options.nats.servers] - Seed servers (default: natsUrl)
+   * @param {string} [options.nats.name] - Client name shown in server monitoring
+   * @param {string} [options.nats.user] - Username (with nats.pass)
+   * @param {string} [options.nats.pass] - Password
+   * @param {string} [options.nats.token] - Auth token
+   * @param {string} [options.nats.nkeySeed] - NKey seed (alone for NKey auth, or signing nats.jwt)
+   * @param {string} [options.nats.jwt] - User JWT
+   * @param {string} [options.nats.creds] - Contents of a .creds file (JWT + seed)
+   * @param {string} [options.nats.credsFile] - Path to a .creds file (Node.js)
+   * @param {Object} [options.nats.tls] - TLS options ({ caFile, certFile, keyFile } with the Node.js
+   *   `nats` package as natsModule)
+   * @param {boolean} [options.nats.reconnect=true] - Reconnect after losing the server
+   * @param {number} [options.nats.reconnectTimeWait=2000] - Wait between reconnect attempts (ms)
+   * @param {number} [options.nats.maxReconnectAttempts=10] - Attempts per server (-1 for no limit)
+   * @param {number} [options.nats.pingInterval] - Server ping interval (ms)
+   * @param {number} [options.nats.timeout] - Connection timeout (ms)
+   * @param {Object} [options.natsModule] - nats.ws-compatible module to use instead of loading
+   *   nats.ws (e.g. the in-memory MockNats from ConceptKernel.testing, or the `nats` package in Node.js)
+   * @param {boolean|Object} [options.outbox] - Queue failed or offline emits for replay
+   * @param {string|Object} [options.outbox.storage='auto'] - 'auto', 'memory', 'indexeddb', 'file'
+   *   or an adapter with load(), put(entry) and remove(txId)
+   * @param {string} [options.outbox.path='.ck-outbox.jsonl'] - Journal file (Node.js file storage)
+   * @param {number} [options.outbox.maxAttempts=10] - Delivery attempts before dead-lettering
+   * @param {number} [options.outbox.retryInterval=5000] - Replay interval while entries are pending (ms)
+   * @param {boolean} [options.envelope=false] - Send emits as full edge envelopes
+   * @param {string} [options.validate] - Validate envelopes against the bundled schema:
+   *   'outgoing' (throw before sending), 'incoming' (drop and report) or 'both'
+   * @param {string} [options.validatePayloads] - Check emit payloads against the target kernel's
+   *   schema before sending: 'strict' (throw PayloadValidationError) or 'warn' (log and send)
+   * @param {string|Object} [options.tokenStore] - Persist the session token: 'memory', 'localStorage',
+   *   'sessionStorage', 'file' or an adapter with get(), set(session) and clear()
+   * @param {string} [options.tokenStorePath='.ck-token.json'] - Token file (Node.js file store)
+   * @param {number} [options.tokenRefreshMargin=300000] - Refresh this long before the token expires (ms)
+   * @param {number} [options.requestTimeout=10000] - Default timeout for WebSocket commands (ms)
+   * @param {string|Object|Function} [options.logger] - Log level name, sink function or
+   *   `{ level, sink, redact }` config (default: silent)
+   * @returns {Promise<ConceptKernel>} Connected client instance
+   *
+   * @example
+   * ```javascript
+   * // Connect to local discovery port (HTTP gateway)
+   * const ck = await ConceptKernel.connect('http://localhost:56000');
+   *
+   * // Connect with authentication
+   * const ck = await ConceptKernel.connect('http://localhost:56000', {
+   *   auth: { username: 'alice', password: 'secret123' }
+   * });
+   *
+   * // Connect directly to NATS (bypassing HTTP gateway)
+   * const ck = await ConceptKernel.connect('http://localhost:56000', {
+   *   transport: 'nats',
+   *   natsUrl: 'ws://127.0.0.1:8080'
+   * });
+   *
+   * // Two gateways, failing over from the primary to the standby
+   * const ck = await ConceptKernel.connect([
+   *   { url: 'https://gw1.example.com', priority: 0 },
+   *   { url: 'https://gw2.example.com', priority: 1 }
+   * ]);
+   * ck.on('gateway_switched', ({ from, to, reason }) => console.warn(`Gateway ${from} -> ${to} (${reason})`));
+   *
+   * // Discover over HTTP, carry events over NATS
+   * const ck = await ConceptKernel.connect('http://localhost:56000', { transport: 'hybrid' });
+   *
+   * // Connect to remote gateway
+   * const ck = await ConceptKernel.connect('https://gateway.example.com', {
+   *   autoConnect: false
+   * });
+   *
+   * // Structured debug logging with extra payload fields masked
+   * const ck = await ConceptKernel.connect('http://localhost:56000', {
+   *   logger: { level: 'debug', sink: 'json', redact: ['ssn'] }
+   * });
+   * ```
+   */
+  static async connect(gatewayUrl, options = {}) {
+    if (!gatewayUrl || (Array.isArray(gatewayUrl) && gatewayUrl.length === 0)) {
+      throw new Error('gatewayUrl is required (e.g., "http://localhost:56000" for local discovery)');
+    }
+
+    const client = new ConceptKernel(gatewayUrl, options);
+    client._log.info('Connecting to gateway', { gatewayUrl });
+    client._log.debug('Options', options);
+
+    if (client.gateways.length > 1 && client.transport.name !== 'nats') {
+      await client._selectInitialGateway();
+    }
+
+    if (options.outbox) {
+      await client._initOutbox();
+    }
+
+    await client.transport.connect();
+    client._startHealthChecks();
+    client._startDiscoveryRefresh();
+
+    client._log.info('Connection complete');
+    return client;
+  }
+
+  /**
+   * Create a new ConceptKernel client (use .connect() instead)
+   * @private
+   */
+  constructor(gatewayUrl, options = {}) {
+    // All configured gateways with their health; gatewayUrl is the active one
+    this.gateways = normalizeGateways(gatewayUrl);
+    this.gatewayUrl = this.gateways[0].url;
+    this.options = {
+      cacheTimeout: 60000,
+      reconnect: true,
+      reconnectDelay: 3000,
+      reconnectMaxDelay: 30000,
+      reconnectMaxAttempts: 10,
+      reconnectJitter: 0.5,
+      natsUrl: 'ws://127.0.0.1:8080',
+      directNATS: false,
+      requestTimeout: 10000,
+      envelope: false,
+      tokenRefreshMargin: 300000,
+      staleWhileRevalidate: false,
+      discoveryRefreshInterval: 0,
+      gatewayStrategy: 'priority',
+      healthCheckInterval: 30000,
+      healthCheckTimeout: 5000,
+      versionPolicy: 'latest',
+      pinnedVersions: {},
+      ...options
+    };
+
+    this.services = null;
+    this.kernels = [];
+    this.lastDiscovery = null;
+
+    // ETag / Last-Modified of the last discovery response, background refresh state
+    this._discoveryValidators = null;
+    this._discoveryTimer = null;
+    this._revalidating = null;
+
+    // Payload schemas per kernel name, dropped whenever discovery changes
+    this._schemaCache = new Map();
+    this.websocket = null;
+    this.token = null;
+    this.actor = null;
+    this.roles = [];
+    this.authenticated = false;
+
+    // NATS connection (nats and hybrid transports)
+    this.natsConnection = null;
+    // Subject subscriptions by id ({ id, subject, queue, max, sub, stats })
+    this.natsSubscriptions = new Map();
+    this._natsSubscriptionCounter = 0;
+    this._natsReconnects = 0;
+    this._natsLameDuck = false;
+
+    // JetStream: manager (created on first use) and active consumers
+    this._jsm = null;
+    this._jetStreamConsumers = new Set();
+
+    // In-flight WebSocket requests awaiting a correlated reply, keyed by request_id
+    this._pendingRequests = new Map();
+    this._requestCounter = 0;
+
+    // subscribe() handlers with their filters, keyed by subscription id
+    this._subscriptions = new Map();
+    this._subscriptionCounter = 0;
+
+    // request() calls awaiting a RESPONDS envelope, keyed by txId
+    this._replyWaiters = new Map();
+
+    // Unfinished track() trackers, stopped on disconnect
+    this._trackers = new Set();
+
+    // Reconnection state: attempt counter, pending timer, credentials for re-authentication
+    this._reconnectAttempts = 0;
+    this._reconnectTimer = null;
+    this._credentials = null;
+    this._welcomeWaiters = [];
+    this._welcomed = false;
+
+    // Server-side subscription messages to re-send after a reconnect, keyed by id
+    this._serverSubscriptions = new Map();
+
+    if (!GATEWAY_STRATEGIES.includes(this.options.gatewayStrategy)) {
+      throw new Error(`Invalid gatewayStrategy: ${this.options.gatewayStrategy} (expected ${GATEWAY_STRATEGIES.join(', ')})`);
+    }
+
+    // Multi-gateway state: round-robin position, health check timer, in-flight failover
+    this._gatewayCursor = 0;
+    this._healthTimer = null;
+    this._failingOver = null;
+
+    if (this.options.validate && !['outgoing', 'incoming', 'both'].includes(this.options.validate)) {
+      throw new Error(`Invalid validate option: ${this.options.validate} (expected 'outgoing', 'incoming' or 'both')`);
+    }
+
+    if (!VERSION_POLICIES.includes(this.options.versionPolicy)) {
+      throw new Error(`Invalid versionPolicy: ${this.options.versionPolicy} (expected ${VERSION_POLICIES.join(' or ')})`);
+    }
+
+    if (this.options.validatePayloads && !['strict', 'warn'].includes(this.options.validatePayloads)) {
+      throw new Error(`Invalid validatePayloads option: ${this.options.validatePayloads} (expected 'strict' or 'warn')`);
+    }
+
+    // Logger (silent unless options.logger is given)
+    this._log = createLogger(this.options.logger);
+
+    // How emits, requests and subscriptions travel (http-ws, nats or hybrid)
+    this.transport = createTransport(this);
+
+    // Offline outbox (when options.outbox is set), loaded in connect()
+    this._outbox = null;
+
+    // Token persistence (when options.tokenStore is set) and expiry timers
+    this._tokenStore = this.options.tokenStore
+      ? createTokenStore(this.options.tokenStore, `ck-client-token:${this.gatewayUrl}`, this.options.tokenStorePath)
+      : null;
+    this.tokenExpiresAt = null;
+    this._tokenTimers = [];
+    this._oidcConfiguration = null;
+
+    // Event handlers
+    this._eventHandlers = {
+      event: [],
+      notification: [],
+      connected: [],
+      authenticated: [],
+      disconnected: [],
+      reconnecting: [],
+      reconnected: [],
+      reconnect_failed: [],
+      token_expiring: [],
+      token_expired: [],
+      gateway_switched: [],
+      discovered: [],
+      service_added: [],
+      service_removed: [],
+      kernel_added: [],
+      kernel_removed: [],
+      kernel_mode_changed: [],
+      outbox_queued: [],
+      outbox_delivered: [],
+      outbox_dead_letter: [],
+      nats_ldm: [],
+      nats_update: [],
+      error: []
+    };
+  }
+
+  /**
+   * Discover available services from gateway
+   *
+   * Repeat fetches are conditional (If-None-Match / If-Modified-Since). Changes
+   * against the previous snapshot are reported as service_added, service_removed,
+   * kernel_added, kernel_removed and kernel_mode_changed events.
+   *
+   * @param {boolean} [forceRefresh=false] - Ignore the cache
+   * @returns {Promise<Object>} Service map
+   */
+  async discover(forceRefresh = false) {
+    this._log.trace('discover() called', { forceRefresh });
+
+    // Return cached services if still valid
+    if (!forceRefresh && this.services && this.lastDiscovery) {
+      const age = Date.now() - this.lastDiscovery;
+      if (age < this.options.cacheTimeout) {
+        this._log.trace('Using cached services', { age });
+        return this.services;
+      }
+
+      if (this.options.staleWhileRevalidate) {
+        this._log.trace('Serving stale services while revalidating', { age });
+        this._revalidateDiscovery();
+        return this.services;
+      }
+    }
+
+    return this._fetchDiscovery();
+  }
+
+  /**
+   * Fetch the discovery document and apply it
+   * @private
+   */
+  async _fetchDiscovery() {
+    const url = `${this.gatewayUrl}/.well-known/ck-services`;
+    this._log.debug('Fetching service discovery', { url });
+
+    // Validators only apply to the gateway that issued them
+    const headers = {};
+    const validators = this._discoveryValidators;
+    if (this.services && validators && validators.url === url) {
+      if (validators.etag) headers['If-None-Match'] = validators.etag;
+      if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+    }
+
+    try {
+      const response = await this._fetch(url, { headers });
+      this._log.trace('Service discovery response', { status: response.status, statusText: response.statusText });
+
+      if (response.status === 304) {
+        this.lastDiscovery = Date.now();
+        this._log.trace('Service discovery not modified');
+        this._emit('discovered', { services: Object.keys(this.services), kernels: this.kernels.length, notModified: true });
+        return this.services;
+      }
+
+      if (!response.ok) {
+        this._log.error('Service discovery failed', { status: response.status, statusText: response.statusText });
+        throw new Error(`Service discovery failed: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      this._log.trace('Service discovery data', data);
+
+      const previous = this.services ? { services: this.services, kernels: this.kernels } : null;
+
+      this.services = data.services || {};
+      this.kernels = data.kernels || [];
+      this.lastDiscovery = Date.now();
+      this._schemaCache.clear();
+      this.ckVersion = data.ck_version;
+      this.domain = data.domain;
+      this._discoveryValidators = {
+        url,
+        etag: response.headers && response.headers.get('ETag'),
+        lastModified: response.headers && response.headers.get('Last-Modified')
+      };
+
+      this._log.debug('Discovered services', { services: Object.keys(this.services) });
+      this._emit('discovered', { services: Object.keys(this.services), kernels: this.kernels.length, notModified: false });
+
+      if (previous) {
+        diffDiscovery(previous, { services: this.services, kernels: this.kernels })
+          .forEach(([eventType, data]) => this._emit(eventType, data));
+      }
+
+      return this.services;
+    } catch (error) {
+      this._log.error('Service discovery error', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Emit event to a kernel
+   *
+   * @param {string} kernelUrn - Kernel URN or name (e.g., 'UI.Bakery', 'Bakery' or 'ckp://UI.Bakery:v1'),
+   *   resolved with resolveKernel(); names that are not in URN form are sent unchanged
+   * @param {Object} payload - Event payload
+   * @param {Object} [options] - Emit options
+   * @param {string} [options.txId] - Transaction ID (auto-generated if not provided)
+   * @param {string} [options.edge='QUERIES'] - BFO edge predicate (ANNOUNCES, TRANSFORMS, ...)
+   * @param {boolean} [options.envelope] - Send the full { txId, edge, from, to, payload } envelope
+   *   (default: the `envelope` connect option)
+   * @param {string} [options.from] - Sender URN for envelopes (default: derived from the actor)
+   * @param {string} [options.subject] - NATS subject to publish on with the nats transport
+   *   (default: kernel.{Name}.action.emit)
+   * @param {boolean} [options.validatePayload] - false skips the validatePayloads check for this emit
+   * @returns {Promise<Object>} Result with txId and processUrn, or `{ txId, kernel, queued: true }`
+   *   when the emit was stored in the outbox
+   *
+   * @example
+   * ```javascript
+   * // Simple emit
+   * await ck.emit('UI.Bakery', { action: 'mix' });
+   *
+   * // With full URN
+   * await ck.emit('ckp://UI.Bakery:v1', { action: 'bake', temp: 350 });
+   *
+   * // Get transaction ID
+   * const result = await ck.emit('UI.Bakery', { action: 'mix' });
+   * console.log('Transaction:', result.txId);
+   *
+   * // Announce with a pre-generated txId, as a full envelope
+   * const txId = ConceptKernel.generateTxId();
+   * await ck.emit('UI.Bakery', { action: 'ready' }, { txId, edge: 'ANNOUNCES', envelope: true });
+   *
+   * // With { outbox: true }, offline emits are queued and replayed later
+   * const { queued } = await ck.emit('UI.Bakery', { action: 'mix' });
+   * ```
+   */
+  async emit(kernelUrn, payload, options = {}) {
+    this._log.debug('emit() called', { kernel: kernelUrn, payload });
+
+    // The txId and sender are fixed up front so callers (and outbox replays) can correlate on them
+    const edge = options.edge || EDGES.QUERIES;
+    if (!PREDICATE_PATTERN.test(edge)) {
+      throw new Error(`Invalid edge predicate: ${edge} (expected SCREAMING_SNAKE_CASE, e.g. QUERIES)`);
+    }
+
+    // Short and unversioned names are sent as the discovered, versioned URN
+    const target = this._resolveTarget(kernelUrn);
+
+    const sendOptions = {
+      ...options,
+      txId: options.txId || generateTxId(),
+      edge,
+      envelope: options.envelope !== undefined ? options.envelope : this.options.envelope,
+      from: options.from || actorToAgentUrn(this.actor)
+    };
+
+    if (this._validates('outgoing')) {
+      assertValidEnvelope(this.createEnvelope(target, payload, sendOptions), 'outgoing');
+    }
+
+    if (this.options.validatePayloads && options.validatePayload !== false) {
+      await this._preflightPayload(target, payload, edge);
+    }
+
+    if (!this._outbox) {
+      return this.transport.emit(target, payload, sendOptions);
+    }
+
+    // Preserve ordering: while a backlog exists, new emits queue behind it
+    if (this._outbox.entries.length > 0) {
+      return this._enqueueOutbox(target, payload, sendOptions, null);
+    }
+
+    try {
+      return await this.transport.emit(target, payload, sendOptions);
+    } catch (error) {
+      if (!isRetryableEmitError(error)) {
+        throw error;
+      }
+      return this._enqueueOutbox(target, payload, sendOptions, error);
+    }
+  }
+
+  /**
+   * Send a message and wait for the kernel's answer
+   *
+   * Resolves with the RESPONDS envelope carrying the same txId, taken from the
+   * WebSocket event stream (or from NATS with the nats and hybrid transports).
+   *
+   * @param {string} kernelUrn - Kernel URN or simple name
+   * @param {Object} payload - Request payload
+   * @param {Object} [options] - Emit options plus:
+   * @param {number} [options.timeout] - Time to wait for the emit and the answer (default: options.requestTimeout)
+   * @param {string} [options.subject] - NATS subject to publish on (default: kernel.{Name}.action.emit)
+   * @param {string} [options.replySubject] - NATS subject carrying answers (default: kernel.{Name}.>)
+   * @returns {Promise<Object>} RESPONDS envelope { txId, edge, from, to, payload }
+   *
+   * @example
+   * ```javascript
+   * const response = await ck.request('System.Registry', { action: 'query', type: 'process_list' });
+   * console.log(response.payload.processes);
+   * ```
+   */
+  async request(kernelUrn, payload, options = {}) {
+    this.transport.require('request', 'request');
+
+    // Resolved once, so the reply subject matches the kernel the emit goes to
+    kernelUrn = this._resolveTarget(kernelUrn);
+    const release = this.transport.watch({ kernel: kernelUrn }, null, options.replySubject);
+
+    const txId = options.txId || generateTxId();
+    const timeout = options.timeout || this.options.requestTimeout;
+
+    const reply = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._replyWaiters.delete(txId);
+        reject(new Error(`Request timeout: no response from ${kernelUrn} within ${timeout}ms (txId ${txId})`));
+      }, timeout);
+      this._replyWaiters.set(txId, { resolve, reject, timer });
+    });
+    // The timeout also covers a slow emit; reply is awaited below either way
+    reply.catch(() => {});
+
+    try {
+      await Promise.race([this.emit(kernelUrn, payload, { ...options, txId }), reply]);
+      return await reply;
+    } catch (error) {
+      const waiter = this._replyWaiters.get(txId);
+      if (waiter) {
+        clearTimeout(waiter.timer);
+        this._replyWaiters.delete(txId);
+      }
+      throw error;
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Follow a transaction's process live
+   *
+   * Phases (temporal parts) are taken from WebSocket events carrying the txId and
+   * a `phase` or temporal-part payload as they arrive. System.Registry's
+   * process_describe is the fallback: it is polled once at the start and then
+   * only while no event for the txId arrived within `pollInterval`, and also
+   * supplies the final process record. disconnect() stops every tracker.
+   *
+   * @param {string} txId - Transaction ID to follow
+   * @param {Object} [options]
+   * @param {number} [options.pollInterval=1000] - Poll the registry after this long without events (ms)
+   * @param {number} [options.timeout=300000] - Give up after this long (ms)
+   * @returns {TransactionTracker} Async iterable of { type: 'phase', phase } and a final
+   *   { type: 'complete', process }; also emits 'phase', 'complete' and 'error'
+   *
+   * @example
+   * ```javascript
+   * const { txId } = await ck.emit('UI.Bakery', { action: 'bake' });
+   *
+   * for await (const update of ck.track(txId)) {
+   *   if (update.type === 'phase') progress.step(update.phase.phase);
+   *   else console.log('Finished:', update.process.status, update.process.duration, 'ms');
+   * }
+   *
+   * // Or with events
+   * const tracker = ck.track(txId);
+   * tracker.on('phase', (part) => console.log(part.phase));
+   * const process = await tracker.done;
+   * ```
+   */
+  track(txId, options = {}) {
+    const pollInterval = options.pollInterval || 1000;
+    const timeout = options.timeout || 300000;
+    const tracker = new TransactionTracker(txId);
+    let lastEventAt = 0;
+
+    // Live phases from the event stream
+    tracker._cleanup.push(this.on('event', (event) => {
+      const envelope = extractEnvelope(event);
+      const eventTxId = envelope ? envelope.txId : event.txId;
+      if (eventTxId !== txId) return;
+      lastEventAt = Date.now();
+
+      const data = (envelope ? envelope.payload : event.data) || {};
+      if (data.process && isProcessFinished(data.process)) {
+        tracker._complete(toFinalProcess(data.process));
+        return;
+      }
+
+      // The originating QUERIES envelope carries the txId too, but is no phase;
+      // neither are answers without an explicit phase or temporal part
+      if (envelope && envelope.edge === EDGES.QUERIES) return;
+      const parts = Array.isArray(data.temporalParts) ? data.temporalParts : (data.temporalPart ? [data.temporalPart] : []);
+      parts.filter(part => part && part.phase).forEach(part => tracker._phase(part));
+      if (data.phase) {
+        tracker._phase({
+          phase: data.phase,
+          timestamp: data.timestamp || event.timestamp || new Date().toISOString(),
+          data
+        });
+      }
+    }));
+
+    // Authoritative state from System.Registry, while the event stream is quiet
+    let timer = null;
+    const poll = async () => {
+      timer = null;
+      const quiet = Date.now() - lastEventAt;
+      if (quiet < pollInterval) {
+        timer = setTimeout(poll, pollInterval - quiet);
+        return;
+      }
+
+      try {
+        const response = await this.request('System.Registry', {
+          action: 'query',
+          type: 'process_describe',
+          txId
+        }, { timeout: Math.max(pollInterval * 5, 5000) });
+
+        const process = response.payload && response.payload.process;
+        if (process) {
+          if (isProcessFinished(process)) {
+            tracker._complete(toFinalProcess(process));
+            return;
+          }
+          (process.temporalParts || []).forEach(part => tracker._phase(part));
+        }
+      } catch (err) {
+        this._log.debug('Process poll failed', { txId, error: err });
+      }
+
+      if (!tracker.finished) {
+        timer = setTimeout(poll, pollInterval);
+      }
+    };
+
+    timer = setTimeout(poll, 0);
+    const deadline = setTimeout(() => {
+      tracker._fail(new Error(`Tracking timeout: ${txId} did not finish within ${timeout}ms`));
+    }, timeout);
+
+    this._trackers.add(tracker);
+    tracker._cleanup.push(() => {
+      clearTimeout(timer);
+      clearTimeout(deadline);
+      this._trackers.delete(tracker);
+    });
+
+    return tracker;
+  }
+
+  /**
+   * Get a proxy for a discovered kernel
+   *
+   * The proxy has one method per function the kernel declares in discovery,
+   * each sending `{ action, ...params }` through request(). Actions the kernel
+   * does not declare are rejected before anything is sent.
+   *
+   * @param {string} kernelUrn - Kernel URN or name
+   * @returns {KernelProxy} Proxy with urn, mode, status, metadata, functions,
+   *   capabilities, roles, call(action, params) and emit(action, params)
+   *
+   * @example
+   * ```javascript
+   * const bakery = ck.kernel('UI.Bakery');
+   * console.log(bakery.mode, bakery.functions); // 'ONLINE', ['mix', 'bake']
+   *
+   * const response = await bakery.mix({ ingredients: ['flour', 'eggs'] });
+   * await bakery.call('fly'); // Error: UI.Bakery does not declare function 'fly'
+   * ```
+   */
+  kernel(kernelUrn) {
+    const { urn, kernel } = this.resolveKernel(kernelUrn);
+    if (!kernel) {
+      throw new Error(`Kernel not found in discovery: ${kernelUrn}`);
+    }
+    return new KernelProxy(this, kernelNameOf(urn));
+  }
+
+  /**
+   * Resolve a kernel name or URN against the discovered kernels
+   *
+   * Short names get the ckp:// scheme and match whole name segments ('Bakery'
+   * finds UI.Bakery but not UI.BakeryAdmin). Unversioned names resolve to a
+   * discovered version per the versionPolicy option: the latest, or the one in
+   * pinnedVersions. Names that are not discovered resolve to their normalized URN.
+   *
+   * @param {string} kernelUrn - Kernel URN or name
+   * @param {Object} [options]
+   * @param {string} [options.policy] - 'latest' or 'pinned' (default: the versionPolicy option)
+   * @param {Object} [options.pins] - Versions by kernel name, on top of the pinnedVersions option
+   * @returns {Object} { urn, kernel } - kernel is the discovery entry, or null
+   * @throws {AmbiguousUrnError} When the name matches several kernels (or unpinned versions)
+   *
+   * @example
+   * ```javascript
+   * ck.resolveKernel('Bakery').urn;                 // 'ckp://UI.Bakery:v2' (latest)
+   * ck.resolveKernel('UI.Bakery:v1').urn;           // 'ckp://UI.Bakery:v1'
+   * ck.resolveKernel('Bakery', { pins: { 'UI.Bakery': 'v1' }, policy: 'pinned' }).urn; // 'ckp://UI.Bakery:v1'
+   * ```
+   */
+  resolveKernel(kernelUrn, options = {}) {
+    return resolveKernelUrn(kernelUrn, this.kernels, {
+      policy: options.policy || this.options.versionPolicy,
+      pins: { ...this.options.pinnedVersions, ...options.pins }
+    });
+  }
+
+  /**
+   * Kernel an emit is sent to: the resolved URN, or the name unchanged when it
+   * is not in URN form (lowercase or hyphenated gateway names)
+   * @private
+   */
+  _resolveTarget(kernelUrn) {
+    try {
+      normalizeUrn(kernelUrn);
+    } catch (err) {
+      return kernelUrn;
+    }
+    return this.resolveKernel(kernelUrn).urn;
+  }
+
+  /**
+   * Build an edge message envelope
+   *
+   * @param {string} kernelUrn - Target kernel URN or simple name
+   * @param {Object} payload - Event payload
+   * @param {Object} [options]
+   * @param {string} [options.txId] - Transaction ID (generated if not provided)
+   * @param {string} [options.edge='QUERIES'] - BFO edge predicate
+   * @param {string} [options.from] - Sender URN (default: derived from the authenticated actor)
+   * @returns {Object} Envelope { txId, edge, from, to, payload }
+   *
+   * @example
+   * ```javascript
+   * const envelope = ck.createEnvelope('UI.Bakery', { action: 'mix' }, { edge: 'TRANSFORMS' });
+   * // { txId: '1733445678901-a1b2c3d4', edge: 'TRANSFORMS', from: 'ckp://Agent.Alice',
+   * //   to: 'ckp://UI.Bakery', payload: { action: 'mix' } }
+   * ```
+   */
+  createEnvelope(kernelUrn, payload, options = {}) {
+    const edge = options.edge || EDGES.QUERIES;
+    if (!PREDICATE_PATTERN.test(edge)) {
+      throw new Error(`Invalid edge predicate: ${edge} (expected SCREAMING_SNAKE_CASE, e.g. QUERIES)`);
+    }
+
+    return {
+      txId: options.txId || generateTxId(),
+      edge,
+      from: options.from || actorToAgentUrn(this.actor),
+      to: kernelUrn.startsWith('ckp://') ? kernelUrn : `ckp://${kernelUrn}`,
+      payload
+    };
+  }
+
+  /**
+   * Validate an edge envelope against the bundled envelope schema
+   *
+   * @param {Object} envelope - Envelope { txId, edge, from, to, payload }
+   * @returns {{ valid: boolean, errors: Array<{ pointer: string, keyword: string, message: string }> }}
+   *
+   * @example
+   * ```javascript
+   * const { valid, errors } = ConceptKernel.validateEnvelope({ txId: 'abc', edge: 'queries' });
+   * // errors: [{ pointer: '/from', keyword: 'required', ... }, { pointer: '/txId', keyword: 'pattern', ... }, ...]
+   * ```
+   */
+  static validateEnvelope(envelope) {
+    return validateEnvelope(envelope);
+  }
+
+  /**
+   * Generate a transaction ID matching the envelope schema ({timestampMs}-{8hex})
+   * @returns {string} Transaction ID
+   *
+   * @example
+   * ```javascript
+   * const txId = ConceptKernel.generateTxId();
+   * ck.on('event', (e) => { if (e.txId === txId) console.log('Ours:', e); });
+   * await ck.emit('UI.Bakery', { action: 'mix' }, { txId });
+   * ```
+   */
+  static generateTxId() {
+    return generateTxId();
+  }
+
+  /**
+   * Render TypeScript declarations from kernel payload schemas (no network)
+   *
+   * @param {Object} kernelSchemas - { [kernelName]: { [edge]: { [action]: { payload, response } } } }
+   * @returns {string} `.d.ts` source augmenting KernelPayloads
+   */
+  static generateTypes(kernelSchemas) {
+    return generateKernelTypes(kernelSchemas);
+  }
+
+  /**
+   * List emits waiting in the outbox, oldest first
+   * @returns {Object[]} Outbox entries ({ txId, kernel, payload, attempts, createdAt, lastError })
+   */
+  getOutbox() {
+    if (!this._outbox) return [];
+    return this._outbox.entries.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Remove a pending emit from the outbox
+   * @param {string} txId - Transaction ID of the entry
+   * @returns {Promise<boolean>} True if an entry was removed
+   */
+  async cancelOutboxEntry(txId) {
+    if (!this._outbox) return false;
+
+    const index = this._outbox.entries.findIndex(entry => entry.txId === txId);
+    if (index === -1) return false;
+
+    this._outbox.entries.splice(index, 1);
+    await this._outbox.store.remove(txId);
+    this._log.debug('Outbox entry cancelled', { txId });
+    return true;
+  }
+
+  /**
+   * Replay pending outbox entries in order
+   *
+   * Stops at the first entry that still cannot be delivered. Entries rejected by
+   * the gateway, or that exhausted `outbox.maxAttempts`, are dead-lettered.
+   *
+   * @returns {Promise<Object>} { delivered, deadLettered, remaining }
+   */
+  async flushOutbox() {
+    if (!this._outbox) {
+      return { delivered: 0, deadLettered: 0, remaining: 0 };
+    }
+
+    if (this._outbox.flushing) {
+      return this._outbox.flushing;
+    }
+
+    this._outbox.flushing = (async () => {
+      const outbox = this._outbox;
+      let delivered = 0;
+      let deadLettered = 0;
+
+      while (outbox.entries.length > 0) {
+        const entry = outbox.entries[0];
+        entry.attempts++;
+
+        try {
+          const result = await this.transport.emit(entry.kernel, entry.payload, entry.options);
+          outbox.entries.shift();
+          await outbox.store.remove(entry.txId);
+          delivered++;
+          this._log.debug('Outbox entry delivered', { txId: entry.txId, attempts: entry.attempts });
+          this._emit('outbox_delivered', { entry: { ...entry }, result });
+        } catch (error) {
+          entry.lastError = error.message;
+
+          if (isRetryableEmitError(error) && entry.attempts < outbox.config.maxAttempts) {
+            await outbox.store.put(entry);
+            break;
+          }
+
+          outbox.entries.shift();
+          await outbox.store.remove(entry.txId);
+          deadLettered++;
+          this._log.warn('Outbox entry dead-lettered', { txId: entry.txId, attempts: entry.attempts, error });
+          this._emit('outbox_dead_letter', { entry: { ...entry }, error });
+        }
+      }
+
+      return { delivered, deadLettered, remaining: outbox.entries.length };
+    })();
+
+    try {
+      return await this._outbox.flushing;
+    } finally {
+      this._outbox.flushing = null;
+    }
+  }
+
+  /**
+   * POST a payload to the gateway emit endpoint
+   * @private
+   */
+  async _sendEmit(kernelUrn, payload, options = {}) {
+    const gatewayService = this.getService('gateway');
+    this._log.trace('Gateway service', gatewayService);
+
+    if (!gatewayService) {
+      this._log.error('Gateway service not available');
+      throw new Error('Gateway service not available');
+    }
+
+    const emitUrl = gatewayService.endpoints.emit || gatewayService.endpoints.http;
+    if (!emitUrl) {
+      this._log.error('Gateway emit endpoint not found');
+      throw new Error('Gateway emit endpoint not found');
+    }
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-CK-Kernel': kernelUrn
+    };
+
+    if (options.edge) {
+      headers['X-CK-Edge'] = options.edge;
+    }
+
+    // Include authentication token if available
+    if (this.token) {
+      headers['Authorization'] = `Bearer ${this.token}`;
+    }
+
+    if (options.txId) {
+      headers['X-CK-TxId'] = options.txId;
+    }
+
+    this._log.trace('Sending POST request', { url: emitUrl, headers });
+
+    try {
+      const body = options.envelope
+        ? this.createEnvelope(kernelUrn, payload, options)
+        : payload;
+
+      const response = await this._fetch(emitUrl, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body)
+      });
+
+      this._log.trace('Emit response', { status: response.status, statusText: response.statusText });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({ error: 'Emit failed' }));
+        this._log.error('Emit failed', error);
+        const err = new Error(error.error || `Emit failed: ${response.status}`);
+        err.status = response.status;
+        throw err;
+      }
+
+      const result = await response.json();
+      this._log.debug('Emit result', result);
+      return { txId: options.txId, ...result };
+    } catch (error) {
+      this._log.error('Emit error', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Authenticate with username and password
+   *
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Object>} Authentication result with token and roles
+   *
+   * @example
+   * ```javascript
+   * await ck.authenticate('alice', 'secret123');
+   * console.log('Roles:', ck.roles);
+   * ```
+   */
+  async authenticate(username, password) {
+    this.transport.require('auth', 'authenticate');
+    this._log.debug('authenticate() called', { username, readyState: this.websocket?.readyState });
+
+    if (!this.websocket || this.websocket.readyState !== WebSocket.OPEN) {
+      this._log.error('WebSocket not connected');
+      throw new Error('WebSocket not connected. Call connect() first.');
+    }
+
+    const result = await this._upgradeToken(this.token, { username, password });
+
+    // Kept in memory only, to re-authenticate after a reconnect
+    this._credentials = { username, password };
+    return result;
+  }
+
+  /**
+   * Fetch the OpenID Provider metadata of the discovered `oidc` service
+   * @returns {Promise<Object>} OpenID configuration (authorization_endpoint, token_endpoint, ...)
+   */
+  async getOidcConfiguration() {
+    if (this._oidcConfiguration) {
+      return this._oidcConfiguration;
+    }
+
+    const oidcService = this.getService('oidc');
+    if (!oidcService) {
+      throw new Error('OIDC service not available');
+    }
+
+    const endpoints = oidcService.endpoints || {};
+    const issuer = endpoints.issuer || endpoints.https || endpoints.http;
+    if (!issuer) {
+      throw new Error('OIDC issuer endpoint not found');
+    }
+
+    const url = endpoints.configuration || `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+    this._log.debug('Fetching OIDC configuration', { url });
+
+    const response = await this._fetch(url);
+    if (!response.ok) {
+      throw new Error(`OIDC discovery failed: ${response.status} ${response.statusText}`);
+    }
+
+    this._oidcConfiguration = await response.json();
+    return this._oidcConfiguration;
+  }
+
+  /**
+   * Build an authorization code + PKCE login URL
+   *
+   * Keep the returned state and codeVerifier for handleRedirectCallback();
+   * loginWithRedirect() does this automatically in browsers.
+   *
+   * @param {Object} options
+   * @param {string} options.clientId - OAuth client ID
+   * @param {string} options.redirectUri - Redirect URI registered for the client
+   * @param {string} [options.scope='openid profile'] - Requested scopes
+   * @returns {Promise<Object>} { url, state, codeVerifier }
+   */
+  async createAuthorizationUrl(options) {
+    const config = await this.getOidcConfiguration();
+    const state = randomBase64Url(16);
+    const codeVerifier = randomBase64Url(32);
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: options.clientId,
+      redirect_uri: options.redirectUri,
+      scope: options.scope || 'openid profile',
+      state,
+      code_challenge: await pkceChallenge(codeVerifier),
+      code_challenge_method: 'S256'
+    });
+
+    return { url: `${config.authorization_endpoint}?${params}`, state, codeVerifier };
+  }
+
+  /**
+   * Start a browser login (authorization code with PKCE) by redirecting to the provider
+   *
+   * @param {Object} options - clientId, redirectUri and scope (see createAuthorizationUrl)
+   *
+   * @example
+   * ```javascript
+   * // On the login button
+   * await ck.loginWithRedirect({ clientId: 'ck-web', redirectUri: location.origin + '/callback' });
+   *
+   * // On the /callback page
+   * await ck.handleRedirectCallback({ clientId: 'ck-web', redirectUri: location.origin + '/callback' });
+   * ```
+   */
+  async loginWithRedirect(options) {
+    const { url, state, codeVerifier } = await this.createAuthorizationUrl(options);
+    window.sessionStorage.setItem('ck-client-oidc', JSON.stringify({ state, codeVerifier }));
+    window.location.assign(url);
+  }
+
+  /**
+   * Complete an authorization code login and upgrade it into a CK session
+   *
+   * @param {Object} options
+   * @param {string} options.clientId - OAuth client ID
+   * @param {string} options.redirectUri - Redirect URI used to start the login
+   * @param {string} [options.url] - Callback URL (default: window.location.href)
+   * @param {string} [options.state] - Expected state (default: saved by loginWithRedirect)
+   * @param {string} [options.codeVerifier] - PKCE verifier (default: saved by loginWithRedirect)
+   * @returns {Promise<Object>} Authentication result with token, actor and roles
+   */
+  async handleRedirectCallback(options) {
+    let { state, codeVerifier } = options;
+    if (!codeVerifier && typeof window !== 'undefined') {
+      const saved = JSON.parse(window.sessionStorage.getItem('ck-client-oidc') || '{}');
+      window.sessionStorage.removeItem('ck-client-oidc');
+      state = state || saved.state;
+      codeVerifier = saved.codeVerifier;
+    }
+
+    const params = new URL(options.url || window.location.href).searchParams;
+    if (params.get('error')) {
+      throw new Error(`OIDC login failed: ${params.get('error_description') || params.get('error')}`);
+    }
+    if (!params.get('code')) {
+      throw new Error('OIDC callback has no authorization code');
+    }
+    if (!state) {
+      throw new Error('OIDC state missing: start the login with loginWithRedirect() or pass the state from createAuthorizationUrl()');
+    }
+    if (params.get('state') !== state) {
+      throw new Error('OIDC state mismatch');
+    }
+
+    const tokens = await this._oidcTokenRequest({
+      grant_type: 'authorization_code',
+      code: params.get('code'),
+      redirect_uri: options.redirectUri,
+      client_id: options.clientId,
+      code_verifier: codeVerifier
+    });
+    return this._upgradeWithOidcTokens(tokens);
+  }
+
+  /**
+   * Log in with the device authorization flow (for CLIs and headless devices)
+   *
+   * @param {Object} options
+   * @param {string} options.clientId - OAuth client ID
+   * @param {string} [options.scope='openid profile'] - Requested scopes
+   * @param {Function} options.onPrompt - Called with { verificationUri, verificationUriComplete,
+   *   userCode, expiresIn } so the user can be told where to log in
+   * @returns {Promise<Object>} Authentication result with token, actor and roles
+   *
+   * @example
+   * ```javascript
+   * await ck.loginWithDeviceCode({
+   *   clientId: 'ck-cli',
+   *   onPrompt: ({ verificationUri, userCode }) => console.log(`Visit ${verificationUri} and enter ${userCode}`)
+   * });
+   * ```
+   */
+  async loginWithDeviceCode(options) {
+    const config = await this.getOidcConfiguration();
+    if (!config.device_authorization_endpoint) {
+      throw new Error('OIDC provider does not support the device authorization flow');
+    }
+
+    const response = await this._fetch(config.device_authorization_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ client_id: options.clientId, scope: options.scope || 'openid profile' }).toString()
+    });
+    const device = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Device authorization failed: ${device.error_description || device.error || response.status}`);
+    }
+
+    if (options.onPrompt) {
+      options.onPrompt({
+        verificationUri: device.verification_uri,
+        verificationUriComplete: device.verification_uri_complete || null,
+        userCode: device.user_code,
+        expiresIn: device.expires_in
+      });
+    }
+
+    let interval = (device.interval || 5) * 1000;
+    const deadline = Date.now() + (device.expires_in || 600) * 1000;
+
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, interval));
+      try {
+        const tokens = await this._oidcTokenRequest({
+          grant_type: DEVICE_CODE_GRANT,
+          device_code: device.device_code,
+          client_id: options.clientId
+        });
+        return this._upgradeWithOidcTokens(tokens);
+      } catch (err) {
+        if (err.code === 'authorization_pending') continue;
+        if (err.code === 'slow_down') {
+          interval += 5000;
+          continue;
+        }
+        throw err;
+      }
+    }
+
+    throw new Error('Device authorization expired before the user logged in');
+  }
+
+  /**
+   * Log in a service account with the client credentials grant
+   *
+   * @param {Object} options
+   * @param {string} options.clientId - OAuth client ID
+   * @param {string} options.clientSecret - OAuth client secret
+   * @param {string} [options.scope] - Requested scopes
+   * @returns {Promise<Object>} Authentication result with token, actor and roles
+   */
+  async loginWithClientCredentials(options) {
+    const params = {
+      grant_type: 'client_credentials',
+      client_id: options.clientId,
+      client_secret: options.clientSecret
+    };
+    if (options.scope) {
+      params.scope = options.scope;
+    }
+
+    const tokens = await this._oidcTokenRequest(params);
+    return this._upgradeWithOidcTokens(tokens);
+  }
+
+  /**
+   * Bootstrap a new kernel dynamically
+   *
+   * @param {Object} config - Kernel configuration
+   * @param {string} config.kernel - Kernel URN or name (normalized to a full URN)
+   * @param {string} config.kernelType - Kernel type (e.g., 'rust:hot', 'node:cold')
+   * @param {string} [config.description] - Kernel description
+   * @param {string[]} [config.edges] - Edge predicates
+   * @returns {Promise<Object>} Bootstrap result
+   *
+   * @example
+   * ```javascript
+   * await ck.bootstrapKernel({
+   *   kernel: 'ckp://MyApp.Service:v1',
+   *   kernelType: 'rust:hot',
+   *   description: 'My custom service',
+   *   edges: ['System.Gateway', 'System.Wss']
+   * });
+   * ```
+   */
+  async bootstrapKernel(config) {
+    this.transport.require('auth', 'bootstrapKernel');
+
+    if (!this.websocket || this.websocket.readyState !== WebSocket.OPEN) {
+      throw new Error('WebSocket not connected');
+    }
+
+    if (!this.authenticated) {
+      throw new Error('Authentication required for kernel bootstrap');
+    }
+
+    const kernel = normalizeUrn(config.kernel);
+
+    return this._wsRequest({
+      type: 'bootstrap_kernel',
+      actor: this.actor || 'ckp://System.Oidc.User#anonymous',
+      kernel,
+      kernel_type: config.kernelType,
+      bfo_class: config.bfoClass || 'ckp://BFO#Continuant',
+      description: config.description || '',
+      edges: config.edges || []
+    }, {
+      expect: 'kernel_bootstrapped',
+      match: (data) => data.kernel === kernel || data.kernel === config.kernel,
+      timeout: 30000,
+      timeoutMessage: 'Bootstrap timeout',
+      errorMessage: 'Bootstrap failed'
+    });
+  }
+
+  /**
+   * List pending items in a kernel's work queue (queue/inbox)
+   *
+   * @param {string} kernel - Kernel URN or name
+   * @returns {Promise<Object>} { kernel, queue: [{ name, type, size, hasPayload }] }
+   *
+   * @example
+   * ```javascript
+   * const { queue } = await ck.listQueue('ConceptKernel.LLM.Fabric');
+   * console.log('Pending items:', queue.length);
+   * ```
+   */
+  async listQueue(kernel) {
+    if (!kernel) {
+      throw new Error('listQueue() requires a kernel');
+    }
+
+    const payload = await this._registryQuery('queue_list', { kernel });
+    const items = payload.queue || payload.items || [];
+
+    return {
+      kernel: payload.kernel || kernel,
+      queue: items.map(item => ({
+        ...item,
+        name: item.name || item.file,
+        type: item.type || null,
+        size: item.size !== undefined ? item.size : null,
+        hasPayload: item.hasPayload !== undefined ? item.hasPayload : !!(item.has_payload || item.payload)
+      }))
+    };
+  }
+
+  /**
+   * List a kernel's incoming and outgoing edge connections
+   *
+   * @param {string} kernel - Kernel URN or name
+   * @returns {Promise<Object>} { kernel, incoming: [...], outgoing: [...] } where each edge is
+   *   { predicate, source, target, queueDepth }
+   *
+   * @example
+   * ```javascript
+   * const edges = await ck.listEdges('ConceptKernel.LLM.Fabric');
+   * edges.incoming.forEach(e => console.log(e.source, e.predicate, e.queueDepth));
+   * ```
+   */
+  async listEdges(kernel) {
+    if (!kernel) {
+      throw new Error('listEdges() requires a kernel');
+    }
+
+    const payload = await this._registryQuery('edge_list', { kernel });
+    const toEdge = edge => ({
+      ...edge,
+      predicate: edge.predicate || edge.edge,
+      source: edge.source || edge.from,
+      target: edge.target || edge.to,
+      queueDepth: edge.queueDepth !== undefined ? edge.queueDepth : (edge.queue_depth || 0)
+    });
+
+    return {
+      kernel: payload.kernel || kernel,
+      incoming: (payload.incoming || []).map(toEdge),
+      outgoing: (payload.outgoing || []).map(toEdge)
+    };
+  }
+
+  /**
+   * List recent processes (occurrents) tracked by System.Registry
+   *
+   * @param {string} [kernel] - Only processes of this kernel (null for all)
+   * @param {Object} [options]
+   * @param {number} [options.limit=50] - Page size
+   * @param {number} [options.offset=0] - Items to skip
+   * @param {string} [options.processType] - Process type (e.g., 'KernelAction')
+   * @param {string} [options.status] - Status (e.g., 'completed', 'failed')
+   * @param {string|number|Date} [options.since] - Started at or after
+   * @param {string|number|Date} [options.until] - Started at or before
+   * @param {string} [options.sortBy='timestamp'] - Field to sort by
+   * @param {string} [options.order='desc'] - 'asc' or 'desc'
+   * @returns {Promise<Object>} { processes, total, limit, offset, hasMore }
+   *
+   * @example
+   * ```javascript
+   * const { processes, hasMore } = await ck.listProcesses('System.Wss', { limit: 20, status: 'failed' });
+   * processes.forEach(p => console.log(p.urn, p.duration, p.exitCode));
+   * ```
+   */
+  async listProcesses(kernel, options = {}) {
+    const limit = options.limit || 50;
+    const offset = options.offset || 0;
+    const filters = {
+      kernel: kernel || undefined,
+      processType: options.processType,
+      status: options.status,
+      since: options.since instanceof Date ? options.since.toISOString() : options.since,
+      until: options.until instanceof Date ? options.until.toISOString() : options.until,
+      sortBy: options.sortBy || 'timestamp',
+      order: options.order || 'desc'
+    };
+
+    const payload = await this._registryQuery('process_list', {
+      filters: {
+        kernel: filters.kernel,
+        process_type: filters.processType,
+        status: filters.status,
+        start_time: filters.since,
+        end_time: filters.until
+      },
+      limit,
+      offset,
+      sort_by: filters.sortBy,
+      sort_order: filters.order
+    });
+
+    const processes = filterProcesses((payload.processes || []).map(toProcessSummary), filters);
+    const total = payload.total !== undefined ? payload.total : offset + processes.length;
+
+    return {
+      processes: processes.slice(0, limit),
+      total,
+      limit,
+      offset,
+      hasMore: payload.hasMore !== undefined ? payload.hasMore : offset + Math.min(processes.length, limit) < total
+    };
+  }
+
+  /**
+   * Resolve any ckp:// URN to its entity
+   *
+   * Kernel URNs resolve to continuants from discovery (or System.Registry),
+   * process URNs such as ckp://Process#KernelAction-{txId} to occurrents, and
+   * other fragment URNs through the registry's urn_resolve query.
+   *
+   * @param {string} urn - URN to resolve
+   * @returns {Promise<Object|null>} { urn, category: 'continuant' | 'occurrent' | 'entity', entity },
+   *   or null if nothing is known about the URN
+   *
+   * @example
+   * ```javascript
+   * const { entity } = await ck.queryUrn('ckp://Process#KernelAction-1733445678901-a1b2c3d4');
+   * console.log(entity.status, entity.duration);
+   *
+   * const kernel = await ck.queryUrn('ckp://System.Wss:v0.1');
+   * console.log(kernel.category, kernel.entity.mode); // 'continuant', 'ONLINE'
+   * ```
+   */
+  async queryUrn(urn) {
+    if (typeof urn !== 'string' || !urn.startsWith('ckp://')) {
+      throw new Error(`Invalid URN: ${urn} (expected ckp://...)`);
+    }
+
+    const processMatch = PROCESS_URN_PATTERN.exec(urn);
+    if (processMatch) {
+      const payload = await this._registryQuery('process_describe', { txId: processMatch[2] });
+      return payload.process
+        ? { urn, category: 'occurrent', entity: toOccurrentEntity({ urn, type: processMatch[1], ...payload.process }) }
+        : null;
+    }
+
+    if (!urn.includes('#')) {
+      const name = kernelNameOf(urn);
+      const known = this.kernels.find(k => k.urn === urn || k.name === name || (k.urn && kernelNameOf(k.urn) === name));
+      if (known) {
+        return { urn, category: 'continuant', entity: toKernelEntity(known) };
+      }
+
+      const payload = await this._registryQuery('kernel_describe', { kernel: urn });
+      return payload.kernel
+        ? { urn, category: 'continuant', entity: toKernelEntity(payload.kernel) }
+        : null;
+    }
+
+    const payload = await this._registryQuery('urn_resolve', { urn });
+    if (!payload.entity) {
+      return null;
+    }
+
+    const category = payload.category || (payload.entity.temporalRegion ? 'occurrent' : 'entity');
+    const entity = category === 'occurrent' ? toOccurrentEntity(payload.entity)
+      : category === 'continuant' ? toKernelEntity(payload.entity)
+      : payload.entity;
+    return { urn, category, entity };
+  }
+
+  /**
+   * Query processes (occurrents) with filters and cursor pagination
+   *
+   * @param {Object} [filters]
+   * @param {string} [filters.kernel] - Kernel URN or name
+   * @param {string} [filters.processType] - Process type
+   * @param {string} [filters.status] - Status
+   * @param {string|number|Date} [filters.since] - Started at or after
+   * @param {string|number|Date} [filters.until] - Started at or before
+   * @param {Object} [page]
+   * @param {number} [page.limit=50] - Page size
+   * @param {string} [page.cursor] - Cursor from a previous page's nextCursor
+   * @returns {Promise<Object>} { items, nextCursor } (nextCursor is null on the last page)
+   *
+   * @example
+   * ```javascript
+   * let cursor = null;
+   * do {
+   *   const page = await ck.queryProcesses({ kernel: 'System.Wss', status: 'failed' }, { cursor });
+   *   page.items.forEach(p => console.log(p.urn));
+   *   cursor = page.nextCursor;
+   * } while (cursor);
+   * ```
+   */
+  async queryProcesses(filters = {}, page = {}) {
+    return this._cursorQuery('process_list', 'processes', filters, page, toOccurrentEntity);
+  }
+
+  /**
+   * Query workflows (multi-kernel processes) with filters and cursor pagination
+   *
+   * @param {Object} [filters] - kernel, status, since, until (see queryProcesses)
+   * @param {Object} [page] - { limit, cursor }
+   * @returns {Promise<Object>} { items, nextCursor }
+   */
+  async queryWorkflows(filters = {}, page = {}) {
+    return this._cursorQuery('workflow_list', 'workflows', filters, page, (workflow) => ({
+      ...toOccurrentEntity(workflow),
+      steps: workflow.steps || workflow.temporalParts || []
+    }));
+  }
+
+  /**
+   * Query improvement processes with filters and cursor pagination
+   *
+   * @param {Object} [filters] - kernel, status, since, until (see queryProcesses)
+   * @param {Object} [page] - { limit, cursor }
+   * @returns {Promise<Object>} { items, nextCursor }
+   */
+  async queryImprovements(filters = {}, page = {}) {
+    return this._cursorQuery('improvement_list', 'improvements', filters, page, toOccurrentEntity);
+  }
+
+  /**
+   * Get a kernel's payload schemas (`ckp://{Kernel}#schema/{edge}/{action}`)
+   *
+   * Uses the `schemas` field of the kernel's discovery entry when present,
+   * otherwise asks System.Registry (kernel_schemas). Results are cached until
+   * discovery changes.
+   *
+   * @param {string} kernelUrn - Kernel URN or name
+   * @returns {Promise<Object>} { [edge]: { [action]: { payload, response } } }
+   *
+   * @example
+   * ```javascript
+   * const schemas = await ck.getKernelSchemas('UI.Bakery');
+   * console.log(schemas.QUERIES.mix.payload.required); // ['ingredients']
+   * ```
+   */
+  async getKernelSchemas(kernelUrn) {
+    const name = kernelNameOf(kernelUrn);
+    if (this._schemaCache.has(name)) {
+      return this._schemaCache.get(name);
+    }
+
+    const known = this.kernels.find(kernel => kernelNameOf(kernel.urn || kernel.name) === name);
+    const raw = known && known.schemas
+      ? known.schemas
+      : (await this._registryQuery('kernel_schemas', { kernel: name }, { validatePayload: false })).schemas;
+
+    const schemas = normalizeKernelSchemas(raw);
+    this._schemaCache.set(name, schemas);
+    return schemas;
+  }
+
+  /**
+   * Validate a payload against the target kernel's schema for its edge and action
+   *
+   * The schema is `ckp://{Kernel}#schema/{edge}/{action}`, with the action taken
+   * from `payload.action`. An action the kernel has no schema for on that edge is
+   * outside its queue contract and fails with keyword 'contract'. Kernels that
+   * publish no schemas, and payloads without an action, pass with `schema: null`.
+   *
+   * @param {string} kernelUrn - Kernel URN or name
+   * @param {Object} payload - Payload to check
+   * @param {Object} [options]
+   * @param {string} [options.edge='QUERIES'] - Edge predicate
+   * @returns {Promise<Object>} { valid, errors, schema }
+   *
+   * @example
+   * ```javascript
+   * const { valid, errors } = await ck.validatePayload('UI.Bakery', { action: 'mix', speed: 'warp' });
+   * // errors: [{ pointer: '/ingredients', keyword: 'required', ... }, { pointer: '/speed', keyword: 'enum', ... }]
+   * ```
+   */
+  async validatePayload(kernelUrn, payload, options = {}) {
+    const name = kernelNameOf(kernelUrn);
+    const edge = options.edge || EDGES.QUERIES;
+    const schemas = await this.getKernelSchemas(name);
+    const action = payload && payload.action;
+
+    if (Object.keys(schemas).length === 0 || action === undefined) {
+      return { valid: true, errors: [], schema: null };
+    }
+
+    const schema = `ckp://${name}#schema/${edge}/${action}`;
+    const entry = schemas[edge] && schemas[edge][action];
+    if (!entry) {
+      const accepted = Object.keys(schemas).flatMap(e => Object.keys(schemas[e]).map(a => `${e}/${a}`));
+      return {
+        valid: false,
+        schema,
+        errors: [{ pointer: '/action', keyword: 'contract', message: `is not accepted on ${edge} (accepted: ${accepted.join(', ')})` }]
+      };
+    }
+
+    const errors = validateSchema(entry.payload, payload);
+    return { valid: errors.length === 0, errors, schema };
+  }
+
+  /**
+   * Generate TypeScript declarations for kernel payloads and responses
+   *
+   * The output augments the `KernelPayloads` interface of this package, which
+   * gives emit() and request() typed overloads for the listed kernels. Kernels
+   * whose schemas cannot be fetched are listed as comments.
+   *
+   * @param {Object} [options]
+   * @param {string[]} [options.kernels] - Kernel URNs or names (default: all discovered kernels)
+   * @returns {Promise<string>} `.d.ts` source
+   *
+   * @example
+   * ```javascript
+   * fs.writeFileSync('ck-kernels.d.ts', await ck.generateTypes());
+   *
+   * // elsewhere, with ck-kernels.d.ts included in the TypeScript project:
+   * await ck.emit('UI.Bakery', { action: 'mix', ingredients: ['flour'] }); // checked
+   * ```
+   */
+  async generateTypes(options = {}) {
+    if (!this.services) {
+      await this.discover();
+    }
+
+    const names = (options.kernels || this.kernels.map(kernel => kernel.urn || kernel.name)).map(kernelNameOf);
+    const kernelSchemas = {};
+    for (const name of names) {
+      try {
+        kernelSchemas[name] = await this.getKernelSchemas(name);
+      } catch (err) {
+        this._log.warn('Kernel schemas unavailable', { kernel: name, error: err });
+        kernelSchemas[name] = null;
+      }
+    }
+    return generateKernelTypes(kernelSchemas);
+  }
+
+  /**
+   * Register event handler
+   *
+   * @param {string} eventType - Event type ('event', 'notification', 'connected', 'authenticated', 'disconnected',
+   *   'reconnecting', 'reconnected', 'reconnect_failed', 'nats_ldm', 'nats_update', 'error')
+   * @param {Function} handler - Event handler function
+   * @returns {Function} Unsubscribe function
+   *
+   * @example
+   * ```javascript
+   * // Listen for all events
+   * ck.on('event', (event) => {
+   *   console.log('Event from', event.kernel, ':', event.data);
+   * });
+   *
+   * // Listen for connection status
+   * ck.on('connected', () => console.log('Connected!'));
+   * ck.on('disconnected', () => console.log('Disconnected'));
+   * ck.on('reconnecting', ({ attempt, delay }) => console.log(`Retry #${attempt} in ${delay}ms`));
+   *
+   * // Unsubscribe
+   * const unsubscribe = ck.on('event', handler);
+   * unsubscribe(); // Stop listening
+   * ```
+   */
+  on(eventType, handler) {
+    if (!this._eventHandlers[eventType]) {
+      throw new Error(`Unknown event type: ${eventType}`);
+    }
+
+    this._eventHandlers[eventType].push(handler);
+
+    // Return unsubscribe function
+    return () => {
+      const index = this._eventHandlers[eventType].indexOf(handler);
+      if (index > -1) {
+        this._eventHandlers[eventType].splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Subscribe to events matching a filter
+   *
+   * The filter is sent to System.Wss so the gateway only forwards matching
+   * events, and is applied locally as well in case the gateway broadcasts
+   * everything. Subscriptions are restored automatically after a reconnect.
+   *
+   * @param {Object} filter - Any combination of kernel, edge, actor and txId
+   * @param {string} [filter.kernel] - Kernel URN or name (source or target)
+   * @param {string} [filter.edge] - Edge predicate (e.g., 'RESPONDS')
+   * @param {string} [filter.actor] - Actor URN
+   * @param {string} [filter.txId] - Transaction ID
+   * @param {Function} handler - Called with each matching event
+   * @returns {Function} Unsubscribe function
+   *
+   * @example
+   * ```javascript
+   * const unsubscribe = ck.subscribe({ kernel: 'UI.Bakery', edge: 'ANNOUNCES' }, (event) => {
+   *   console.log('Bakery announced:', event.data);
+   * });
+   *
+   * unsubscribe();
+   * ```
+   */
+  subscribe(filter, handler) {
+    if (!filter || typeof filter !== 'object') {
+      throw new Error('subscribe() requires a filter object ({ kernel, edge, actor, txId })');
+    }
+    if (typeof handler !== 'function') {
+      throw new Error('subscribe() requires a handler function');
+    }
+
+    const id = `sub-${++this._subscriptionCounter}`;
+    const cleanFilter = {};
+    ['kernel', 'edge', 'actor', 'txId'].forEach(key => {
+      if (filter[key]) cleanFilter[key] = filter[key];
+    });
+
+    this.transport.require('subscribe', 'subscribe');
+    const release = this.transport.watch(cleanFilter, id);
+    this._subscriptions.set(id, { filter: cleanFilter, handler });
+    this._log.debug('Subscribed', { id, filter: cleanFilter });
+
+    return () => {
+      if (!this._subscriptions.delete(id)) return;
+      release();
+      this._log.debug('Unsubscribed', { id });
+    };
+  }
+
+  /**
+   * Get service by name
+   * @param {string} serviceName - Service name (gateway, websocket, oidc, registry)
+   * @returns {Object|null} Service configuration
+   */
+  getService(serviceName) {
+    if (!this.services) {
+      return null;
+    }
+    return this.services[serviceName] || null;
+  }
+
+  /**
+   * Check if service is available
+   * @param {string} serviceName - Service name
+   * @returns {boolean}
+   */
+  hasService(serviceName) {
+    return this.getService(serviceName) !== null;
+  }
+
+  /**
+   * Get all available service names
+   * @returns {string[]}
+   */
+  getAvailableServices() {
+    if (!this.services) return [];
+    return Object.keys(this.services);
+  }
+
+  /**
+   * Get connection status
+   * @returns {Object} Status object
+   */
+  getStatus() {
+    return {
+      discovered: this.services !== null,
+      lastDiscovery: this.lastDiscovery,
+      cacheAge: this.lastDiscovery ? Date.now() - this.lastDiscovery : null,
+      websocketConnected: !!(this.websocket && this.websocket.readyState === WebSocket.OPEN),
+      transport: this.transport.name,
+      gateway: this.gatewayUrl,
+      gateways: this.gateways.map(gateway => ({ ...gateway, active: gateway.url === this.gatewayUrl })),
+      natsConnected: !!this.natsConnection,
+      directNATS: this.transport.name === 'nats',
+      natsUrl: this.transport.supports('subjects') ? this.options.natsUrl : null,
+      activeNatsSubscriptions: this.natsSubscriptions.size,
+      activeJetStreamConsumers: this._jetStreamConsumers.size,
+      nats: this._natsStatus(),
+      authenticated: this.authenticated,
+      actor: this.actor,
+      roles: this.roles,
+      availableServices: this.getAvailableServices()
+    };
+  }
+
+  /**
+   * Server info and traffic counters of the NATS connection
+   * @private
+   */
+  _natsStatus() {
+    const nc = this.natsConnection;
+    if (!nc) return null;
+
+    const info = nc.info || {};
+    return {
+      server: typeof nc.getServer === 'function' ? nc.getServer() : null,
+      serverId: info.server_id || null,
+      serverName: info.server_name || null,
+      version: info.version || null,
+      cluster: info.cluster || null,
+      connectUrls: info.connect_urls || [],
+      lameDuck: this._natsLameDuck,
+      reconnects: this._natsReconnects,
+      stats: typeof nc.stats === 'function' ? nc.stats() : null
+    };
+  }
+
+  /**
+   * Disconnect WebSocket and/or NATS connection
+   */
+  async disconnect() {
+    // Close NATS connection if active
+    if (this.natsConnection) {
+      this._log.debug('Closing NATS connection...');
+      try {
+        // Drain every subscription, so handlers finish the messages already
+        // received (without further retries) before the connection closes
+        const subscriptions = Array.from(this.natsSubscriptions.values());
+        this.natsSubscriptions.clear();
+        await Promise.all(subscriptions.map(async ({ id, subject, sub, pump, done }) => {
+          this._log.trace('Draining subscription', { id, subject });
+          try {
+            await (typeof sub.drain === 'function' ? sub.drain() : sub.unsubscribe());
+          } catch (err) {
+            this._log.debug('Subscription drain failed', { id, subject, error: err });
+          }
+          await pump.drain();
+          await done;
+        }));
+
+        // Durable consumers keep their position on the server
+        this._jetStreamConsumers.forEach(consumer => consumer.stop());
+        this._jsm = null;
+
+        // Drain and close connection
+        await this.natsConnection.drain();
+        this.natsConnection = null;
+        this._log.debug('NATS connection closed');
+      } catch (err) {
+        this._log.error('Error closing NATS connection', { error: err });
+      }
+    }
+
+    this.transport.close();
+    clearInterval(this._healthTimer);
+    this._healthTimer = null;
+    clearInterval(this._discoveryTimer);
+    this._discoveryTimer = null;
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    this._reconnectAttempts = 0;
+    this._clearTokenTimers();
+    this._trackers.forEach(tracker => tracker.stop());
+    this._rejectReplyWaiters(new Error('Client disconnected'));
+
+    if (this._outbox) {
+      clearInterval(this._outbox.timer);
+      this._outbox.timer = null;
+      if (this._outbox.onOnline) {
+        window.removeEventListener('online', this._outbox.onOnline);
+      }
+    }
+
+    // Close WebSocket if active
+    if (this.websocket) {
+      this._log.debug('Closing WebSocket...');
+      this.websocket.close();
+      this.websocket = null;
+    }
+  }
+
+  /**
+   * Get all registered kernels (nats and hybrid transports)
+   * @returns {Promise<Array>} List of kernel URNs
+   *
+   * @example
+   * ```javascript
+   * const kernels = await ck.getKernels();
+   * console.log('Available kernels:', kernels);
+   * ```
+   */
+  async getKernels() {
+    this.transport.require('subjects', 'getKernels');
+
+    const response = await this._natsRequest('ck.discovery.kernels', {});
+    return response.kernels || [];
+  }
+
+  /**
+   * Get all registered edges (nats and hybrid transports)
+   * @returns {Promise<Array>} List of edge definitions
+   *
+   * @example
+   * ```javascript
+   * const edges = await ck.getEdges();
+   * console.log('Available edges:', edges);
+   * ```
+   */
+  async getEdges() {
+    this.transport.require('subjects', 'getEdges');
+
+    const response = await this._natsRequest('ck.discovery.edges', {});
+    return response.edges || [];
+  }
+
+  /**
+   * Subscribe to kernel announcements (nats and hybrid transports)
+   * @param {Function} callback - Callback function receiving kernel data
+   * @returns {Function} Unsubscribe function
+   *
+   * @example
+   * ```javascript
+   * const unsubscribe = ck.subscribeKernels((kernel) => {
+   *   console.log('Kernel update:', kernel);
+   * });
+   *
+   * // Later...
+   * unsubscribe();
+   * ```
+   */
+  subscribeKernels(callback) {
+    this.transport.require('subjects', 'subscribeKernels');
+
+    return this._natsSubscribe('ck.announce.kernel.>', (data) => callback(data));
+  }
+
+  /**
+   * Subscribe to edge announcements (nats and hybrid transports)
+   * @param {Function} callback - Callback function receiving edge data
+   * @returns {Function} Unsubscribe function
+   *
+   * @example
+   * ```javascript
+   * const unsubscribe = ck.subscribeEdges((edge) => {
+   *   console.log('Edge update:', edge);
+   * });
+   * ```
+   */
+  subscribeEdges(callback) {
+    this.transport.require('subjects', 'subscribeEdges');
+
+    return this._natsSubscribe('ck.announce.edge.>', (data) => callback(data));
+  }
+
+  /**
+   * Subscribe to any NATS subject with custom handler (nats and hybrid transports)
+   *
+   * Every call is a separate subscription, listed by listSubscriptions() under
+   * the id carried by the returned function (`unsub.id`).
+   *
+   * Handlers may be async: their promises are awaited, with at most
+   * `concurrency` messages in flight and, with `orderBy`, one at a time per
+   * key. When `maxPending` messages are waiting, the subscription is not read
+   * further until the handlers catch up. A handler that throws is retried
+   * `retries` times with exponential backoff; messages that still fail, or
+   * that are not JSON, go to `deadLetter`.
+   *
+   * @param {string} subject - NATS subject pattern (supports wildcards)
+   * @param {Function} handler - (data, msg) => void|Promise
+   * @param {Object} [options] - Subscription options
+   * @param {string} [options.queue] - Queue group: each message goes to one member of the group
+   * @param {number} [options.max] - Unsubscribe automatically after this many messages
+   * @param {number} [options.concurrency=1] - Messages handled at the same time
+   * @param {string|Function} [options.orderBy] - 'txId', 'kernel', 'subject' or (data, msg) => key;
+   *   messages with the same key are handled in arrival order, one at a time
+   * @param {number} [options.maxPending=1000] - Queued and running messages before reading pauses
+   * @param {number} [options.retries=0] - Retries of a failing handler
+   * @param {number} [options.retryDelay=1000] - First retry delay in ms, doubled per attempt
+   * @param {number} [options.retryMaxDelay=30000] - Upper bound for the retry delay in ms
+   * @param {string|Function} [options.deadLetter] - Subject to publish failed messages to, or
+   *   (letter, msg) => void; letter is { subscription, subject, reason: 'parse'|'handler', error,
+   *   attempts, data, receivedAt, failedAt }. Without one, failures are logged.
+   * @returns {Function} Unsubscribe function
+   *
+   * @example
+   * ```javascript
+   * // Listen to all kernel events
+   * const unsub = ck.pump('ck.event.kernel.>', (msg) => {
+   *   console.log('Kernel event:', msg);
+   * });
+   *
+   * // Listen to specific kernel
+   * ck.pump('ck.event.kernel.UI.Bakery', (msg) => {
+   *   console.log('Bakery event:', msg);
+   * });
+   *
+   * // Load-balanced workers: each order goes to one client of the group
+   * ck.pump('ck.event.kernel.Shop.Orders', handleOrder, { queue: 'order-workers' });
+   *
+   * // Four at a time, in order per transaction, with retries and a dead-letter subject
+   * ck.pump('ck.event.kernel.>', async (event) => { await store(event); }, {
+   *   concurrency: 4, orderBy: 'txId', retries: 3, deadLetter: 'ck.dead.dashboard'
+   * });
+   * ```
+   */
+  pump(subject, handler, options = {}) {
+    this.transport.require('subjects', 'pump');
+
+    return this._natsSubscribe(subject, handler, {
+      ...options,
+      decode: undefined,
+      accept: (data) => this._acceptIncoming(data)
+    });
+  }
+
+  /**
+   * List the active NATS subject subscriptions (pump, announcements and the
+   * subjects behind subscribe()/on('event') on the nats and hybrid transports)
+   * @returns {Object[]} { id, subject, queue, max, createdAt, received, processed, dropped, failed,
+   *   retried, deadLettered, lastMessageAt, pending, active, lag }
+   */
+  listSubscriptions() {
+    return Array.from(this.natsSubscriptions.values()).map(({ id, subject, queue, max, createdAt, stats, pump }) => ({
+      id, subject, queue, max, createdAt, ...stats, ...pump.metrics()
+    }));
+  }
+
+  /**
+   * Consume a subject through JetStream (nats and hybrid transports)
+   *
+   * Like pump(), but messages are read from the stream capturing the subject,
+   * so nothing published while the client was away is lost. Durable consumers
+   * keep their position on the server: consuming again under the same name
+   * resumes after the last acknowledged message (start options then apply only
+   * when the consumer is first created).
+   *
+   * With `ack: 'auto'` (default) a message is acked when the handler resolves
+   * and nak'ed (redelivered) when it throws. With `ack: 'manual'` the handler
+   * settles each message itself. Without a handler, pull messages with
+   * `consumer.fetch()`.
+   *
+   * @param {string} subject - Subject filter (supports wildcards)
+   * @param {Function|null} handler - (data, message) => void|Promise; message has
+   *   ack(), nak(delay), term(), working(), seq, redelivered, deliveryCount
+   * @param {Object} [options]
+   * @param {string} [options.durable] - Durable consumer name (default: ephemeral)
+   * @param {string} [options.stream] - Stream name (default: the stream capturing the subject)
+   * @param {number} [options.startSequence] - Start at this stream sequence
+   * @param {string|number|Date} [options.startTime] - Start at messages stored at or after this time
+   * @param {string} [options.deliver='all'] - Otherwise start with 'all', 'new' or 'last'
+   * @param {string} [options.ack='auto'] - 'auto' or 'manual'
+   * @param {number} [options.ackWait] - Redeliver unsettled messages after this long (ms)
+   * @param {number} [options.maxDeliver] - Give up on a message after this many deliveries
+   * @param {number} [options.batch=100] - Messages buffered ahead of the handler
+   * @returns {Promise<JetStreamConsumer>} Consumer handle with fetch(), info(), stop() and delete()
+   *
+   * @example
+   * ```javascript
+   * // Resume where the dashboard left off
+   * const consumer = await ck.consume('kernel.UI.Bakery.>', async (event, msg) => {
+   *   await render(event);
+   * }, { durable: 'bakery-dashboard' });
+   *
+   * // Replay from a point in time, settling manually
+   * await ck.consume('kernel.>', (event, msg) => {
+   *   if (isPoison(event)) msg.term();
+   *   else if (!ready()) msg.nak(5000);
+   *   else msg.ack();
+   * }, { startTime: '2025-01-01T00:00:00Z', ack: 'manual' });
+   *
+   * // Pull in batches
+   * const puller = await ck.consume('kernel.UI.Bakery.>', null, { durable: 'bakery-batch' });
+   * for (const msg of await puller.fetch({ batch: 50 })) { store(msg.data); msg.ack(); }
+   * ```
+   */
+  async consume(subject, handler, options = {}) {
+    this.transport.require('subjects', 'consume');
+    if (!this.natsConnection) {
+      throw new Error('NATS connection not established');
+    }
+
+    const ack = options.ack || 'auto';
+    if (!['auto', 'manual'].includes(ack)) {
+      throw new Error(`Invalid ack option: ${ack} (expected 'auto' or 'manual')`);
+    }
+
+    const config = jetStreamConsumerConfig(subject, options);
+    const jsm = await this._jetStreamManager();
+    const stream = options.stream || await jsm.streams.find(subject);
+
+    let name = options.durable;
+    let existing = null;
+    if (name) {
+      try {
+        existing = await jsm.consumers.info(stream, name);
+      } catch (err) {
+        // Not created yet
+      }
+    }
+    if (!existing) {
+      name = (await jsm.consumers.add(stream, config)).name;
+    }
+
+    this._log.debug('Consuming from JetStream', { subject, stream, consumer: name, resumed: !!existing });
+
+    const consumer = new JetStreamConsumer(this, {
+      stream,
+      name,
+      durable: !!options.durable,
+      consumer: await this.natsConnection.jetstream().consumers.get(stream, name),
+      ack
+    });
+    this._jetStreamConsumers.add(consumer);
+
+    if (handler) {
+      consumer._start(handler, options.batch);
+    }
+    return consumer;
+  }
+
+  /**
+   * Open a JetStream key-value bucket for reading (nats and hybrid transports)
+   *
+   * @param {string} bucket - Bucket name
+   * @returns {Promise<KvBucket>} Bucket with get(key), entry(key), keys() and watch(key, handler)
+   *
+   * @example
+   * ```javascript
+   * const state = await ck.kv('kernel_state');
+   * console.log(await state.get('UI.Bakery')); // { oven: 'hot', batches: 3 }
+   *
+   * const stop = await state.watch('UI.>', ({ key, value }) => console.log(key, value));
+   * ```
+   */
+  async kv(bucket) {
+    this.transport.require('subjects', 'kv');
+    if (!this.natsConnection) {
+      throw new Error('NATS connection not established');
+    }
+
+    const kv = await this.natsConnection.jetstream().views.kv(bucket, { bindOnly: true });
+    return new KvBucket(this, bucket, kv);
+  }
+
+  /**
+   * JetStream manager for the current NATS connection
+   * @private
+   */
+  async _jetStreamManager() {
+    if (!this._jsm) {
+      this._jsm = await this.natsConnection.jetstreamManager();
+    }
+    return this._jsm;
+  }
+
+  /**
+   * Publish message to NATS subject
+   * @param {string} subject - NATS subject
+   * @param {Object|string} data - Message data (will be JSON.stringify'd if object)
+   * @example
+   * ```javascript
+   * // Trigger kernel action
+   * ck.publishToSubject('kernel.Test.Nats.action.emit', { action: 'emit_messages' });
+   * ```
+   */
+  publishToSubject(subject, data) {
+    this.transport.require('subjects', 'publishToSubject');
+
+    this._log.debug('Publishing to subject', { subject });
+
+    const payload = typeof data === 'string' ? data : JSON.stringify(data);
+    const encoded = this._natsCodec.encode(payload);
+
+    this.natsConnection.publish(subject, encoded);
+    this._log.trace('Published', { subject, payload });
+  }
+
+  /**
+   * Connect to NATS WebSocket server
+   * @private
+   */
+  async _connectNATS() {
+    const nats = this.options.natsModule || await getNatsModule(this._log);
+    const { connect, StringCodec } = nats;
+
+    const connectOptions = natsConnectOptions(this.options, nats);
+    this._log.debug('Connecting to NATS', { servers: connectOptions.servers, name: connectOptions.name });
+
+    try {
+      this.natsConnection = await connect(connectOptions);
+      this._natsReconnects = 0;
+      this._natsLameDuck = false;
+
+      this._natsCodec = StringCodec();
+
+      this._log.info('NATS connected successfully');
+
+      // Setup connection closed handler
+      (async () => {
+        for await (const status of this.natsConnection.status()) {
+          this._log.debug('NATS status', { type: status.type, data: status.data });
+
+          if (status.type === 'disconnect') {
+            this._emit('disconnected', { type: 'nats', server: status.data });
+          } else if (status.type === 'reconnect') {
+            this._natsReconnects++;
+            this._natsLameDuck = false;
+            this._emit('connected', { type: 'nats', server: status.data });
+          } else if (status.type === 'ldm') {
+            // Server is draining; nats.ws moves to another seed server once it closes
+            this._natsLameDuck = true;
+            this._log.warn('NATS server entered lame duck mode', { server: status.data });
+            this._emit('nats_ldm', { server: status.data });
+          } else if (status.type === 'update') {
+            const { added = [], deleted = [] } = status.data || {};
+            this._emit('nats_update', { added, deleted });
+          } else if (status.type === 'error') {
+            const error = status.data instanceof Error ? status.data : new Error(String(status.data));
+            this._emit('error', { message: `NATS error: ${error.message}`, error, context: 'nats' });
+          }
+        }
+      })();
+
+      this._emit('connected', { type: 'nats', url: this.options.natsUrl });
+    } catch (err) {
+      this._log.error('NATS connection failed', { error: err });
+      throw new Error(`NATS connection failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Send NATS request and wait for response
+   * @private
+   */
+  async _natsRequest(subject, data, timeout = 5000) {
+    if (!this.natsConnection) {
+      throw new Error('NATS connection not established');
+    }
+
+    try {
+      const payload = this._natsCodec.encode(JSON.stringify(data));
+      const response = await this.natsConnection.request(subject, payload, { timeout });
+      return JSON.parse(this._natsCodec.decode(response.data));
+    } catch (err) {
+      this._log.error('NATS request failed', { subject, error: err });
+      throw new Error(`NATS request failed on ${subject}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Subscribe to NATS subject and register the subscription; messages are
+   * decoded from JSON and run through a MessagePump (see pump() options)
+   * @private
+   */
+  _natsSubscribe(subject, handler, options = {}) {
+    if (!this.natsConnection) {
+      throw new Error('NATS connection not established');
+    }
+
+    const id = `nats-${++this._natsSubscriptionCounter}`;
+    const queue = options.queue || null;
+    const max = options.max || null;
+    this._log.debug('Subscribing to NATS subject', { id, subject, queue, max });
+
+    const subscribeOptions = {};
+    if (queue) subscribeOptions.queue = queue;
+    if (max) subscribeOptions.max = max;
+    const entry = {
+      id, subject, queue, max,
+      createdAt: Date.now(),
+      stats: { received: 0, processed: 0, dropped: 0, failed: 0, retried: 0, deadLettered: 0, lastMessageAt: null }
+    };
+    entry.pump = new MessagePump(this, entry, handler, options);
+    const sub = entry.sub = this.natsConnection.subscribe(subject, subscribeOptions);
+    this.natsSubscriptions.set(id, entry);
+
+    // Read messages as the pump makes room; the iterator ends on unsubscribe,
+    // drain or after max messages
+    entry.done = (async () => {
+      try {
+        for await (const msg of sub) {
+          entry.stats.received++;
+          entry.stats.lastMessageAt = Date.now();
+          await entry.pump.push(msg);
+        }
+      } catch (err) {
+        this._log.error('NATS subscription error', { id, subject, error: err });
+      }
+      await entry.pump.idle();
+      if (this.natsSubscriptions.get(id) === entry) {
+        this.natsSubscriptions.delete(id);
+        this._log.debug('NATS subscription ended', { id, subject, received: entry.stats.received });
+      }
+    })();
+
+    // Return unsubscribe function
+    const unsubscribe = () => {
+      if (!this.natsSubscriptions.delete(id)) return;
+      this._log.debug('Unsubscribing from', { id, subject });
+      sub.unsubscribe();
+    };
+    unsubscribe.id = id;
+    return unsubscribe;
+  }
+
+  /**
+   * Connect to WebSocket service
+   * @private
+   */
+  async _connectWebSocket() {
+    const wsService = this.getService('websocket');
+
+    if (!wsService) {
+      throw new Error('WebSocket service not available');
+    }
+
+    // Prefer ws:// over wss:// for local development
+    const wsUrl = wsService.endpoints.ws || wsService.endpoints.wss;
+
+    if (!wsUrl) {
+      throw new Error('No WebSocket endpoint found');
+    }
+
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(wsUrl);
+
+      ws.onopen = () => {
+        this.websocket = ws;
+        this._welcomed = false;
+        this._emit('connected', { url: wsUrl });
+        resolve(ws);
+      };
+
+      ws.onmessage = (event) => {
+        try {
+          const data = JSON.parse(event.data);
+          this._handleWebSocketMessage(data);
+        } catch (err) {
+          this._log.warn('Failed to parse WebSocket message', { error: err });
+        }
+      };
+
+      ws.onclose = () => {
+        // After a gateway switch the old socket closes while the new one is in use
+        if (this.websocket !== ws && this.websocket !== null) {
+          return;
+        }
+
+        this._rejectPendingRequests(new Error('WebSocket closed'));
+        this._emit('disconnected', {});
+
+        // Auto-reconnect if enabled (websocket is null after an explicit disconnect)
+        if (this.options.reconnect && this.websocket === ws) {
+          this._scheduleReconnect({
+            token: this.token,
+            authenticated: this.authenticated
+          });
+        }
+
+        if (this.websocket === ws) {
+          this.websocket = null;
+        }
+      };
+
+      ws.onerror = (error) => {
+        this._emit('error', { message: 'WebSocket error', error });
+        reject(error);
+      };
+    });
+  }
+
+  /**
+   * Handle WebSocket message
+   * @private
+   */
+  _handleWebSocketMessage(data) {
+    if (this._resolvePendingRequest(data)) {
+      return;
+    }
+
+    switch (data.type) {
+      case 'connected':
+        // Initial welcome with anonymous token
+        this.token = data.token;
+        this.actor = data.actor;
+        this.roles = data.roles || ['anonymous'];
+        this.authenticated = false;
+        this._welcomed = true;
+        this._welcomeWaiters.splice(0).forEach(resolve => resolve());
+        break;
+
+      case 'event':
+      case 'notification':
+        this._handleEvent(data);
+        break;
+
+      case 'error':
+        this._emit('error', { message: data.message, context: data.context });
+        break;
+
+      // token_upgraded and kernel_bootstrapped are routed to their pending requests
+    }
+  }
+
+  /**
+   * Refresh discovery in the background; concurrent callers share one fetch
+   * @private
+   */
+  _revalidateDiscovery() {
+    if (!this._revalidating) {
+      this._revalidating = this._fetchDiscovery()
+        .catch(err => {
+          this._emit('error', { message: 'Discovery refresh failed', error: err, context: 'discovery' });
+        })
+        .finally(() => {
+          this._revalidating = null;
+        });
+    }
+    return this._revalidating;
+  }
 
-    // Include authentication token if available
-    if (this.token) {
-      headers['Authorization'] = `Bearer ${this.token}`;
-      console.log('[CK Client] Including auth token in request');
+  /**
+   * Poll discovery every options.discoveryRefreshInterval ms (when set)
+   * @private
+   */
+  _startDiscoveryRefresh() {
+    if (!this.options.discoveryRefreshInterval || this.transport.name === 'nats') {
+      return;
     }
 
-    if (options.txId) {
-      headers['X-CK-TxId'] = options.txId;
+    this._discoveryTimer = setInterval(() => this._revalidateDiscovery(), this.options.discoveryRefreshInterval);
+    if (this._discoveryTimer.unref) {
+      this._discoveryTimer.unref();
     }
+  }
 
-    console.log('[CK Client] Sending POST request to:', emitUrl);
-    console.log('[CK Client] Headers:', headers);
-    console.log('[CK Client] Body:', JSON.stringify(payload));
+  /**
+   * Health record of the active gateway
+   * @private
+   */
+  _activeGateway() {
+    return this.gateways.find(gateway => gateway.url === this.gatewayUrl);
+  }
 
+  /**
+   * Probe a gateway's discovery endpoint and record health and latency
+   * @returns {Promise<boolean>} True if the gateway answered
+   * @private
+   */
+  async _checkGateway(gateway) {
+    const started = Date.now();
     try {
-      const response = await this._fetch(emitUrl, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify(payload)
+      const response = await this._fetch(`${gateway.url}/.well-known/ck-services`, {
+        timeout: this.options.healthCheckTimeout
       });
-
-      console.log('[CK Client] Emit response status:', response.status, response.statusText);
-
-      if (!response.ok) {
-        const error = await response.json().catch(() => ({ error: 'Emit failed' }));
-        console.error('[CK Client] Emit failed:', error);
-        throw new Error(error.error || `Emit failed: ${response.status}`);
-      }
-
-      const result = await response.json();
-      console.log('[CK Client] Emit result:', result);
-      return result;
-    } catch (error) {
-      console.error('[CK Client] Emit error:', error);
-      throw error;
+      gateway.healthy = response.ok;
+    } catch (err) {
+      gateway.healthy = false;
     }
+
+    gateway.latency = gateway.healthy ? Date.now() - started : null;
+    gateway.lastCheck = Date.now();
+    gateway.failures = gateway.healthy ? 0 : gateway.failures + 1;
+    this._log.trace('Gateway health', gateway);
+    return gateway.healthy;
   }
 
   /**
-   * Authenticate with username and password
-   *
-   * @param {string} username - Username
-   * @param {string} password - Password
-   * @returns {Promise<Object>} Authentication result with token and roles
-   *
-   * @example
-   * ```javascript
-   * await ck.authenticate('alice', 'secret123');
-   * console.log('Roles:', ck.roles);
-   * ```
+   * Pick the next gateway according to options.gatewayStrategy.
+   * Healthy gateways win; unhealthy ones are tried when nothing else is left.
+   * Only called on connect and failover, so 'round-robin' rotates per switch,
+   * not per emit.
+   * @private
    */
-  async authenticate(username, password) {
-    console.log('[CK Client] authenticate() called - Username:', username);
-    console.log('[CK Client] WebSocket state:', this.websocket?.readyState);
-
-    if (!this.websocket || this.websocket.readyState !== WebSocket.OPEN) {
-      console.error('[CK Client] WebSocket not connected!');
-      throw new Error('WebSocket not connected. Call connect() first.');
+  _selectGateway(exclude) {
+    const candidates = this.gateways.filter(gateway => gateway !== exclude);
+    const healthy = candidates.filter(gateway => gateway.healthy);
+    const pool = healthy.length > 0 ? healthy : candidates;
+    if (pool.length === 0) {
+      return null;
     }
 
-    console.log('[CK Client] Sending upgrade_token message...');
-
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        console.error('[CK Client] Authentication timeout after 10s');
-        reject(new Error('Authentication timeout'));
-      }, 10000);
-
-      // Listen for token_upgraded response
-      const handler = (event) => {
-        console.log('[CK Client] Received WebSocket message during auth:', event.data);
-        const data = JSON.parse(event.data);
-        console.log('[CK Client] Parsed auth message:', data);
-
-        if (data.type === 'token_upgraded') {
-          console.log('[CK Client] Token upgraded successfully!');
-          clearTimeout(timeout);
-          this.websocket.removeEventListener('message', handler);
-
-          this.token = data.token;
-          this.actor = data.actor;
-          this.roles = data.roles || [];
-          this.authenticated = true;
-
-          console.log('[CK Client] New token:', this.token);
-          console.log('[CK Client] Actor:', this.actor);
-          console.log('[CK Client] Roles:', this.roles);
-
-          this._emit('authenticated', { actor: this.actor, roles: this.roles });
-          resolve({ token: data.token, actor: data.actor, roles: data.roles });
-        } else if (data.type === 'error' && data.context === 'upgrade_token') {
-          clearTimeout(timeout);
-          this.websocket.removeEventListener('message', handler);
-          reject(new Error(data.message || 'Authentication failed'));
+    switch (this.options.gatewayStrategy) {
+      case 'round-robin':
+        for (let i = 0; i < this.gateways.length; i++) {
+          const index = (this._gatewayCursor + i) % this.gateways.length;
+          if (pool.includes(this.gateways[index])) {
+            this._gatewayCursor = index + 1;
+            return this.gateways[index];
+          }
         }
-      };
+        return pool[0];
 
-      this.websocket.addEventListener('message', handler);
+      case 'lowest-latency':
+        return pool.slice().sort((a, b) =>
+          (a.latency === null ? Infinity : a.latency) - (b.latency === null ? Infinity : b.latency))[0];
 
-      // Send upgrade_token request
-      this.websocket.send(JSON.stringify({
-        type: 'upgrade_token',
-        current_token: this.token,
-        credentials: { username, password }
-      }));
-    });
+      default:
+        return pool.slice().sort((a, b) => a.priority - b.priority)[0];
+    }
   }
 
   /**
-   * Bootstrap a new kernel dynamically
-   *
-   * @param {Object} config - Kernel configuration
-   * @param {string} config.kernel - Kernel URN
-   * @param {string} config.kernelType - Kernel type (e.g., 'rust:hot', 'node:cold')
-   * @param {string} [config.description] - Kernel description
-   * @param {string[]} [config.edges] - Edge predicates
-   * @returns {Promise<Object>} Bootstrap result
-   *
-   * @example
-   * ```javascript
-   * await ck.bootstrapKernel({
-   *   kernel: 'ckp://MyApp.Service:v1',
-   *   kernelType: 'rust:hot',
-   *   description: 'My custom service',
-   *   edges: ['System.Gateway', 'System.Wss']
-   * });
-   * ```
+   * Probe every gateway and make the best one active before connecting
+   * @private
    */
-  async bootstrapKernel(config) {
-    if (!this.websocket || this.websocket.readyState !== WebSocket.OPEN) {
-      throw new Error('WebSocket not connected');
-    }
+  async _selectInitialGateway() {
+    await Promise.all(this.gateways.map(gateway => this._checkGateway(gateway)));
+    this.gatewayUrl = this._selectGateway().url;
+    this._log.info('Selected gateway', { gateway: this.gatewayUrl, strategy: this.options.gatewayStrategy });
+  }
 
-    if (!this.authenticated) {
-      throw new Error('Authentication required for kernel bootstrap');
+  /**
+   * Periodically probe all gateways and fail over when the active one is down
+   * @private
+   */
+  _startHealthChecks() {
+    if (this.gateways.length < 2 || !this.options.healthCheckInterval || this.transport.name === 'nats') {
+      return;
     }
 
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error('Bootstrap timeout'));
-      }, 30000);
-
-      const handler = (event) => {
-        const data = JSON.parse(event.data);
-
-        if (data.type === 'kernel_bootstrapped' && data.kernel === config.kernel) {
-          clearTimeout(timeout);
-          this.websocket.removeEventListener('message', handler);
-          resolve(data);
-        } else if (data.type === 'error' && data.context === 'bootstrap_kernel') {
-          clearTimeout(timeout);
-          this.websocket.removeEventListener('message', handler);
-          reject(new Error(data.message || 'Bootstrap failed'));
-        }
-      };
+    this._healthTimer = setInterval(async () => {
+      await Promise.all(this.gateways.map(gateway => this._checkGateway(gateway)));
+      if (!this._activeGateway().healthy) {
+        this._failover('health_check').catch(err => {
+          this._emit('error', { message: 'Gateway failover failed', error: err, context: 'failover' });
+        });
+      }
+    }, this.options.healthCheckInterval);
 
-      this.websocket.addEventListener('message', handler);
-
-      this.websocket.send(JSON.stringify({
-        type: 'bootstrap_kernel',
-        actor: this.actor || 'ckp://System.Oidc.User#anonymous',
-        kernel: config.kernel,
-        kernel_type: config.kernelType,
-        bfo_class: config.bfoClass || 'ckp://BFO#Continuant',
-        description: config.description || '',
-        edges: config.edges || []
-      }));
-    });
+    if (this._healthTimer.unref) {
+      this._healthTimer.unref();
+    }
   }
 
   /**
-   * Register event handler
-   *
-   * @param {string} eventType - Event type ('event', 'notification', 'connected', 'authenticated', 'disconnected', 'error')
-   * @param {Function} handler - Event handler function
-   * @returns {Function} Unsubscribe function
-   *
-   * @example
-   * ```javascript
-   * // Listen for all events
-   * ck.on('event', (event) => {
-   *   console.log('Event from', event.kernel, ':', event.data);
-   * });
-   *
-   * // Listen for connection status
-   * ck.on('connected', () => console.log('Connected!'));
-   * ck.on('disconnected', () => console.log('Disconnected'));
-   *
-   * // Unsubscribe
-   * const unsubscribe = ck.on('event', handler);
-   * unsubscribe(); // Stop listening
-   * ```
+   * Switch to another gateway: re-discover its services and, if a WebSocket is
+   * open, move it over and restore the session. Concurrent callers share one switch.
+   * @private
    */
-  on(eventType, handler) {
-    if (!this._eventHandlers[eventType]) {
-      throw new Error(`Unknown event type: ${eventType}`);
+  _failover(reason) {
+    if (!this._failingOver) {
+      this._failingOver = this._switchGateway(reason).finally(() => {
+        this._failingOver = null;
+      });
     }
+    return this._failingOver;
+  }
 
-    this._eventHandlers[eventType].push(handler);
+  async _switchGateway(reason) {
+    const from = this.gatewayUrl;
+    const previous = this._activeGateway();
+    previous.healthy = false;
 
-    // Return unsubscribe function
-    return () => {
-      const index = this._eventHandlers[eventType].indexOf(handler);
-      if (index > -1) {
-        this._eventHandlers[eventType].splice(index, 1);
+    const session = { token: this.token, authenticated: this.authenticated };
+    const tried = new Set([previous]);
+    let switched = false;
+    let next = this._selectGateway(previous);
+
+    while (next && !tried.has(next)) {
+      tried.add(next);
+      this.gatewayUrl = next.url;
+      this._oidcConfiguration = null;
+      try {
+        await this.discover(true);
+        switched = true;
+        break;
+      } catch (err) {
+        next.healthy = false;
+        this._log.warn('Gateway unavailable during failover', { gateway: next.url, error: err });
+        next = this._selectGateway(previous);
       }
-    };
+    }
+
+    if (!switched) {
+      this.gatewayUrl = from;
+      throw new Error(`No healthy gateway available (active: ${from})`);
+    }
+
+    this._log.warn('Switched gateway', { from, to: this.gatewayUrl, reason });
+
+    if (this.websocket) {
+      const ws = this.websocket;
+      this.websocket = null;
+      ws.close();
+      await this._connectWebSocket();
+      await this._restoreSession(session);
+    }
+
+    this._emit('gateway_switched', { from, to: this.gatewayUrl, reason });
   }
 
   /**
-   * Get service by name
-   * @param {string} serviceName - Service name (gateway, websocket, oidc, registry)
-   * @returns {Object|null} Service configuration
+   * Run a gateway call, failing over once and retrying if the gateway is down
+   * @private
    */
-  getService(serviceName) {
-    if (!this.services) {
-      return null;
+  async _withFailover(send) {
+    try {
+      return await send();
+    } catch (error) {
+      if (this.gateways.length < 2 || !isGatewayDownError(error)) {
+        throw error;
+      }
+      await this._failover('emit');
+      return send();
     }
-    return this.services[serviceName] || null;
   }
 
   /**
-   * Check if service is available
-   * @param {string} serviceName - Service name
-   * @returns {boolean}
+   * Deliver an incoming event (from the WebSocket or NATS) to request() waiters,
+   * subscribe() handlers and 'event' listeners
+   * @param {Object} data - WebSocket event message or NATS message payload
+   * @param {string} [subject] - NATS subject the message arrived on
+   * @private
    */
-  hasService(serviceName) {
-    return this.getService(serviceName) !== null;
+  _handleEvent(data, subject) {
+    if (subject) {
+      data = toEventMessage(data, subject);
+    }
+    if (!this._acceptIncoming(data)) {
+      return;
+    }
+    this._resolveReply(data);
+    this._dispatchSubscriptions(data);
+    this._emit('event', data);
+    if (data.type === 'notification') {
+      this._emit('notification', data);
+    }
   }
 
   /**
-   * Get all available service names
-   * @returns {string[]}
+   * Load the outbox store and start replaying on reconnect, on browser `online`
+   * events and on a timer while entries are pending
+   * @private
    */
-  getAvailableServices() {
-    if (!this.services) return [];
-    return Object.keys(this.services);
+  async _initOutbox() {
+    const config = {
+      storage: 'auto',
+      maxAttempts: 10,
+      retryInterval: 5000,
+      ...(typeof this.options.outbox === 'object' ? this.options.outbox : {})
+    };
+
+    const store = createOutboxStore(config);
+    const entries = (await store.load()).sort((a, b) => a.seq - b.seq);
+
+    this._outbox = { config, store, entries, flushing: null, timer: null, onOnline: null };
+    this._log.debug('Outbox loaded', { pending: entries.length });
+
+    const replay = () => {
+      if (this._outbox.entries.length > 0) {
+        this.flushOutbox().catch(err => this._log.warn('Outbox replay failed', { error: err }));
+      }
+    };
+
+    this.on('connected', replay);
+    this.on('reconnected', replay);
+
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      this._outbox.onOnline = replay;
+      window.addEventListener('online', replay);
+    }
+
+    this._outbox.timer = setInterval(replay, config.retryInterval);
+    if (this._outbox.timer.unref) {
+      this._outbox.timer.unref();
+    }
   }
 
   /**
-   * Get connection status
-   * @returns {Object} Status object
+   * Persist an emit for later replay
+   * @private
    */
-  getStatus() {
-    return {
-      discovered: this.services !== null,
-      lastDiscovery: this.lastDiscovery,
-      cacheAge: this.lastDiscovery ? Date.now() - this.lastDiscovery : null,
-      websocketConnected: !!(this.websocket && this.websocket.readyState === WebSocket.OPEN),
-      natsConnected: !!this.natsConnection,
-      directNATS: this.options.directNATS,
-      natsUrl: this.options.directNATS ? this.options.natsUrl : null,
-      activeNatsSubscriptions: this.natsSubscriptions.size,
-      authenticated: this.authenticated,
-      actor: this.actor,
-      roles: this.roles,
-      availableServices: this.getAvailableServices()
+  async _enqueueOutbox(kernelUrn, payload, options, error) {
+    const last = this._outbox.entries[this._outbox.entries.length - 1];
+    const entry = {
+      txId: options.txId,
+      kernel: kernelUrn,
+      payload,
+      options,
+      seq: last ? last.seq + 1 : 0,
+      createdAt: Date.now(),
+      attempts: error ? 1 : 0,
+      lastError: error ? error.message : null
     };
+
+    this._outbox.entries.push(entry);
+    await this._outbox.store.put(entry);
+
+    this._log.info('Emit queued in outbox', { txId: entry.txId, kernel: kernelUrn, reason: entry.lastError });
+    this._emit('outbox_queued', { entry: { ...entry } });
+
+    return { txId: entry.txId, kernel: kernelUrn, queued: true };
   }
 
   /**
-   * Disconnect WebSocket and/or NATS connection
+   * Schedule the next reconnect attempt with exponential backoff and jitter
+   * @param {Object} session - Session to restore ({ token, authenticated })
+   * @private
    */
-  async disconnect() {
-    // Close NATS connection if active
-    if (this.natsConnection) {
-      console.log('[CK Client] Closing NATS connection...');
+  _scheduleReconnect(session) {
+    const attempt = ++this._reconnectAttempts;
+
+    if (attempt > this.options.reconnectMaxAttempts) {
+      this._log.error('Giving up reconnecting', { attempts: attempt - 1 });
+      this._reconnectAttempts = 0;
+      this._emit('reconnect_failed', { attempts: attempt - 1 });
+      return;
+    }
+
+    const base = Math.min(
+      this.options.reconnectMaxDelay,
+      this.options.reconnectDelay * Math.pow(2, attempt - 1)
+    );
+    const jitter = Math.min(Math.max(this.options.reconnectJitter, 0), 1);
+    const delay = Math.round(base * (1 - jitter * Math.random()));
+
+    this._log.info('Reconnecting WebSocket', { attempt, delay });
+    this._emit('reconnecting', { attempt, delay });
+
+    this._reconnectTimer = setTimeout(async () => {
+      this._reconnectTimer = null;
       try {
-        // Unsubscribe all active subscriptions
-        for (const [subject, sub] of this.natsSubscriptions.entries()) {
-          console.log('[CK Client] Unsubscribing from:', subject);
-          sub.unsubscribe();
+        if (this.gateways.length > 1 && !(await this._checkGateway(this._activeGateway()))) {
+          await this._failover('websocket');
         }
-        this.natsSubscriptions.clear();
+        await this._connectWebSocket();
+      } catch (err) {
+        this._log.warn('Reconnect attempt failed', { attempt, error: err });
+        this._scheduleReconnect(session);
+        return;
+      }
 
-        // Drain and close connection
-        await this.natsConnection.drain();
-        this.natsConnection = null;
-        console.log('[CK Client] NATS connection closed');
+      this._reconnectAttempts = 0;
+      await this._restoreSession(session);
+      this._emit('reconnected', { attempt, authenticated: this.authenticated, actor: this.actor });
+    }, delay);
+  }
+
+  /**
+   * Restore identity and server-side subscriptions on a fresh WebSocket
+   *
+   * The welcome message resets the client to anonymous, so the previous token is
+   * presented again through upgrade_token; stored credentials are the fallback.
+   * @private
+   */
+  async _restoreSession(session) {
+    await this._waitForWelcome(this.options.requestTimeout);
+
+    if (session.authenticated) {
+      try {
+        await this._upgradeToken(session.token);
       } catch (err) {
-        console.error('[CK Client] Error closing NATS connection:', err);
+        this._log.warn('Could not re-upgrade previous token', { error: err });
+        if (this._credentials) {
+          try {
+            await this._upgradeToken(this.token, this._credentials);
+          } catch (authErr) {
+            this._emit('error', { message: 'Re-authentication after reconnect failed', error: authErr, context: 'reconnect' });
+          }
+        } else {
+          this._emit('error', { message: 'Session could not be restored after reconnect', error: err, context: 'reconnect' });
+        }
       }
     }
 
-    // Close WebSocket if active
-    if (this.websocket) {
-      console.log('[CK Client] Closing WebSocket...');
-      this.websocket.close();
-      this.websocket = null;
+    for (const [id, message] of this._serverSubscriptions) {
+      try {
+        this._sendControl(message);
+      } catch (err) {
+        this._log.warn('Could not restore subscription', { id, error: err });
+      }
     }
   }
 
   /**
-   * Get all registered kernels (NATS mode only)
-   * @returns {Promise<Array>} List of kernel URNs
-   *
-   * @example
-   * ```javascript
-   * const kernels = await ck.getKernels();
-   * console.log('Available kernels:', kernels);
-   * ```
+   * Resolve once the server's `connected` welcome arrives (or after timeout)
+   * @private
    */
-  async getKernels() {
-    if (!this.natsConnection) {
-      throw new Error('NATS connection required. Use connect() with directNATS=true');
+  _waitForWelcome(timeout) {
+    if (this._welcomed) {
+      return Promise.resolve();
     }
 
-    const response = await this._natsRequest('ck.discovery.kernels', {});
-    return response.kernels || [];
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        const index = this._welcomeWaiters.indexOf(done);
+        if (index > -1) this._welcomeWaiters.splice(index, 1);
+        resolve();
+      }, timeout);
+      const done = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      this._welcomeWaiters.push(done);
+    });
   }
 
   /**
-   * Get all registered edges (NATS mode only)
-   * @returns {Promise<Array>} List of edge definitions
-   *
-   * @example
-   * ```javascript
-   * const edges = await ck.getEdges();
-   * console.log('Available edges:', edges);
-   * ```
+   * Present a stored token through upgrade_token after connecting
+   * @returns {Promise<boolean>} True if the stored session was restored
+   * @private
    */
-  async getEdges() {
-    if (!this.natsConnection) {
-      throw new Error('NATS connection required. Use connect() with directNATS=true');
+  async _restoreStoredToken() {
+    if (!this._tokenStore) {
+      return false;
     }
 
-    const response = await this._natsRequest('ck.discovery.edges', {});
-    return response.edges || [];
+    const session = await this._tokenStore.get();
+    if (!session || !session.token) {
+      return false;
+    }
+
+    if (session.expiresAt && session.expiresAt <= Date.now()) {
+      this._log.info('Stored token has expired', { actor: session.actor });
+      await this._tokenStore.clear();
+      this._emit('token_expired', { actor: session.actor, expiresAt: session.expiresAt });
+      return false;
+    }
+
+    await this._waitForWelcome(this.options.requestTimeout);
+
+    try {
+      await this._upgradeToken(session.token);
+      return true;
+    } catch (err) {
+      this._log.warn('Stored token was rejected', { error: err });
+      await this._tokenStore.clear();
+      return false;
+    }
   }
 
   /**
-   * Subscribe to kernel announcements (NATS mode only)
-   * @param {Function} callback - Callback function receiving kernel data
-   * @returns {Function} Unsubscribe function
-   *
-   * @example
-   * ```javascript
-   * const unsubscribe = ck.subscribeKernels((kernel) => {
-   *   console.log('Kernel update:', kernel);
-   * });
+   * Persist the current token and schedule expiry handling
    *
-   * // Later...
-   * unsubscribe();
-   * ```
+   * `token_expiring` fires `tokenRefreshMargin` before expiry, when the token is
+   * re-upgraded (or re-authenticated with stored credentials); `token_expired`
+   * fires if it still lapses.
+   * @private
    */
-  subscribeKernels(callback) {
-    if (!this.natsConnection) {
-      throw new Error('NATS connection required. Use connect() with directNATS=true');
-    }
+  async _trackToken() {
+    this._clearTokenTimers();
+    this.tokenExpiresAt = decodeJwtExpiry(this.token);
 
-    return this._natsSubscribe('ck.announce.kernel.>', (msg) => {
+    if (this._tokenStore) {
       try {
-        const data = JSON.parse(this._natsCodec.decode(msg.data));
-        callback(data);
+        await this._tokenStore.set({
+          token: this.token,
+          actor: this.actor,
+          roles: this.roles,
+          expiresAt: this.tokenExpiresAt
+        });
       } catch (err) {
-        console.error('[CK Client] Failed to parse kernel announcement:', err);
+        this._log.warn('Could not persist token', { error: err });
       }
-    });
-  }
+    }
 
-  /**
-   * Subscribe to edge announcements (NATS mode only)
-   * @param {Function} callback - Callback function receiving edge data
-   * @returns {Function} Unsubscribe function
-   *
-   * @example
-   * ```javascript
-   * const unsubscribe = ck.subscribeEdges((edge) => {
-   *   console.log('Edge update:', edge);
-   * });
-   * ```
-   */
-  subscribeEdges(callback) {
-    if (!this.natsConnection) {
-      throw new Error('NATS connection required. Use connect() with directNATS=true');
+    if (!this.tokenExpiresAt) {
+      return;
     }
 
-    return this._natsSubscribe('ck.announce.edge.>', (msg) => {
+    // setTimeout cannot wait longer than ~24.8 days
+    const MAX_DELAY = 2147483647;
+    const token = this.token;
+    const expiresAt = this.tokenExpiresAt;
+    const refreshIn = Math.min(Math.max(expiresAt - this.options.tokenRefreshMargin - Date.now(), 0), MAX_DELAY);
+    const expireIn = Math.min(Math.max(expiresAt - Date.now(), 0), MAX_DELAY);
+
+    this._tokenTimers.push(setTimeout(async () => {
+      if (this.token !== token) return;
+
+      this._log.info('Token expiring, refreshing', { expiresAt });
+      this._emit('token_expiring', { actor: this.actor, expiresAt });
+
       try {
-        const data = JSON.parse(this._natsCodec.decode(msg.data));
-        callback(data);
+        await this._upgradeToken(token);
       } catch (err) {
-        console.error('[CK Client] Failed to parse edge announcement:', err);
+        if (this._credentials) {
+          await this._upgradeToken(this.token, this._credentials).catch(authErr => {
+            this._log.warn('Token refresh failed', { error: authErr });
+          });
+        } else {
+          this._log.warn('Token refresh failed', { error: err });
+        }
+      }
+    }, refreshIn));
+
+    this._tokenTimers.push(setTimeout(async () => {
+      if (this.token !== token) return;
+
+      this._log.warn('Token expired', { expiresAt });
+      this.authenticated = false;
+      if (this._tokenStore) {
+        await this._tokenStore.clear().catch(() => {});
       }
+      this._emit('token_expired', { actor: this.actor, expiresAt });
+    }, expireIn));
+
+    this._tokenTimers.forEach(timer => timer.unref && timer.unref());
+  }
+
+  /**
+   * Cancel token refresh/expiry timers
+   * @private
+   */
+  _clearTokenTimers() {
+    this._tokenTimers.splice(0).forEach(timer => clearTimeout(timer));
+  }
+
+  /**
+   * POST to the OIDC token endpoint
+   * @returns {Promise<Object>} Token response
+   * @private
+   */
+  async _oidcTokenRequest(params) {
+    const config = await this.getOidcConfiguration();
+    const body = new URLSearchParams();
+    Object.keys(params).forEach(key => {
+      if (params[key] !== undefined) body.set(key, params[key]);
+    });
+
+    const response = await this._fetch(config.token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: body.toString()
     });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || data.error) {
+      const error = new Error(`OIDC token request failed: ${data.error_description || data.error || response.status}`);
+      error.code = data.error;
+      throw error;
+    }
+    return data;
   }
 
   /**
-   * Subscribe to any NATS subject with custom handler (NATS mode only)
-   * @param {string} subject - NATS subject pattern (supports wildcards)
-   * @param {Function} handler - Message handler function
-   * @returns {Function} Unsubscribe function
-   *
-   * @example
-   * ```javascript
-   * // Listen to all kernel events
-   * const unsub = ck.pump('ck.event.kernel.>', (msg) => {
-   *   console.log('Kernel event:', msg);
-   * });
-   *
-   * // Listen to specific kernel
-   * ck.pump('ck.event.kernel.UI.Bakery', (msg) => {
-   *   console.log('Bakery event:', msg);
-   * });
-   * ```
+   * Turn OIDC tokens into a CK session through upgrade_token.
+   * Without a WebSocket the access token is used directly as the bearer token.
+   * @private
    */
-  pump(subject, handler) {
-    if (!this.natsConnection) {
-      throw new Error('NATS connection required. Use connect() with directNATS=true');
+  async _upgradeWithOidcTokens(tokens) {
+    this._log.debug('OIDC login succeeded', { scope: tokens.scope, expiresIn: tokens.expires_in });
+
+    // The ID token names the user; with a WebSocket the gateway's answer has the final say
+    const identity = oidcIdentityFromClaims(decodeJwtClaims(tokens.id_token) || decodeJwtClaims(tokens.access_token));
+    if (identity) {
+      this.actor = identity.actor;
+      if (identity.roles) this.roles = identity.roles;
     }
 
-    return this._natsSubscribe(subject, (msg) => {
-      try {
-        const data = JSON.parse(this._natsCodec.decode(msg.data));
-        handler(data);
-      } catch (err) {
-        console.error('[CK Client] Failed to parse message on', subject, ':', err);
-      }
-    });
+    if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
+      return this._upgradeToken(this.token, {
+        access_token: tokens.access_token,
+        id_token: tokens.id_token
+      });
+    }
+
+    this.token = tokens.access_token;
+    this.authenticated = true;
+    await this._trackToken();
+    this._emit('authenticated', { actor: this.actor, roles: this.roles });
+    return { token: this.token, actor: this.actor, roles: this.roles };
   }
 
   /**
-   * Publish message to NATS subject
-   * @param {string} subject - NATS subject
-   * @param {Object|string} data - Message data (will be JSON.stringify'd if object)
-   * @example
-   * ```javascript
-   * // Trigger kernel action
-   * ck.publishToSubject('kernel.Test.Nats.action.emit', { action: 'emit_messages' });
-   * ```
+   * Upgrade the current session with a previous token and/or credentials
+   * @private
    */
-  publishToSubject(subject, data) {
-    if (!this.natsConnection) {
-      throw new Error('NATS connection required. Use connect() with directNATS=true');
+  async _upgradeToken(currentToken, credentials) {
+    const message = { type: 'upgrade_token', current_token: currentToken };
+    if (credentials) {
+      message.credentials = credentials;
     }
 
-    console.log('[CK Client] Publishing to subject:', subject);
+    const data = await this._wsRequest(message, {
+      expect: 'token_upgraded',
+      timeout: 10000,
+      timeoutMessage: 'Authentication timeout',
+      errorMessage: 'Authentication failed'
+    });
 
-    const payload = typeof data === 'string' ? data : JSON.stringify(data);
-    const encoded = this._natsCodec.encode(payload);
+    this.token = data.token;
+    this.actor = data.actor;
+    this.roles = data.roles || [];
+    this.authenticated = true;
 
-    this.natsConnection.publish(subject, encoded);
-    console.log('[CK Client] Published:', payload);
+    this._log.info('Token upgraded', { actor: this.actor, roles: this.roles });
+    await this._trackToken();
+
+    this._emit('authenticated', { actor: this.actor, roles: this.roles });
+    return { token: data.token, actor: data.actor, roles: data.roles };
   }
 
   /**
-   * Connect to NATS WebSocket server
+   * Send a WebSocket command and wait for its correlated reply
+   *
+   * Every outgoing message gets a unique `request_id`. Replies echoing that id are
+   * routed straight to the caller; for gateways that do not echo it, the oldest
+   * pending request expecting the reply type (and accepted by `match`) wins.
+   * `error` replies reject the request whose id or command type they reference.
+   *
+   * @param {Object} message - Message to send (must have a `type`)
+   * @param {Object} [options]
+   * @param {string} [options.expect] - Reply type that resolves the request
+   * @param {Function} [options.match] - Extra predicate on uncorrelated replies
+   * @param {number} [options.timeout] - Timeout in ms (default: options.requestTimeout)
+   * @param {string} [options.timeoutMessage] - Error message on timeout
+   * @param {string} [options.errorMessage] - Fallback message for error replies
+   * @returns {Promise<Object>} Reply message
    * @private
    */
-  async _connectNATS() {
-    const nats = await getNatsModule();
-    const { connect, StringCodec } = nats;
+  _wsRequest(message, options = {}) {
+    if (!this.websocket || this.websocket.readyState !== WebSocket.OPEN) {
+      return Promise.reject(new Error('WebSocket not connected'));
+    }
 
-    console.log('[CK Client] Connecting to NATS:', this.options.natsUrl);
+    const requestId = this._nextRequestId();
+    const timeout = options.timeout || this.options.requestTimeout;
 
-    try {
-      this.natsConnection = await connect({
-        servers: this.options.natsUrl,
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._pendingRequests.delete(requestId);
+        this._log.warn('WebSocket request timed out', { requestId, type: message.type, timeout });
+        reject(new Error(options.timeoutMessage || `Request timeout: ${message.type}`));
+      }, timeout);
+
+      this._pendingRequests.set(requestId, {
+        type: message.type,
+        expect: options.expect,
+        match: options.match,
+        errorMessage: options.errorMessage,
+        resolve,
+        reject,
+        timer
       });
 
-      this._natsCodec = StringCodec();
+      this._log.trace('Sending WebSocket request', { requestId, type: message.type });
+      this.websocket.send(JSON.stringify({ ...message, request_id: requestId }));
+    });
+  }
 
-      console.log('[CK Client] NATS connected successfully');
+  /**
+   * Correlation id for an outgoing WebSocket message
+   * @private
+   */
+  _nextRequestId() {
+    return `req-${Date.now()}-${++this._requestCounter}`;
+  }
 
-      // Setup connection closed handler
-      (async () => {
-        for await (const status of this.natsConnection.status()) {
-          console.log('[CK Client] NATS status:', status.type, status.data);
+  /**
+   * Route a WebSocket reply to its pending request
+   * @returns {boolean} True if the message was consumed by a pending request
+   * @private
+   */
+  _resolvePendingRequest(data) {
+    let requestId = data.request_id;
 
-          if (status.type === 'disconnect') {
-            this._emit('disconnected', { type: 'nats' });
-          } else if (status.type === 'reconnect') {
-            this._emit('connected', { type: 'nats' });
-          }
+    if (!requestId || !this._pendingRequests.has(requestId)) {
+      requestId = null;
+      for (const [id, pending] of this._pendingRequests) {
+        const matches = data.type === 'error'
+          ? data.context === pending.type
+          : data.type === pending.expect && (!pending.match || pending.match(data));
+        if (matches) {
+          requestId = id;
+          break;
         }
-      })();
+      }
+    }
 
-      this._emit('connected', { type: 'nats', url: this.options.natsUrl });
-    } catch (err) {
-      console.error('[CK Client] NATS connection failed:', err);
-      throw new Error(`NATS connection failed: ${err.message}`);
+    if (!requestId) {
+      return false;
+    }
+
+    const pending = this._pendingRequests.get(requestId);
+    this._pendingRequests.delete(requestId);
+    clearTimeout(pending.timer);
+
+    if (data.type === 'error') {
+      pending.reject(new Error(data.message || pending.errorMessage || `${pending.type} failed`));
+    } else {
+      pending.resolve(data);
     }
+    return true;
   }
 
   /**
-   * Send NATS request and wait for response
+   * Reject every in-flight WebSocket request
    * @private
    */
-  async _natsRequest(subject, data, timeout = 5000) {
-    if (!this.natsConnection) {
-      throw new Error('NATS connection not established');
-    }
-
-    try {
-      const payload = this._natsCodec.encode(JSON.stringify(data));
-      const response = await this.natsConnection.request(subject, payload, { timeout });
-      return JSON.parse(this._natsCodec.decode(response.data));
-    } catch (err) {
-      console.error('[CK Client] NATS request failed:', subject, err);
-      throw new Error(`NATS request failed on ${subject}: ${err.message}`);
+  _rejectPendingRequests(error) {
+    for (const pending of this._pendingRequests.values()) {
+      clearTimeout(pending.timer);
+      if (!pending.control) pending.reject(error);
     }
+    this._pendingRequests.clear();
   }
 
   /**
-   * Subscribe to NATS subject
+   * Send a fire-and-forget control message if the WebSocket is open
+   *
+   * It carries a request_id like _wsRequest() messages, so an ack or error
+   * naming it is consumed here (errors are logged and emitted as 'error').
+   * Gateways that do not acknowledge control messages let the entry expire.
    * @private
    */
-  _natsSubscribe(subject, handler) {
-    if (!this.natsConnection) {
-      throw new Error('NATS connection not established');
+  _sendControl(message) {
+    if (!this.websocket || this.websocket.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    const requestId = this._nextRequestId();
+    const timer = setTimeout(() => this._pendingRequests.delete(requestId), this.options.requestTimeout);
+    if (timer.unref) {
+      timer.unref();
     }
 
-    console.log('[CK Client] Subscribing to NATS subject:', subject);
+    this._pendingRequests.set(requestId, {
+      type: message.type,
+      control: true,
+      resolve: (reply) => this._log.debug('Control message acknowledged', { requestId, type: message.type, reply: reply.type }),
+      reject: (error) => {
+        this._log.warn('Control message rejected', { requestId, type: message.type, error });
+        this._emit('error', { message: error.message, error, context: message.type });
+      },
+      timer
+    });
 
-    const sub = this.natsConnection.subscribe(subject);
-    this.natsSubscriptions.set(subject, sub);
+    this._log.trace('Sending WebSocket control message', { requestId, type: message.type });
+    this.websocket.send(JSON.stringify({ ...message, request_id: requestId }));
+  }
 
-    // Process messages
-    (async () => {
+  /**
+   * Deliver an event to every subscribe() handler whose filter matches
+   * @private
+   */
+  _dispatchSubscriptions(event) {
+    for (const [id, subscription] of this._subscriptions) {
+      if (!matchesSubscription(subscription.filter, event)) continue;
       try {
-        for await (const msg of sub) {
-          handler(msg);
-        }
+        subscription.handler(event);
       } catch (err) {
-        console.error('[CK Client] NATS subscription error:', subject, err);
+        this._log.error('Subscription handler error', { id, error: err });
       }
-    })();
+    }
+  }
 
-    // Return unsubscribe function
-    return () => {
-      console.log('[CK Client] Unsubscribing from:', subject);
-      sub.unsubscribe();
-      this.natsSubscriptions.delete(subject);
-    };
+  /**
+   * Run a System.Registry query and return the response payload
+   * @private
+   */
+  async _registryQuery(type, params = {}, options = {}) {
+    try {
+      const response = await this.request('System.Registry', { action: 'query', type, ...params }, options);
+      return response.payload || {};
+    } catch (err) {
+      // request() rejects error replies; name the query that failed
+      if (!err.envelope) throw err;
+      const error = new Error(`Registry query ${type} failed: ${err.message}`);
+      error.envelope = err.envelope;
+      throw error;
+    }
   }
 
   /**
-   * Connect to WebSocket service
+   * Run a paginated System.Registry list query
+   * @param {string} type - Registry query type
+   * @param {string} key - Payload field holding the results
    * @private
    */
-  async _connectWebSocket() {
-    const wsService = this.getService('websocket');
+  async _cursorQuery(type, key, filters, page, normalize) {
+    const limit = page.limit || 50;
+    const position = decodeCursor(page.cursor);
+    const time = value => (value instanceof Date ? value.toISOString() : value);
 
-    if (!wsService) {
-      throw new Error('WebSocket service not available');
+    const payload = await this._registryQuery(type, {
+      filters: {
+        kernel: filters.kernel,
+        process_type: filters.processType,
+        status: filters.status,
+        start_time: time(filters.since),
+        end_time: time(filters.until)
+      },
+      limit,
+      cursor: position.cursor,
+      offset: position.offset
+    });
+
+    const items = (payload[key] || payload.items || []).map(normalize);
+    const serverCursor = payload.nextCursor || payload.next_cursor;
+    let nextCursor = null;
+
+    if (serverCursor) {
+      nextCursor = serverCursor;
+    } else if (position.offset !== undefined && (payload.hasMore || items.length >= limit)) {
+      nextCursor = `offset:${position.offset + Math.min(items.length, limit)}`;
     }
 
-    // Prefer ws:// over wss:// for local development
-    const wsUrl = wsService.endpoints.ws || wsService.endpoints.wss;
+    return { items: items.slice(0, limit), nextCursor };
+  }
 
-    if (!wsUrl) {
-      throw new Error('No WebSocket endpoint found');
+  /**
+   * Reject every request() still waiting for its answer
+   * @private
+   */
+  _rejectReplyWaiters(error) {
+    for (const waiter of this._replyWaiters.values()) {
+      clearTimeout(waiter.timer);
+      waiter.reject(error);
     }
+    this._replyWaiters.clear();
+  }
 
-    return new Promise((resolve, reject) => {
-      const ws = new WebSocket(wsUrl);
+  /**
+   * Settle a pending request() with a RESPONDS (or ERROR) envelope
+   * @private
+   */
+  _resolveReply(message) {
+    const envelope = extractEnvelope(message);
+    if (!envelope || !this._replyWaiters.has(envelope.txId)) {
+      return;
+    }
 
-      ws.onopen = () => {
-        this.websocket = ws;
-        this._emit('connected', { url: wsUrl });
-        resolve(ws);
-      };
+    const payload = envelope.payload || {};
+    const isError = envelope.edge === 'ERROR' || (envelope.edge === EDGES.RESPONDS && payload.error);
+    if (envelope.edge !== EDGES.RESPONDS && !isError) {
+      return;
+    }
 
-      ws.onmessage = (event) => {
-        try {
-          const data = JSON.parse(event.data);
-          this._handleWebSocketMessage(data);
-        } catch (err) {
-          console.error('[ConceptKernel] Failed to parse message:', err);
-        }
-      };
+    const waiter = this._replyWaiters.get(envelope.txId);
+    this._replyWaiters.delete(envelope.txId);
+    clearTimeout(waiter.timer);
 
-      ws.onclose = () => {
-        this._emit('disconnected', {});
+    if (isError) {
+      const error = new Error(typeof payload.error === 'string' ? payload.error : (payload.error && payload.error.message) || payload.message || 'Request failed');
+      error.envelope = envelope;
+      waiter.reject(error);
+    } else {
+      waiter.resolve(envelope);
+    }
+  }
 
-        // Auto-reconnect if enabled
-        if (this.options.reconnect && this.websocket) {
-          setTimeout(() => {
-            this._connectWebSocket().catch(err => {
-              this._emit('error', { message: 'Reconnect failed', error: err });
-            });
-          }, this.options.reconnectDelay);
-        }
+  /**
+   * Check an outgoing payload per the validatePayloads option: throw in
+   * strict mode, log in warn mode. Kernels whose schemas cannot be fetched
+   * are sent unvalidated (and not asked again until discovery changes).
+   * @private
+   */
+  async _preflightPayload(kernelUrn, payload, edge) {
+    const name = kernelNameOf(kernelUrn);
+    try {
+      await this.getKernelSchemas(name);
+    } catch (error) {
+      this._log.warn('Kernel schemas unavailable, sending unvalidated', { kernel: name, error });
+      this._schemaCache.set(name, {});
+      return;
+    }
 
-        this.websocket = null;
-      };
+    const { valid, errors, schema } = await this.validatePayload(name, payload, { edge });
+    if (valid) {
+      return;
+    }
 
-      ws.onerror = (error) => {
-        this._emit('error', { message: 'WebSocket error', error });
-        reject(error);
-      };
-    });
+    const details = errors.map(e => `${e.pointer} ${e.message}`).join('; ');
+    const message = `Invalid payload for ${schema}: ${details}`;
+    if (this.options.validatePayloads === 'warn') {
+      this._log.warn(message, { kernel: name, errors });
+      return;
+    }
+    throw new PayloadValidationError(message, errors, schema);
   }
 
   /**
-   * Handle WebSocket message
+   * Whether envelope validation is enabled for a direction
    * @private
    */
-  _handleWebSocketMessage(data) {
-    switch (data.type) {
-      case 'connected':
-        // Initial welcome with anonymous token
-        this.token = data.token;
-        this.actor = data.actor;
-        this.roles = data.roles || ['anonymous'];
-        this.authenticated = false;
-        break;
+  _validates(direction) {
+    const mode = this.options.validate;
+    return mode === direction || mode === 'both';
+  }
 
-      case 'event':
-      case 'notification':
-        this._emit('event', data);
-        if (data.type === 'notification') {
-          this._emit('notification', data);
-        }
-        break;
+  /**
+   * Validate an incoming message that carries envelope fields.
+   * Invalid messages are dropped and reported through the 'error' event.
+   * @returns {boolean} True if the message should be delivered
+   * @private
+   */
+  _acceptIncoming(data) {
+    if (!this._validates('incoming') || !data || typeof data !== 'object') {
+      return true;
+    }
 
-      case 'error':
-        this._emit('error', { message: data.message, context: data.context });
-        break;
+    // The envelope is flattened into the message or nested under `data`;
+    // one with an edge but no txId is still checked (and rejected)
+    const envelope = extractEnvelope(data) ||
+      [data, data.data].find(candidate => candidate && typeof candidate === 'object' && candidate.edge !== undefined);
+    if (!envelope) {
+      return true;
+    }
 
-      // token_upgraded and kernel_bootstrapped handled by their respective methods
+    const { txId, edge, from, to, payload } = envelope;
+    try {
+      assertValidEnvelope({ txId, edge, from, to, payload }, 'incoming');
+      return true;
+    } catch (error) {
+      this._log.warn('Dropping invalid incoming envelope', { txId, errors: error.errors });
+      this._emit('error', { message: error.message, error, context: 'validation' });
+      return false;
     }
   }
 
@@ -926,7 +5495,7 @@ class ConceptKernel {
         try {
           handler(data);
         } catch (err) {
-          console.error(`[ConceptKernel] Event handler error (${eventType}):`, err);
+          this._log.error('Event handler error', { eventType, error: err });
         }
       });
     }
@@ -955,8 +5524,31 @@ class ConceptKernel {
   }
 }
 
+ConceptKernel.EDGES = EDGES;
+ConceptKernel.urn = Object.freeze({
+  PATTERN: URN_PATTERN,
+  parse: parseUrn,
+  format: formatUrn,
+  normalize: normalizeUrn,
+  nameOf: kernelNameOf,
+  resolve: resolveKernelUrn
+});
+ConceptKernel.AmbiguousUrnError = AmbiguousUrnError;
+ConceptKernel.EnvelopeValidationError = EnvelopeValidationError;
+ConceptKernel.PayloadValidationError = PayloadValidationError;
+ConceptKernel.TransactionTracker = TransactionTracker;
+ConceptKernel.KernelProxy = KernelProxy;
+ConceptKernel.TransportCapabilityError = TransportCapabilityError;
+ConceptKernel.JetStreamConsumer = JetStreamConsumer;
+ConceptKernel.JetStreamMessage = JetStreamMessage;
+ConceptKernel.KvBucket = KvBucket;
+
 // Export for both browser and Node.js
 if (typeof module !== 'undefined' && module.exports) {
+  // Mock gateway and in-memory NATS for tests, loaded on first access
+  Object.defineProperty(ConceptKernel, 'testing', {
+    get: () => require('./testing.js')
+  });
   module.exports = ConceptKernel;
 }
 
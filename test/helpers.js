@@ -0,0 +1,79 @@
+/**
+ * Shared setup for the mocha specs
+ */
+
+// Node.js before 22 has no global WebSocket
+if (typeof globalThis.WebSocket === 'undefined') {
+  globalThis.WebSocket = require('ws');
+}
+
+const ConceptKernel = require('../index.js');
+const { createMockGateway, MockNats } = require('../testing.js');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Poll until check() returns a truthy value
+ */
+async function eventually(check, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error(`Condition not met within ${timeout}ms`);
+    await sleep(10);
+  }
+}
+
+/**
+ * Resolve with the first payload of a client event
+ */
+function nextEvent(ck, eventType, timeout = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      off();
+      reject(new Error(`No '${eventType}' event within ${timeout}ms`));
+    }, timeout);
+    const off = ck.on(eventType, data => {
+      clearTimeout(timer);
+      off();
+      resolve(data);
+    });
+  });
+}
+
+/**
+ * Start a mock gateway before each test and stop it, with every client
+ * connected through context.connect(), after each test
+ *
+ * @param {Function} [setup] - Called with the gateway to script kernels
+ * @param {Object} [gatewayOptions] - createMockGateway() options
+ * @returns {Object} Context with gateway and connect(options)
+ */
+function withGateway(setup, gatewayOptions) {
+  const clients = [];
+  const context = {
+    gateway: null,
+    async connect(options) {
+      const ck = await context.gateway.connect({ logger: { level: 'silent' }, ...options });
+      clients.push(ck);
+      return ck;
+    }
+  };
+
+  beforeEach(async () => {
+    context.gateway = await createMockGateway(gatewayOptions).start();
+    if (setup) await setup(context.gateway);
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.splice(0).map(ck => ck.disconnect()));
+    await context.gateway.stop();
+  });
+
+  return context;
+}
+
+module.exports = { ConceptKernel, createMockGateway, MockNats, sleep, eventually, nextEvent, withGateway };
@@ -0,0 +1,1255 @@
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const { ConceptKernel, createMockGateway, withGateway, sleep, eventually, nextEvent } = require('./helpers');
+
+describe('Correlated WebSocket requests', () => {
+  const env = withGateway();
+
+  it('sends every command with a unique request_id', async () => {
+    const ck = await env.connect();
+    await ck.authenticate('alice', 'pw');
+    await ck.bootstrapKernel({ kernel: 'App.One', kernelType: 'node' });
+
+    const ids = env.gateway.received({ channel: 'ws', direction: 'in' }).map(entry => entry.message.request_id);
+    assert.ok(ids.length >= 2);
+    assert.ok(ids.every(Boolean));
+    assert.equal(new Set(ids).size, ids.length);
+  });
+
+  it('resolves concurrent bootstraps of the same kernel with their own replies', async () => {
+    const ck = await env.connect();
+    await ck.authenticate('alice', 'pw');
+    // The first bootstrap is answered after the second one
+    env.gateway.fault({ type: 'bootstrap_kernel', latency: 50, times: 1 });
+
+    const [first, second] = await Promise.all([
+      ck.bootstrapKernel({ kernel: 'App.Same', kernelType: 'node', description: 'first' }),
+      ck.bootstrapKernel({ kernel: 'App.Same', kernelType: 'node', description: 'second' })
+    ]);
+
+    const sent = env.gateway.received({ type: 'bootstrap_kernel' }).map(entry => entry.message.request_id);
+    assert.deepEqual([first.request_id, second.request_id], sent);
+  });
+
+  it('routes an authentication reply while a bootstrap is pending', async () => {
+    const ck = await env.connect();
+    await ck.authenticate('alice', 'pw');
+    env.gateway.fault({ type: 'bootstrap_kernel', latency: 50, times: 1 });
+
+    const bootstrap = ck.bootstrapKernel({ kernel: 'App.Slow', kernelType: 'node' });
+    const auth = await ck.authenticate('bob', 'pw');
+    const result = await bootstrap;
+
+    assert.equal(auth.actor, 'ckp://System.Oidc.User#bob');
+    assert.equal(result.type, 'kernel_bootstrapped');
+    assert.equal(result.kernel, 'ckp://App.Slow');
+  });
+
+  it('rejects only the request an error reply names', async () => {
+    const ck = await env.connect();
+    await ck.authenticate('alice', 'pw');
+    env.gateway.fault({ type: 'bootstrap_kernel', error: 'quota exceeded', latency: 20, times: 1 });
+
+    const results = await Promise.allSettled([
+      ck.bootstrapKernel({ kernel: 'App.A', kernelType: 'node' }),
+      ck.bootstrapKernel({ kernel: 'App.B', kernelType: 'node' })
+    ]);
+
+    assert.equal(results[0].status, 'rejected');
+    assert.match(results[0].reason.message, /quota exceeded/);
+    assert.equal(results[1].status, 'fulfilled');
+    assert.equal(results[1].value.kernel, 'ckp://App.B');
+  });
+
+  it('reports errors for control messages through the error event', async () => {
+    const ck = await env.connect();
+    env.gateway.fault({ type: 'subscribe', error: 'subscription limit reached', times: 1 });
+
+    const error = nextEvent(ck, 'error');
+    ck.subscribe({ kernel: 'UI.Bakery' }, () => {});
+    const { message, context } = await error;
+
+    assert.equal(message, 'subscription limit reached');
+    assert.equal(context, 'subscribe');
+    assert.ok(env.gateway.received({ type: 'subscribe' })[0].message.request_id);
+  });
+
+  it('rejects pending requests when the socket closes', async () => {
+    const ck = await env.connect({ reconnect: false });
+    await ck.authenticate('alice', 'pw');
+    env.gateway.fault({ type: 'bootstrap_kernel', drop: true, times: 1 });
+
+    const bootstrap = ck.bootstrapKernel({ kernel: 'App.Lost', kernelType: 'node' });
+    await env.gateway.waitFor({ type: 'bootstrap_kernel' }, 1000);
+    env.gateway.dropConnections();
+
+    await assert.rejects(bootstrap, /WebSocket closed/);
+  });
+});
+
+describe('Authentication errors', () => {
+  const env = withGateway(null, { users: { alice: { password: 'pw' } } });
+
+  it('rejects failed logins with the gateway message', async () => {
+    const ck = await env.connect();
+
+    await assert.rejects(ck.authenticate('alice', 'wrong'), /Invalid credentials/);
+    assert.equal(ck.authenticated, false);
+  });
+});
+
+describe('Reconnection', () => {
+  const env = withGateway(gateway => {
+    gateway.kernel('UI.Bakery', async (payload, { emit }) => {
+      await emit('ANNOUNCES', { phase: 'mixing' });
+      return { baked: payload.action === 'bake' };
+    });
+  });
+
+  it('re-presents the session token after the socket drops', async () => {
+    const ck = await env.connect({ reconnectDelay: 20 });
+    const { token } = await ck.authenticate('alice', 'pw');
+
+    const reconnected = nextEvent(ck, 'reconnected');
+    env.gateway.dropConnections();
+    const event = await reconnected;
+
+    assert.equal(event.authenticated, true);
+    assert.equal(event.actor, 'ckp://System.Oidc.User#alice');
+    const upgrades = env.gateway.received({ type: 'upgrade_token' });
+    assert.equal(upgrades.length, 2);
+    assert.equal(upgrades[1].message.current_token, token);
+    assert.equal(ck.authenticated, true);
+  });
+
+  it('restores server-side subscriptions', async () => {
+    const ck = await env.connect({ reconnectDelay: 20 });
+    const phases = [];
+    ck.subscribe({ kernel: 'UI.Bakery', edge: 'ANNOUNCES' }, event => phases.push(event.data.payload.phase));
+    await env.gateway.waitFor({ type: 'subscribe', direction: 'in' }, 1000);
+
+    const reconnected = nextEvent(ck, 'reconnected');
+    env.gateway.dropConnections();
+    await reconnected;
+
+    const subscribes = await eventually(() => {
+      const found = env.gateway.received({ type: 'subscribe' });
+      return found.length === 2 && found;
+    });
+    assert.equal(subscribes[0].message.subscription_id, subscribes[1].message.subscription_id);
+    assert.notEqual(subscribes[0].message.request_id, subscribes[1].message.request_id);
+
+    await ck.request('UI.Bakery', { action: 'mix' });
+    await eventually(() => phases.length > 0);
+    assert.deepEqual(phases, ['mixing']);
+  });
+
+  it('backs off exponentially and gives up after reconnectMaxAttempts', async () => {
+    const ck = await env.connect({ reconnectDelay: 10, reconnectJitter: 0, reconnectMaxAttempts: 3 });
+    const attempts = [];
+    ck.on('reconnecting', event => attempts.push(event));
+
+    const failed = nextEvent(ck, 'reconnect_failed', 3000);
+    await env.gateway.stop();
+    const event = await failed;
+
+    assert.equal(event.attempts, 3);
+    assert.deepEqual(attempts.map(attempt => attempt.delay), [10, 20, 40]);
+    assert.equal(ck.getStatus().websocketConnected, false);
+  });
+
+  it('does not reconnect after disconnect()', async () => {
+    const ck = await env.connect({ reconnectDelay: 10 });
+    const attempts = [];
+    ck.on('reconnecting', event => attempts.push(event));
+
+    await ck.disconnect();
+    await sleep(50);
+
+    assert.deepEqual(attempts, []);
+  });
+});
+
+describe('Offline outbox', () => {
+  const env = withGateway(gateway => gateway.kernel('UI.Bakery', () => ({ ok: true })));
+
+  it('queues emits the gateway refuses and replays them in order with the same txId', async () => {
+    env.gateway.fault({ type: 'emit', status: 503, times: 1 });
+    const ck = await env.connect({ outbox: { storage: 'memory', retryInterval: 60000 } });
+    const queued = nextEvent(ck, 'outbox_queued');
+
+    const first = await ck.emit('UI.Bakery', { action: 'mix' });
+    const second = await ck.emit('UI.Bakery', { action: 'bake' });
+    await queued;
+
+    assert.equal(first.queued, true);
+    assert.equal(second.queued, true, 'later emits wait behind the backlog');
+    assert.deepEqual(ck.getOutbox().map(entry => entry.txId), [first.txId, second.txId]);
+
+    const delivered = [];
+    ck.on('outbox_delivered', ({ entry }) => delivered.push(entry.txId));
+    assert.deepEqual(await ck.flushOutbox(), { delivered: 2, deadLettered: 0, remaining: 0 });
+
+    assert.deepEqual(delivered, [first.txId, second.txId]);
+    assert.deepEqual(ck.getOutbox(), []);
+    assert.deepEqual(env.gateway.received({ type: 'emit' }).map(entry => entry.txId), [first.txId, first.txId, second.txId]);
+  });
+
+  it('dead-letters entries after maxAttempts', async () => {
+    env.gateway.fault({ type: 'emit', status: 503, times: 3 });
+    const ck = await env.connect({ outbox: { storage: 'memory', maxAttempts: 2, retryInterval: 60000 } });
+    const deadLetter = nextEvent(ck, 'outbox_dead_letter');
+
+    const result = await ck.emit('UI.Bakery', { action: 'mix' });
+    await ck.flushOutbox();
+    const { entry } = await deadLetter;
+
+    assert.equal(entry.txId, result.txId);
+    assert.equal(entry.attempts, 2);
+    assert.deepEqual(ck.getOutbox(), []);
+  });
+
+  it('does not queue client errors', async () => {
+    env.gateway.fault({ type: 'emit', status: 400, times: 1 });
+    const ck = await env.connect({ outbox: { storage: 'memory' } });
+
+    await assert.rejects(ck.emit('UI.Bakery', { action: 'mix' }));
+    assert.deepEqual(ck.getOutbox(), []);
+  });
+
+  it('cancels queued entries', async () => {
+    env.gateway.fault({ type: 'emit', status: 503, times: 1 });
+    const ck = await env.connect({ outbox: { storage: 'memory', retryInterval: 60000 } });
+
+    const { txId } = await ck.emit('UI.Bakery', { action: 'mix' });
+
+    assert.equal(await ck.cancelOutboxEntry(txId), true);
+    assert.equal(await ck.cancelOutboxEntry(txId), false);
+    assert.deepEqual(await ck.flushOutbox(), { delivered: 0, deadLettered: 0, remaining: 0 });
+  });
+
+  it('keeps entries in the file journal across clients', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ck-outbox-'));
+    const outbox = { storage: 'file', path: path.join(dir, 'outbox.jsonl'), retryInterval: 60000 };
+
+    try {
+      env.gateway.fault({ type: 'emit', status: 503, times: 1 });
+      const first = await env.connect({ outbox });
+      const { txId } = await first.emit('UI.Bakery', { action: 'mix' });
+      await first.disconnect();
+
+      const second = await env.connect({ outbox });
+      await eventually(() => second.getOutbox().length === 0);
+
+      assert.deepEqual(env.gateway.received({ type: 'emit' }).map(entry => entry.txId), [txId, txId]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Envelope emits', () => {
+  const env = withGateway(gateway => gateway.kernel('UI.Bakery', () => ({ ok: true })));
+
+  it('sends the full envelope with its txId header when envelope is set', async () => {
+    const ck = await env.connect();
+    const result = await ck.emit('UI.Bakery', { action: 'mix' }, { envelope: true, edge: 'TRANSFORMS' });
+
+    const [emit] = env.gateway.received({ type: 'emit' });
+    assert.equal(emit.txId, result.txId);
+    assert.deepEqual(emit.message, {
+      txId: result.txId,
+      edge: 'TRANSFORMS',
+      from: 'ckp://Agent.Anonymous',
+      to: 'ckp://UI.Bakery:v1',
+      payload: { action: 'mix' }
+    });
+  });
+
+  it('generates a txId for plain payload emits', async () => {
+    const ck = await env.connect();
+    const result = await ck.emit('UI.Bakery', { action: 'mix' });
+
+    assert.match(result.txId, /^[0-9]{13,}-[a-f0-9]{8}$/);
+    assert.deepEqual(env.gateway.received({ type: 'emit' })[0].message, { action: 'mix' });
+  });
+});
+
+describe('Envelope validation', () => {
+  const env = withGateway(gateway => gateway.kernel('UI.Bakery', () => ({ ok: true })));
+  const txId = '1700000000000-abcdef01';
+
+  it('throws before sending an invalid outgoing envelope', async () => {
+    const ck = await env.connect({ validate: 'outgoing' });
+
+    await assert.rejects(ck.emit('UI.Bakery', ['not', 'an', 'object']), (err) => {
+      assert.ok(err instanceof ConceptKernel.EnvelopeValidationError);
+      assert.deepEqual(err.errors.map(error => error.pointer), ['/payload']);
+      return true;
+    });
+    assert.equal(env.gateway.received({ type: 'emit' }).length, 0);
+  });
+
+  it('drops invalid incoming envelopes and reports them', async () => {
+    const ck = await env.connect({ validate: 'incoming' });
+    const seen = [];
+    const errors = [];
+    ck.on('event', event => seen.push(event.data));
+    ck.on('error', error => errors.push(error));
+
+    env.gateway.publishEvent({ txId: 'bad', edge: 'ANNOUNCES', from: 'ckp://UI.Bakery', to: 'ckp://Agent.Anonymous', payload: {} });
+    env.gateway.publishEvent({ txId, edge: 'ANNOUNCES', from: 'ckp://UI.Bakery', to: 'ckp://Agent.Anonymous', payload: { ok: true } });
+    await eventually(() => seen.length === 1);
+    await sleep(20);
+
+    assert.equal(seen[0].txId, txId);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].context, 'validation');
+    assert.ok(errors[0].error instanceof ConceptKernel.EnvelopeValidationError);
+  });
+
+  it('delivers incoming envelopes unchecked without the option', async () => {
+    const ck = await env.connect();
+    const seen = [];
+    ck.on('event', event => seen.push(event.data));
+
+    env.gateway.publishEvent({ txId: 'bad', edge: 'ANNOUNCES', from: 'ckp://UI.Bakery', to: 'ckp://Agent.Anonymous', payload: {} });
+    await eventually(() => seen.length === 1);
+  });
+});
+
+describe('request()', () => {
+  const env = withGateway(gateway => {
+    gateway.kernel('UI.Bakery', async (payload, { emit }) => {
+      await emit('ANNOUNCES', { phase: 'mixing' });
+      return { baked: payload.action === 'bake' };
+    });
+    gateway.kernel('UI.Oven', () => {
+      throw new Error('oven on fire');
+    });
+  });
+
+  it('resolves with the RESPONDS envelope for its txId', async () => {
+    const ck = await env.connect();
+    const response = await ck.request('UI.Bakery', { action: 'bake' });
+
+    assert.equal(response.edge, 'RESPONDS');
+    assert.equal(response.from, 'ckp://UI.Bakery:v1');
+    assert.deepEqual(response.payload, { baked: true });
+    env.gateway.assertReceived({ type: 'emit', kernel: 'ckp://UI.Bakery:v1', txId: response.txId }, 1);
+  });
+
+  it('keeps concurrent requests apart', async () => {
+    const ck = await env.connect();
+    const [mix, bake] = await Promise.all([
+      ck.request('UI.Bakery', { action: 'mix' }),
+      ck.request('UI.Bakery', { action: 'bake' })
+    ]);
+
+    assert.deepEqual(mix.payload, { baked: false });
+    assert.deepEqual(bake.payload, { baked: true });
+    assert.notEqual(mix.txId, bake.txId);
+  });
+
+  it('resolves short names to the discovered URN', async () => {
+    const ck = await env.connect();
+    const response = await ck.request('Bakery', { action: 'mix' });
+
+    assert.deepEqual(response.payload, { baked: false });
+    assert.deepEqual(env.gateway.received({ type: 'emit' }).map(record => record.kernel), ['ckp://UI.Bakery:v1']);
+  });
+
+  it('rejects with the kernel error', async () => {
+    const ck = await env.connect();
+
+    await assert.rejects(ck.request('UI.Oven', {}, { timeout: 1000 }), (err) => {
+      assert.equal(err.message, 'oven on fire');
+      assert.equal(err.envelope.edge, 'ERROR');
+      return true;
+    });
+  });
+
+  it('times out when the kernel never answers', async () => {
+    env.gateway.fault({ kernel: 'UI.Bakery', drop: true, times: 1 });
+    const ck = await env.connect();
+
+    await assert.rejects(ck.request('UI.Bakery', { action: 'bake' }, { timeout: 100 }), /Request timeout: no response from ckp:\/\/UI.Bakery:v1 within 100ms/);
+    assert.equal(ck._replyWaiters.size, 0);
+  });
+
+  it('times out while the emit itself is still in flight', async () => {
+    env.gateway.fault({ type: 'emit', kernel: 'UI.Bakery', latency: 300, times: 1 });
+    const ck = await env.connect();
+    const started = Date.now();
+
+    await assert.rejects(ck.request('UI.Bakery', { action: 'bake' }, { timeout: 100 }), /Request timeout/);
+
+    assert.ok(Date.now() - started < 250, 'rejects at the timeout, not after the emit');
+    // Let the delayed emit finish before the gateway stops
+    await sleep(250);
+  });
+
+  it('rejects when the emit fails', async () => {
+    env.gateway.fault({ type: 'emit', status: 500, error: 'gateway down', times: 1 });
+    const ck = await env.connect();
+
+    await assert.rejects(ck.request('UI.Bakery', { action: 'bake' }), /gateway down/);
+    assert.equal(ck._replyWaiters.size, 0);
+  });
+
+  it('rejects pending requests on disconnect', async () => {
+    env.gateway.fault({ kernel: 'UI.Bakery', drop: true, times: 1 });
+    const ck = await env.connect();
+
+    const pending = ck.request('UI.Bakery', { action: 'bake' }, { timeout: 5000 });
+    await env.gateway.waitFor({ type: 'dropped' }, 1000);
+    await ck.disconnect();
+
+    await assert.rejects(pending, /Client disconnected/);
+  });
+});
+
+describe('track()', () => {
+  const finished = new Map();
+  const registryPolls = gateway => gateway.received({ type: 'emit' }).filter(entry => entry.kernel.includes('System.Registry'));
+
+  const env = withGateway(gateway => {
+    finished.clear();
+    gateway.kernel('System.Registry', (payload) => {
+      const process = finished.get(payload.txId);
+      return { process: process || { txId: payload.txId, status: 'running', temporalParts: [] } };
+    });
+    gateway.kernel('UI.Oven', async (payload, { emit, txId }) => {
+      await emit('ANNOUNCES', { phase: 'preheating' });
+      await emit('ANNOUNCES', { temporalPart: { phase: 'baking', timestamp: '2026-01-01T00:00:01Z' } });
+      await emit('ANNOUNCES', { note: 'not a phase' });
+      finished.set(txId, {
+        txId,
+        status: 'completed',
+        temporalRegion: { end: '2026-01-01T00:00:02Z', duration: 2000 },
+        temporalParts: [{ phase: 'done', timestamp: '2026-01-01T00:00:02Z' }]
+      });
+      return { ok: true };
+    });
+    gateway.kernel('UI.Mixer', async (payload, { emit, txId }) => {
+      for (let step = 1; step <= 8; step++) {
+        await emit('ANNOUNCES', { phase: `step-${step}` });
+        await sleep(25);
+      }
+      await emit('ANNOUNCES', { process: { txId, status: 'completed', temporalRegion: { end: '2026-01-01T00:00:02Z', duration: 200 } } });
+      return undefined;
+    });
+  });
+
+  it('yields explicit phases and completes from System.Registry', async () => {
+    const ck = await env.connect();
+    const txId = ConceptKernel.generateTxId();
+    const tracker = ck.track(txId, { pollInterval: 50, timeout: 5000 });
+
+    await ck.emit('UI.Oven', { action: 'bake' }, { txId });
+
+    const items = [];
+    for await (const item of tracker) {
+      items.push(item);
+    }
+
+    const phases = items.filter(item => item.type === 'phase').map(item => item.phase.phase);
+    assert.deepEqual(phases, ['preheating', 'baking', 'done']);
+    assert.equal(items[items.length - 1].type, 'complete');
+
+    const process = await tracker.done;
+    assert.equal(process.duration, 2000);
+    assert.equal(process.exitCode, null);
+  });
+
+  it('ignores the originating QUERIES event', async () => {
+    const ck = await env.connect();
+    const txId = ConceptKernel.generateTxId();
+    const tracker = ck.track(txId, { pollInterval: 1000 });
+    const phases = [];
+    tracker.on('phase', part => phases.push(part.phase));
+
+    env.gateway.publishEvent({
+      txId,
+      edge: 'QUERIES',
+      from: 'ckp://Agent.Anonymous',
+      to: 'ckp://UI.Oven',
+      payload: { action: 'bake' }
+    });
+    await sleep(50);
+    tracker.stop();
+
+    assert.deepEqual(phases, []);
+  });
+
+  it('polls System.Registry only while no live events arrive', async () => {
+    const ck = await env.connect();
+    const txId = ConceptKernel.generateTxId();
+    const tracker = ck.track(txId, { pollInterval: 150, timeout: 5000 });
+    const phases = [];
+    tracker.on('phase', part => phases.push(part.phase));
+
+    await ck.emit('UI.Mixer', { action: 'mix' }, { txId });
+    const process = await tracker.done;
+
+    assert.equal(process.status, 'completed');
+    assert.equal(phases.length, 8);
+    assert.equal(registryPolls(env.gateway).length, 1, 'only the initial poll while events stream in');
+  });
+
+  it('falls back to polling when the event stream is quiet', async () => {
+    const ck = await env.connect();
+    const tracker = ck.track(ConceptKernel.generateTxId(), { pollInterval: 30, timeout: 5000 });
+
+    await eventually(() => registryPolls(env.gateway).length >= 3);
+    tracker.stop();
+  });
+
+  it('fails when the process does not finish in time', async () => {
+    const ck = await env.connect();
+    const tracker = ck.track(ConceptKernel.generateTxId(), { pollInterval: 20, timeout: 100 });
+
+    await assert.rejects(tracker.done, /Tracking timeout/);
+  });
+
+  it('stops trackers on disconnect', async () => {
+    const ck = await env.connect();
+    const tracker = ck.track(ConceptKernel.generateTxId(), { pollInterval: 20, timeout: 5000 });
+    await eventually(() => registryPolls(env.gateway).length >= 1);
+
+    const iterator = tracker[Symbol.asyncIterator]();
+    await ck.disconnect();
+    const polls = registryPolls(env.gateway).length;
+    await sleep(80);
+
+    assert.equal(tracker.finished, true);
+    assert.equal(await tracker.done, null);
+    assert.deepEqual(await iterator.next(), { value: undefined, done: true });
+    assert.equal(registryPolls(env.gateway).length, polls);
+  });
+});
+
+describe('subscribe()', () => {
+  const env = withGateway(gateway => {
+    gateway.kernel('UI.Bakery', async (payload, { emit }) => {
+      await emit('ANNOUNCES', { phase: 'mixing' });
+      return { baked: true };
+    });
+    gateway.kernel('UI.Shop', () => ({ open: true }));
+  });
+
+  it('sends the filter to System.Wss and delivers only matching events', async () => {
+    const ck = await env.connect();
+    const announces = [];
+    const shop = [];
+    ck.subscribe({ kernel: 'UI.Bakery', edge: 'ANNOUNCES', ignored: 'x' }, event => announces.push(event.data.payload));
+    ck.subscribe({ kernel: 'ckp://UI.Shop' }, event => shop.push(event.data.edge));
+
+    const [subscribe] = await eventually(() => {
+      const found = env.gateway.received({ type: 'subscribe' });
+      return found.length === 2 && found;
+    });
+    assert.deepEqual(subscribe.message.filter, { kernel: 'UI.Bakery', edge: 'ANNOUNCES' });
+
+    await ck.request('UI.Bakery', { action: 'bake' });
+    await ck.request('UI.Shop', {});
+    await eventually(() => announces.length === 1 && shop.length === 1);
+
+    assert.deepEqual(announces, [{ phase: 'mixing' }]);
+    assert.deepEqual(shop, ['RESPONDS']);
+  });
+
+  it('filters by txId and actor', async () => {
+    const ck = await env.connect();
+    const txId = ConceptKernel.generateTxId();
+    const byTx = [];
+    const byActor = [];
+    ck.subscribe({ txId }, event => byTx.push(event.data.edge));
+    ck.subscribe({ actor: 'ckp://Agent.Batch' }, event => byActor.push(event.data.txId));
+
+    await ck.request('UI.Bakery', { action: 'bake' }, { txId });
+    env.gateway.publishEvent({ txId: ConceptKernel.generateTxId(), edge: 'QUERIES', from: 'ckp://Agent.Batch', to: 'ckp://UI.Shop', payload: {} });
+    await eventually(() => byActor.length === 1);
+
+    assert.deepEqual(byTx.sort(), ['ANNOUNCES', 'RESPONDS']);
+    assert.notEqual(byActor[0], txId);
+  });
+
+  it('unsubscribes locally and on the gateway', async () => {
+    const ck = await env.connect();
+    const seen = [];
+    const unsubscribe = ck.subscribe({ kernel: 'UI.Shop' }, event => seen.push(event));
+    await env.gateway.waitFor({ type: 'subscribe' }, 1000);
+
+    unsubscribe();
+    unsubscribe();
+    const [unsubscribeMessage] = await eventually(() => {
+      const found = env.gateway.received({ type: 'unsubscribe' });
+      return found.length > 0 && found;
+    });
+    await ck.request('UI.Shop', {});
+
+    assert.equal(env.gateway.received({ type: 'unsubscribe' }).length, 1);
+    assert.equal(unsubscribeMessage.message.subscription_id, env.gateway.received({ type: 'subscribe' })[0].message.subscription_id);
+    assert.deepEqual(seen, []);
+  });
+
+  it('requires a filter object and a handler', async () => {
+    const ck = await env.connect();
+
+    assert.throws(() => ck.subscribe('UI.Shop', () => {}), /requires a filter object/);
+    assert.throws(() => ck.subscribe({ kernel: 'UI.Shop' }), /requires a handler function/);
+  });
+});
+
+describe('Token persistence', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ck-token-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function adapter(session) {
+    return {
+      session,
+      async get() { return this.session; },
+      async set(value) { this.session = value; },
+      async clear() { this.session = null; }
+    };
+  }
+
+  describe('stores', () => {
+    const env = withGateway();
+
+    it('keeps the session in the memory store after login', async () => {
+      const ck = await env.connect({ tokenStore: 'memory' });
+      await ck.authenticate('alice', 'pw');
+
+      assert.deepEqual(await ck._tokenStore.get(), {
+        token: ck.token,
+        actor: 'ckp://System.Oidc.User#alice',
+        roles: ['user'],
+        expiresAt: null
+      });
+    });
+
+    it('presents the stored token when the next client connects', async () => {
+      const tokenStorePath = path.join(dir, 'token.json');
+      const first = await env.connect({ tokenStore: 'file', tokenStorePath });
+      await first.authenticate('alice', 'pw');
+      await first.disconnect();
+
+      const second = await env.connect({ tokenStore: 'file', tokenStorePath });
+
+      assert.equal(second.authenticated, true);
+      assert.equal(second.actor, 'ckp://System.Oidc.User#alice');
+      const [, restore] = env.gateway.received({ type: 'upgrade_token' }).map(entry => entry.message);
+      assert.equal(restore.current_token, first.token);
+      assert.deepEqual(restore.credentials || {}, {});
+    });
+
+    it('clears a stored token the gateway rejects', async () => {
+      const store = adapter({ token: 'revoked', actor: 'ckp://System.Oidc.User#alice' });
+
+      const ck = await env.connect({ tokenStore: store });
+
+      assert.equal(ck.authenticated, false);
+      assert.equal(store.session, null);
+      env.gateway.assertReceived({ type: 'upgrade_token', message: { current_token: 'revoked' } }, 1);
+    });
+
+    it('drops an expired stored token without presenting it', async () => {
+      const store = adapter({ token: 'old', actor: 'ckp://System.Oidc.User#alice', expiresAt: Date.now() - 1000 });
+
+      const ck = await env.connect({ tokenStore: store });
+
+      assert.equal(ck.authenticated, false);
+      assert.equal(store.session, null);
+      env.gateway.assertReceived({ type: 'upgrade_token' }, 0);
+    });
+
+    it('writes the token file with owner-only permissions', async function () {
+      if (process.platform === 'win32') this.skip();
+      const created = path.join(dir, 'created.json');
+      const existing = path.join(dir, 'existing.json');
+      fs.writeFileSync(existing, JSON.stringify({ other: { token: 'keep' } }));
+      fs.chmodSync(existing, 0o644);
+
+      await (await env.connect({ tokenStore: 'file', tokenStorePath: created })).authenticate('alice', 'pw');
+      await (await env.connect({ tokenStore: 'file', tokenStorePath: existing })).authenticate('alice', 'pw');
+
+      assert.equal(fs.statSync(created).mode & 0o777, 0o600);
+      assert.equal(fs.statSync(existing).mode & 0o777, 0o600);
+      const saved = JSON.parse(fs.readFileSync(existing, 'utf8'));
+      assert.deepEqual(saved.other, { token: 'keep' });
+      assert.equal(saved[`ck-client-token:${env.gateway.url}`].actor, 'ckp://System.Oidc.User#alice');
+    });
+  });
+
+  describe('expiry', () => {
+    const env = withGateway(null, { tokenTtl: 400 });
+
+    it('re-upgrades the token before it expires', async () => {
+      const ck = await env.connect({ tokenStore: 'memory', tokenRefreshMargin: 300 });
+      const expiring = nextEvent(ck, 'token_expiring');
+      await ck.authenticate('alice', 'pw');
+      const first = ck.token;
+
+      const event = await expiring;
+
+      assert.equal(event.actor, 'ckp://System.Oidc.User#alice');
+      assert.ok(Math.abs(event.expiresAt - (Date.now() + 300)) < 150);
+      await eventually(() => ck.token !== first);
+      assert.equal(ck.authenticated, true);
+      assert.equal((await ck._tokenStore.get()).token, ck.token);
+    });
+
+    it('emits token_expired and clears the store when the refresh fails', async () => {
+      const ck = await env.connect({ tokenStore: 'memory', tokenRefreshMargin: 300 });
+      await ck.authenticate('alice', 'pw');
+      const expiresAt = ck.tokenExpiresAt;
+      env.gateway.fault({ type: 'upgrade_token', error: 'Session revoked' });
+
+      const event = await nextEvent(ck, 'token_expired');
+
+      assert.deepEqual(event, { actor: 'ckp://System.Oidc.User#alice', expiresAt });
+      assert.equal(ck.authenticated, false);
+      assert.equal(await ck._tokenStore.get(), null);
+    });
+  });
+});
+
+describe('OIDC login', () => {
+  const env = withGateway(null, { oidc: { clients: { 'ck-service': 'secret' }, deviceInterval: 0.02 } });
+  const redirectUri = 'http://app.local/callback';
+
+  afterEach(() => sinon.restore());
+
+  async function authorize(ck) {
+    const login = await ck.createAuthorizationUrl({ clientId: 'ck-web', redirectUri });
+    const response = await fetch(login.url, { redirect: 'manual' });
+    assert.equal(response.status, 302);
+    return { ...login, callback: response.headers.get('location') };
+  }
+
+  it('reads the provider configuration from the oidc service', async () => {
+    const ck = await env.connect();
+    const config = await ck.getOidcConfiguration();
+
+    assert.equal(config.issuer, `${env.gateway.url}/oidc`);
+    assert.equal(config.token_endpoint, `${env.gateway.url}/oidc/token`);
+    assert.equal(config.device_authorization_endpoint, `${env.gateway.url}/oidc/device`);
+  });
+
+  it('logs in with an authorization code and PKCE', async () => {
+    const ck = await env.connect();
+    const { url, state, codeVerifier, callback } = await authorize(ck);
+
+    const query = new URL(url).searchParams;
+    assert.equal(query.get('code_challenge_method'), 'S256');
+    assert.notEqual(query.get('code_challenge'), codeVerifier);
+    assert.ok(callback.startsWith(`${redirectUri}?`));
+
+    const result = await ck.handleRedirectCallback({ clientId: 'ck-web', redirectUri, url: callback, state, codeVerifier });
+
+    assert.equal(result.actor, 'ckp://System.Oidc.User#alice');
+    assert.equal(ck.authenticated, true);
+    env.gateway.assertReceived({ type: 'oidc_token', message: { grant_type: 'authorization_code', code_verifier: codeVerifier } }, 1);
+    env.gateway.assertReceived({ type: 'upgrade_token', message: { credentials: { access_token: /\./ } } }, 1);
+  });
+
+  it('rejects a code redeemed with the wrong verifier', async () => {
+    const ck = await env.connect();
+    const { state, callback } = await authorize(ck);
+
+    await assert.rejects(
+      ck.handleRedirectCallback({ clientId: 'ck-web', redirectUri, url: callback, state, codeVerifier: 'not-the-verifier' }),
+      err => err.code === 'invalid_grant' && /PKCE verification failed/.test(err.message)
+    );
+    assert.equal(ck.authenticated, false);
+  });
+
+  it('rejects a callback whose state does not match before redeeming the code', async () => {
+    const ck = await env.connect();
+    const { codeVerifier, callback } = await authorize(ck);
+
+    await assert.rejects(
+      ck.handleRedirectCallback({ clientId: 'ck-web', redirectUri, url: callback, state: 'forged', codeVerifier }),
+      /OIDC state mismatch/
+    );
+    env.gateway.assertReceived({ type: 'oidc_token' }, 0);
+  });
+
+  it('polls the device flow through authorization_pending and slow_down', async () => {
+    const ck = await env.connect();
+    let prompt;
+    const tokenPolls = () => env.gateway.received({ type: 'oidc_token' }).length;
+    // Only the client's poll waits are faked; slow_down adds 5s to them
+    const clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'], shouldAdvanceTime: true, shouldClearNativeTimers: true });
+
+    const login = ck.loginWithDeviceCode({ clientId: 'ck-cli', onPrompt: info => { prompt = info; } });
+    await env.gateway.waitFor({ type: 'oidc_token', direction: 'out', message: { error: 'authorization_pending' } });
+    env.gateway.fault({ type: 'oidc_token', error: 'slow_down', times: 1 });
+    await env.gateway.waitFor({ type: 'oidc_token', direction: 'out', message: { error: 'slow_down' } });
+    env.gateway.approveDevice(prompt.userCode);
+
+    const polls = tokenPolls();
+    await clock.tickAsync(1000);
+    assert.equal(tokenPolls(), polls, 'waits longer after slow_down');
+    await clock.tickAsync(4100);
+    const result = await login;
+
+    assert.equal(prompt.verificationUri, `${env.gateway.url}/oidc/device`);
+    assert.match(prompt.userCode, /^MOCK-/);
+    assert.equal(result.actor, 'ckp://System.Oidc.User#alice');
+    env.gateway.assertSent({ type: 'oidc_token', message: { access_token: /\./ } }, 1);
+  });
+
+  it('logs a service account in with client credentials', async () => {
+    const ck = await env.connect();
+
+    const result = await ck.loginWithClientCredentials({ clientId: 'ck-service', clientSecret: 'secret' });
+
+    assert.equal(result.actor, 'ckp://System.Oidc.User#service-account-ck-service');
+    await assert.rejects(
+      ck.loginWithClientCredentials({ clientId: 'ck-service', clientSecret: 'wrong' }),
+      err => err.code === 'invalid_client'
+    );
+  });
+
+  it('uses the access token as the bearer token without a WebSocket', async () => {
+    const ck = await env.connect({ autoConnect: false });
+
+    const result = await ck.loginWithClientCredentials({ clientId: 'ck-service', clientSecret: 'secret' });
+
+    assert.equal(ck.authenticated, true);
+    assert.equal(result.token, env.gateway.sent({ type: 'oidc_token' })[0].message.access_token);
+    assert.equal(result.actor, 'ckp://System.Oidc.User#service-account-ck-service');
+    assert.deepEqual(result.roles, ['user']);
+  });
+});
+
+describe('Transports', () => {
+  const env = withGateway(gateway => {
+    gateway.kernel('UI.Bakery', async (payload, { emit }) => {
+      await emit('ANNOUNCES', { phase: 'mixing' });
+      return { baked: true };
+    });
+  });
+
+  ['http-ws', 'nats', 'hybrid'].forEach(transport => {
+    it(`delivers answers in the event shape over ${transport}`, async () => {
+      const ck = await env.connect({ transport });
+      const subscribed = [];
+      const listened = [];
+      ck.subscribe({ kernel: 'UI.Bakery' }, event => subscribed.push(event));
+      ck.on('event', event => listened.push(event));
+
+      const response = await ck.request('UI.Bakery', { action: 'bake' });
+      await eventually(() => subscribed.length === 2);
+      await sleep(20);
+
+      assert.deepEqual(response.payload, { baked: true });
+      const shape = events => events
+        .map(event => [event.type, event.kernel, typeof event.timestamp, event.data.edge, event.data.payload])
+        .sort((a, b) => a[3].localeCompare(b[3]));
+      const expected = [
+        ['event', 'UI.Bakery', 'string', 'ANNOUNCES', { phase: 'mixing' }],
+        ['event', 'UI.Bakery', 'string', 'RESPONDS', { baked: true }]
+      ];
+      assert.deepEqual(shape(subscribed), expected, 'no QUERIES echo of the request itself');
+      assert.deepEqual(shape(listened), expected);
+    });
+  });
+
+  it('emits over HTTP and reads events from NATS in hybrid mode', async () => {
+    const ck = await env.connect({ transport: 'hybrid' });
+
+    await ck.request('UI.Bakery', { action: 'bake' });
+
+    assert.equal(ck.websocket, null);
+    env.gateway.assertReceived({ channel: 'http', type: 'emit', kernel: 'UI.Bakery' }, 1);
+    env.gateway.assertReceived({ channel: 'nats', type: 'emit' }, 0);
+  });
+
+  ['nats', 'hybrid'].forEach(transport => {
+    it(`rejects WebSocket-only calls over ${transport} with TransportCapabilityError`, async () => {
+      const ck = await env.connect({ transport });
+      const capabilityError = method => err =>
+        err instanceof ConceptKernel.TransportCapabilityError &&
+        err.code === 'ERR_TRANSPORT_CAPABILITY' &&
+        err.transport === transport &&
+        err.capability === 'auth' &&
+        err.message.startsWith(`${method}() is not supported by the ${transport} transport`);
+
+      assert.equal(ck.transport.supports('auth'), false);
+      await assert.rejects(ck.authenticate('alice', 'pw'), capabilityError('authenticate'));
+      await assert.rejects(ck.bootstrapKernel({ kernel: 'App.One', kernelType: 'node' }), capabilityError('bootstrapKernel'));
+    });
+  });
+
+  it('rejects raw subject calls over http-ws', async () => {
+    const ck = await env.connect();
+
+    assert.deepEqual(ck.transport.capabilities.includes('subjects'), false);
+    assert.throws(() => ck.publishToSubject('k.test', {}), err =>
+      err instanceof ConceptKernel.TransportCapabilityError && err.transport === 'http-ws' && err.capability === 'subjects');
+  });
+
+  it('rejects an unknown transport', () => {
+    assert.throws(() => new ConceptKernel('http://127.0.0.1:1', { transport: 'carrier-pigeon', autoConnect: false }), /Unknown transport: carrier-pigeon/);
+  });
+});
+
+describe('Multiple gateways', () => {
+  const gateways = [];
+  const clients = [];
+
+  beforeEach(async () => {
+    for (const name of ['a', 'b', 'c']) {
+      const gateway = await createMockGateway().start();
+      gateway.kernel('Echo', () => ({ gateway: name }));
+      gateways.push(gateway);
+    }
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.splice(0).map(ck => ck.disconnect()));
+    await Promise.all(gateways.splice(0).map(gateway => gateway.stop()));
+  });
+
+  async function connect(urls, options = {}) {
+    const ck = await ConceptKernel.connect(urls, { logger: { level: 'silent' }, ...options });
+    clients.push(ck);
+    return ck;
+  }
+
+  async function gatewayOf(ck) {
+    return (await ck.request('Echo', {})).payload.gateway;
+  }
+
+  it('prefers the lowest priority number', async () => {
+    const [a, b] = gateways;
+    const ck = await connect([{ url: a.url, priority: 1 }, { url: b.url, priority: 0 }]);
+
+    assert.equal(ck.gatewayUrl, b.url);
+    assert.equal(await gatewayOf(ck), 'b');
+  });
+
+  it('picks the gateway with the fastest health check with lowest-latency', async () => {
+    const [a, b, c] = gateways;
+    a.fault({ type: 'discovery', latency: 150 });
+    c.fault({ type: 'discovery', latency: 150 });
+
+    const ck = await connect([a.url, b.url, c.url], { gatewayStrategy: 'lowest-latency' });
+
+    assert.equal(ck.gatewayUrl, b.url);
+    const latencies = Object.fromEntries(ck.getStatus().gateways.map(gateway => [gateway.url, gateway.latency]));
+    assert.ok(latencies[b.url] < latencies[a.url] && latencies[b.url] < latencies[c.url]);
+  });
+
+  it('moves on through the list at each failover with round-robin', async () => {
+    const [a, b, c] = gateways;
+    const ck = await connect([a.url, b.url, c.url], { gatewayStrategy: 'round-robin', healthCheckInterval: 50 });
+    const failover = async (from) => {
+      const switched = nextEvent(ck, 'gateway_switched');
+      const clear = from.fault({ type: 'discovery', status: 500 });
+      const event = await switched;
+      clear();
+      return event;
+    };
+
+    assert.equal(ck.gatewayUrl, a.url);
+    assert.equal((await failover(a)).to, b.url);
+    // With 'priority' this would go back to a, which is healthy again
+    assert.equal((await failover(b)).to, c.url);
+    assert.equal((await failover(c)).to, a.url);
+  });
+
+  it('switches to a healthy gateway when the active one goes away', async () => {
+    const [a, b] = gateways;
+    const ck = await connect([{ url: a.url, priority: 0 }, { url: b.url, priority: 1 }], { healthCheckInterval: 100, reconnectDelay: 20 });
+    const switched = nextEvent(ck, 'gateway_switched');
+
+    await a.stop();
+    const event = await switched;
+
+    assert.equal(event.from, a.url);
+    assert.equal(event.to, b.url);
+    await eventually(() => ck.getStatus().websocketConnected);
+    assert.equal(await gatewayOf(ck), 'b');
+  });
+
+  it('switches when the health check fails while the socket stays open', async () => {
+    const [a, b] = gateways;
+    const ck = await connect([a.url, b.url], { healthCheckInterval: 50 });
+    const switched = nextEvent(ck, 'gateway_switched');
+
+    a.fault({ type: 'discovery', status: 500 });
+    const event = await switched;
+
+    assert.equal(event.reason, 'health_check');
+    assert.equal(ck.gatewayUrl, b.url);
+    await eventually(() => ck.getStatus().websocketConnected);
+    assert.equal(await gatewayOf(ck), 'b');
+  });
+});
+
+describe('Live discovery', () => {
+  const env = withGateway(gateway => {
+    gateway.kernel('UI.Bakery', () => ({}));
+    gateway.kernel('UI.Shop', () => ({}));
+  });
+
+  it('revalidates with If-None-Match and keeps the cache on 304', async () => {
+    const ck = await env.connect();
+    const discovered = nextEvent(ck, 'discovered');
+
+    await ck.discover(true);
+
+    const [first, second] = env.gateway.received({ type: 'discovery' });
+    assert.equal(first.ifNoneMatch, null);
+    assert.match(second.ifNoneMatch, /^"[0-9a-f]+"$/);
+    assert.deepEqual(await discovered, { services: ['gateway', 'websocket'], kernels: 2, notModified: true });
+    assert.equal(ck.kernels.length, 2);
+  });
+
+  it('applies a changed document and reports the differences', async () => {
+    const ck = await env.connect();
+    const changes = [];
+    ['service_added', 'service_removed', 'kernel_added', 'kernel_removed', 'kernel_mode_changed']
+      .forEach(eventType => ck.on(eventType, data => changes.push([eventType, data.name || data.urn])));
+
+    env.gateway.options.services = { registry: { endpoints: { http: 'http://registry.local' } } };
+    env.gateway.kernel('UI.Oven', () => ({}));
+    env.gateway.kernel('UI.Shop', () => ({}), { mode: 'OFFLINE' });
+    env.gateway.removeKernel('UI.Bakery');
+    const discovered = nextEvent(ck, 'discovered');
+    await ck.discover(true);
+
+    assert.equal((await discovered).notModified, false);
+    assert.deepEqual(changes.sort(), [
+      ['kernel_added', 'ckp://UI.Oven:v1'],
+      ['kernel_mode_changed', 'ckp://UI.Shop:v1'],
+      ['kernel_removed', 'ckp://UI.Bakery:v1'],
+      ['service_added', 'registry']
+    ]);
+
+    env.gateway.options.services = {};
+    const removed = nextEvent(ck, 'service_removed');
+    await ck.discover(true);
+    assert.equal((await removed).name, 'registry');
+  });
+
+  it('reports mode changes with the old and new mode', async () => {
+    const ck = await env.connect();
+    const changed = nextEvent(ck, 'kernel_mode_changed');
+
+    env.gateway.kernel('UI.Shop', () => ({}), { mode: 'SLEEPING' });
+    await ck.discover(true);
+
+    const event = await changed;
+    assert.deepEqual([event.urn, event.from, event.to], ['ckp://UI.Shop:v1', 'ONLINE', 'SLEEPING']);
+    assert.equal(event.kernel.mode, 'SLEEPING');
+  });
+
+  it('refreshes in the background with discoveryRefreshInterval', async () => {
+    const ck = await env.connect({ discoveryRefreshInterval: 50 });
+    const added = nextEvent(ck, 'kernel_added');
+
+    env.gateway.kernel('UI.Oven', () => ({}));
+
+    assert.equal((await added).urn, 'ckp://UI.Oven:v1');
+    assert.ok(ck.kernels.some(kernel => kernel.name === 'UI.Oven'));
+  });
+
+  it('reports failed background refreshes and keeps the last document', async () => {
+    const ck = await env.connect({ discoveryRefreshInterval: 50 });
+    const failed = nextEvent(ck, 'error');
+
+    env.gateway.fault({ type: 'discovery', status: 500 });
+
+    const error = await failed;
+    assert.equal(error.context, 'discovery');
+    assert.match(error.error.message, /Service discovery failed: 500/);
+    assert.equal(ck.kernels.length, 2);
+  });
+
+  it('answers from an expired cache at once with staleWhileRevalidate', async () => {
+    const ck = await env.connect({ cacheTimeout: 50, staleWhileRevalidate: true });
+    await sleep(60);
+    env.gateway.fault({ type: 'discovery', latency: 200, times: 1 });
+    env.gateway.kernel('UI.Oven', () => ({}));
+    const added = nextEvent(ck, 'kernel_added');
+
+    const started = Date.now();
+    const services = await ck.discover();
+
+    assert.ok(Date.now() - started < 100, 'served without waiting for the gateway');
+    assert.deepEqual(Object.keys(services), ['gateway', 'websocket']);
+    assert.equal(ck.kernels.some(kernel => kernel.name === 'UI.Oven'), false);
+    assert.equal((await added).urn, 'ckp://UI.Oven:v1');
+    assert.equal(env.gateway.received({ type: 'discovery' }).length, 2);
+  });
+
+  it('waits for the gateway once the cache expires without staleWhileRevalidate', async () => {
+    const ck = await env.connect({ cacheTimeout: 50 });
+    await sleep(60);
+    env.gateway.fault({ type: 'discovery', latency: 150, times: 1 });
+    env.gateway.kernel('UI.Oven', () => ({}));
+
+    const started = Date.now();
+    await ck.discover();
+
+    assert.ok(Date.now() - started >= 140);
+    assert.ok(ck.kernels.some(kernel => kernel.name === 'UI.Oven'));
+  });
+});
+
+describe('Kernel proxies', () => {
+  const env = withGateway(gateway => {
+    gateway.kernel('UI.Bakery', payload => ({ baked: payload.action === 'bake', flour: payload.flour }), { functions: ['mix', 'bake'] });
+    gateway.kernel('UI.Silent', () => ({}));
+  });
+
+  it('calls declared functions and rejects undeclared actions', async () => {
+    const ck = await env.connect();
+    const bakery = ck.kernel('UI.Bakery');
+
+    assert.deepEqual((await bakery.bake({ flour: 2 })).payload, { baked: true, flour: 2 });
+    assert.equal((await bakery.emit('mix')).success, true);
+    await assert.rejects(bakery.call('fly'), /UI\.Bakery does not declare function 'fly' \(declared: mix, bake\)/);
+    assert.equal(bakery.fly, undefined);
+    assert.equal('mix' in bakery, true);
+    await assert.rejects(ck.kernel('UI.Silent').call('anything'), /declared: none/);
+    assert.equal(env.gateway.received({ type: 'emit' }).length, 2);
+  });
+
+  it('exposes the discovery entry and follows refreshes', async () => {
+    const ck = await env.connect();
+    const bakery = ck.kernel('ckp://UI.Bakery:v1');
+
+    assert.equal(bakery.urn, 'ckp://UI.Bakery:v1');
+    assert.equal(bakery.mode, 'ONLINE');
+    assert.deepEqual(bakery.functions, ['mix', 'bake']);
+    assert.throws(() => ck.kernel('UI.Shop'), /Kernel not found in discovery: UI\.Shop/);
+
+    env.gateway.kernel('UI.Bakery', () => ({ fried: true }), { functions: ['fry'] });
+    await ck.discover(true);
+
+    assert.equal(typeof bakery.fry, 'function');
+    assert.equal(bakery.mix, undefined);
+    assert.deepEqual((await bakery.fry()).payload, { fried: true });
+  });
+});
+
+describe('generateTypes()', () => {
+  const env = withGateway(gateway => {
+    gateway.kernel('UI.Bakery', () => ({}), {
+      schemas: { QUERIES: { mix: { payload: { type: 'object', properties: { ingredients: { type: 'array', items: { type: 'string' } } } } } } }
+    });
+    gateway.kernel('UI.Menu', () => ({}));
+    gateway.kernel('System.Registry', payload => { throw new Error(`No schemas for ${payload.kernel}`); });
+  });
+
+  it('renders the discovered kernels and lists those without schemas', async () => {
+    const warnings = [];
+    const ck = await env.connect({ logger: (level, message) => level === 'warn' && warnings.push(message) });
+
+    const source = await ck.generateTypes();
+
+    assert.match(source, /"UI\.Bakery": \{/);
+    assert.match(source, /ingredients\?: Array<string>;/);
+    assert.match(source, /\/\/ UI\.Menu: no payload schemas available/);
+    assert.match(source, /\/\/ System\.Registry: no payload schemas available/);
+    assert.deepEqual(warnings, ['Kernel schemas unavailable', 'Kernel schemas unavailable']);
+    assert.doesNotMatch(await ck.generateTypes({ kernels: ['ckp://UI.Bakery:v1'] }), /UI\.Menu/);
+  });
+});
+
+describe('Payload validation', () => {
+  const env = withGateway(gateway => {
+    gateway.kernel('UI.Mixer', () => ({ ok: true }), {
+      schemas: {
+        QUERIES: {
+          mix: {
+            payload: {
+              type: 'object',
+              required: ['ingredients'],
+              properties: {
+                ingredients: { type: 'array', items: { type: 'string' } },
+                speed: { enum: ['slow', 'fast'] }
+              }
+            }
+          }
+        }
+      }
+    });
+    gateway.kernel('UI.Plain', () => ({ ok: true }));
+    gateway.kernel('System.Registry', () => { throw new Error('No schemas'); });
+  });
+
+  it('rejects invalid payloads before sending in strict mode', async () => {
+    const ck = await env.connect({ validatePayloads: 'strict' });
+
+    await assert.rejects(ck.emit('UI.Mixer', { action: 'mix', ingredients: [1] }), (err) => {
+      assert.ok(err instanceof ConceptKernel.PayloadValidationError);
+      assert.ok(err instanceof ConceptKernel.EnvelopeValidationError);
+      assert.equal(err.schema, 'ckp://UI.Mixer#schema/QUERIES/mix');
+      assert.deepEqual(err.errors.map(error => error.pointer), ['/ingredients/0']);
+      return true;
+    });
+    await assert.rejects(ck.request('UI.Mixer', { action: 'fly' }), /\/action is not accepted on QUERIES \(accepted: QUERIES\/mix\)/);
+    assert.equal(env.gateway.received({ type: 'emit' }).length, 0);
+
+    const response = await ck.request('UI.Mixer', { action: 'mix', ingredients: ['flour'] });
+    assert.deepEqual(response.payload, { ok: true });
+    assert.equal((await ck.emit('UI.Mixer', { action: 'fly' }, { validatePayload: false })).success, true);
+  });
+
+  it('only warns in warn mode', async () => {
+    const warnings = [];
+    const ck = await env.connect({ validatePayloads: 'warn', logger: (level, message) => level === 'warn' && warnings.push(message) });
+
+    const result = await ck.emit('UI.Mixer', { action: 'mix' });
+
+    assert.ok(result.txId);
+    assert.deepEqual(warnings, ['Invalid payload for ckp://UI.Mixer#schema/QUERIES/mix: /ingredients is required']);
+    env.gateway.assertReceived({ type: 'emit', kernel: 'UI.Mixer' }, 1);
+  });
+
+  it('sends unvalidated when the kernel schemas cannot be fetched', async () => {
+    const warnings = [];
+    const ck = await env.connect({ validatePayloads: 'strict', logger: (level, message) => level === 'warn' && warnings.push(message) });
+
+    await ck.emit('UI.Plain', { action: 'anything' });
+    await ck.emit('UI.Plain', { action: 'anything' });
+
+    assert.deepEqual(warnings, ['Kernel schemas unavailable, sending unvalidated']);
+    env.gateway.assertReceived({ type: 'emit', kernel: 'System.Registry' }, 1);
+    env.gateway.assertReceived({ type: 'emit', kernel: 'UI.Plain' }, 2);
+  });
+
+  it('reports errors from validatePayload()', async () => {
+    const ck = await env.connect();
+
+    const result = await ck.validatePayload('UI.Mixer', { action: 'mix', speed: 'warp' });
+    assert.equal(result.valid, false);
+    assert.equal(result.schema, 'ckp://UI.Mixer#schema/QUERIES/mix');
+    assert.deepEqual(result.errors.map(error => [error.pointer, error.keyword]).sort(), [['/ingredients', 'required'], ['/speed', 'enum']]);
+    assert.equal((await ck.validatePayload('UI.Mixer', { action: 'mix', ingredients: [] })).valid, true);
+    assert.deepEqual(await ck.validatePayload('UI.Mixer', { ingredients: [1] }), { valid: true, errors: [], schema: null });
+  });
+
+  it('rejects an unknown validatePayloads option', () => {
+    assert.throws(() => new ConceptKernel(env.gateway.url, { autoConnect: false, validatePayloads: 'always' }),
+      /Invalid validatePayloads option: always \(expected 'strict' or 'warn'\)/);
+  });
+});
@@ -0,0 +1,369 @@
+const assert = require('assert').strict;
+const { ConceptKernel, withGateway, sleep, eventually } = require('./helpers');
+
+describe('JetStream', () => {
+  const env = withGateway(gateway => {
+    gateway.nats.addStream({ name: 'EVENTS', subjects: ['events.>'] });
+    for (let n = 1; n <= 3; n++) gateway.nats.publish('events.UI.Bakery.announce', { n });
+  });
+
+  it('redelivers failed messages and resumes a durable consumer', async () => {
+    const ck = await env.connect({ transport: 'nats' });
+    const seen = [];
+    let consumer = await ck.consume('events.UI.>', (data, msg) => {
+      seen.push([data.n, msg.deliveryCount]);
+      if (data.n === 2 && msg.deliveryCount === 1) throw new Error('boom');
+    }, { durable: 'dashboard' });
+
+    await eventually(() => seen.length === 4);
+    assert.deepEqual(seen, [[1, 1], [2, 1], [2, 2], [3, 1]]);
+    assert.equal(consumer.stream, 'EVENTS');
+    consumer.stop();
+
+    env.gateway.nats.publish('events.UI.Bakery.announce', { n: 4 });
+    const resumed = [];
+    consumer = await ck.consume('events.UI.>', data => resumed.push(data.n), { durable: 'dashboard' });
+    await eventually(() => resumed.length > 0);
+
+    assert.deepEqual(resumed, [4]);
+    await consumer.delete();
+  });
+
+  it('supports manual acks from a start sequence', async () => {
+    const ck = await env.connect({ transport: 'nats' });
+    const seen = [];
+    const consumer = await ck.consume('events.>', (data, msg) => {
+      seen.push([data.n, msg.deliveryCount]);
+      if (data.n === 3) msg.term();
+      else if (data.n === 2 && msg.deliveryCount < 2) msg.nak(10);
+      else msg.ack();
+    }, { startSequence: 2, ack: 'manual' });
+
+    await eventually(() => seen.length === 3);
+    await sleep(30);
+    consumer.stop();
+
+    assert.deepEqual(seen.sort(), [[2, 1], [2, 2], [3, 1]]);
+  });
+
+  it('redelivers unacknowledged messages up to maxDeliver', async () => {
+    const ck = await env.connect({ transport: 'nats' });
+    const deliveries = [];
+    const consumer = await ck.consume('events.>', (data, msg) => {
+      deliveries.push(msg.deliveryCount);
+    }, { startSequence: 3, ack: 'manual', ackWait: 20, maxDeliver: 3 });
+
+    await eventually(() => deliveries.length === 3);
+    await sleep(60);
+    consumer.stop();
+
+    assert.deepEqual(deliveries, [1, 2, 3]);
+  });
+
+  it('fetches batches from a pull consumer', async () => {
+    const ck = await env.connect({ transport: 'nats' });
+    const consumer = await ck.consume('events.>', null, { durable: 'pull' });
+
+    let batch = await consumer.fetch({ batch: 2, expires: 100 });
+    assert.deepEqual(batch.map(msg => msg.data.n), [1, 2]);
+    batch.forEach(msg => msg.ack());
+
+    batch = await consumer.fetch({ batch: 10, expires: 100 });
+    assert.deepEqual(batch.map(msg => msg.data.n), [3]);
+    batch[0].nak();
+
+    batch = await consumer.fetch({ batch: 10, expires: 100 });
+    assert.deepEqual(batch.map(msg => [msg.data.n, msg.redelivered]), [[3, true]]);
+    batch[0].ack();
+
+    assert.deepEqual(await consumer.fetch({ batch: 10, expires: 50 }), []);
+    consumer.stop();
+  });
+
+  it('rejects invalid options and subjects without a stream', async () => {
+    const ck = await env.connect({ transport: 'nats' });
+
+    await assert.rejects(ck.consume('events.>', null, { startSequence: 1, startTime: Date.now() }),
+      /consume\(\) accepts startSequence or startTime, not both/);
+    await assert.rejects(ck.consume('events.>', null, { ack: 'later' }), /Invalid ack option: later/);
+    await assert.rejects(ck.consume('orders.>', () => {}), /no stream matches subject: orders\.>/);
+  });
+
+  it('needs the NATS transport', async () => {
+    const ck = await env.connect();
+
+    await assert.rejects(ck.consume('events.>', () => {}), ConceptKernel.TransportCapabilityError);
+  });
+});
+
+describe('KV', () => {
+  const env = withGateway(gateway => {
+    gateway.nats.kvPut('kernel_state', 'UI.Bakery', { oven: 'hot' }).kvPut('kernel_state', 'UI.Shop', 'open');
+  });
+
+  it('reads values, entries and keys', async () => {
+    const ck = await env.connect({ transport: 'nats' });
+    const kv = await ck.kv('kernel_state');
+
+    assert.deepEqual(await kv.get('UI.Bakery'), { oven: 'hot' });
+    assert.equal(await kv.get('missing'), null);
+    assert.deepEqual((await kv.keys()).sort(), ['UI.Bakery', 'UI.Shop']);
+    assert.equal((await kv.entry('UI.Shop')).value, 'open');
+  });
+
+  it('watches puts and deletes until stopped', async () => {
+    const ck = await env.connect({ transport: 'nats' });
+    const kv = await ck.kv('kernel_state');
+    const changes = [];
+    const stop = await kv.watch('UI.>', entry => changes.push([entry.key, entry.value, entry.operation]));
+
+    env.gateway.nats.kvPut('kernel_state', 'UI.Bakery', { oven: 'cold' });
+    env.gateway.nats.kvDelete('kernel_state', 'UI.Shop');
+    await eventually(() => changes.some(([key]) => key === 'UI.Shop'));
+    stop();
+    env.gateway.nats.kvPut('kernel_state', 'UI.Bakery', { oven: 'off' });
+    await sleep(10);
+
+    assert.deepEqual(changes.filter(([key, value]) => key === 'UI.Bakery' && value && value.oven !== 'hot'), [['UI.Bakery', { oven: 'cold' }, 'PUT']]);
+    assert.ok(changes.some(([key, , operation]) => key === 'UI.Shop' && operation === 'DEL'));
+    assert.equal(await kv.get('UI.Shop'), null);
+  });
+
+  it('rejects unknown buckets and the HTTP transport', async () => {
+    const ck = await env.connect({ transport: 'nats' });
+    const http = await env.connect();
+
+    await assert.rejects(ck.kv('missing'), /bucket not found: missing/);
+    await assert.rejects(http.kv('kernel_state'), ConceptKernel.TransportCapabilityError);
+  });
+});
+
+describe('Subscription registry', () => {
+  const env = withGateway();
+
+  it('keeps subscriptions to the same subject apart', async () => {
+    const ck = await env.connect({ transport: 'nats' });
+    const first = [];
+    const second = [];
+    const unsubFirst = ck.pump('k.same', data => first.push(data.i));
+    const unsubSecond = ck.pump('k.same', data => second.push(data.i));
+
+    assert.notEqual(unsubFirst.id, unsubSecond.id);
+    assert.deepEqual(ck.listSubscriptions().map(entry => [entry.id, entry.subject]),
+      [[unsubFirst.id, 'k.same'], [unsubSecond.id, 'k.same']]);
+
+    env.gateway.nats.publish('k.same', { i: 1 });
+    await eventually(() => first.length === 1 && second.length === 1);
+    unsubFirst();
+    env.gateway.nats.publish('k.same', { i: 2 });
+    await eventually(() => second.length === 2);
+
+    assert.deepEqual(first, [1]);
+    assert.deepEqual(second, [1, 2]);
+    assert.deepEqual(ck.listSubscriptions().map(entry => entry.id), [unsubSecond.id]);
+  });
+
+  it('shares messages across a queue group', async () => {
+    const ck = await env.connect({ transport: 'nats' });
+    const other = await env.connect({ transport: 'nats' });
+    const counts = [0, 0];
+    ck.pump('k.work', () => { counts[0]++; }, { queue: 'workers' });
+    other.pump('k.work', () => { counts[1]++; }, { queue: 'workers' });
+
+    for (let i = 0; i < 10; i++) env.gateway.nats.publish('k.work', { i });
+    await eventually(() => counts[0] + counts[1] === 10);
+    await sleep(20);
+
+    assert.equal(counts[0] + counts[1], 10);
+    assert.equal(ck.listSubscriptions()[0].queue, 'workers');
+  });
+
+  it('auto-unsubscribes after max messages', async () => {
+    const ck = await env.connect({ transport: 'nats' });
+    const seen = [];
+    ck.pump('k.max', data => seen.push(data.i), { max: 2 });
+    assert.equal(ck.listSubscriptions()[0].max, 2);
+
+    for (let i = 0; i < 4; i++) env.gateway.nats.publish('k.max', { i });
+    await eventually(() => ck.listSubscriptions().length === 0);
+    await sleep(20);
+
+    assert.deepEqual(seen, [0, 1]);
+  });
+
+  it('counts received and dropped messages', async () => {
+    const ck = await env.connect({ transport: 'nats', validate: 'incoming' });
+    const before = Date.now();
+    ck.pump('k.stats', () => {});
+
+    env.gateway.nats.publish('k.stats', { txId: 'bad', edge: 'ANNOUNCES', from: 'ckp://UI.Bakery', to: 'nowhere', payload: {} });
+    env.gateway.nats.publish('k.stats', { i: 1 });
+    await eventually(() => ck.listSubscriptions()[0].received === 2);
+
+    const [stats] = ck.listSubscriptions();
+    assert.equal(stats.dropped, 1);
+    assert.equal(stats.processed, 1);
+    assert.ok(stats.createdAt >= before && stats.lastMessageAt >= stats.createdAt);
+  });
+
+  it('unsubscribes everything on disconnect', async () => {
+    const ck = await env.connect({ transport: 'nats' });
+    const seen = [];
+    ck.pump('k.a', data => seen.push(data));
+    ck.pump('k.a', data => seen.push(data));
+    ck.pump('k.b', data => seen.push(data), { queue: 'workers' });
+
+    await ck.disconnect();
+
+    assert.deepEqual(ck.listSubscriptions(), []);
+    env.gateway.nats.publish('k.a', {});
+    env.gateway.nats.publish('k.b', {});
+    await sleep(20);
+    assert.deepEqual(seen, []);
+  });
+});
+
+describe('pump() handlers', () => {
+  const env = withGateway();
+
+  it('limits concurrency and keeps per-key order', async () => {
+    const ck = await env.connect({ transport: 'nats' });
+    let running = 0;
+    let peak = 0;
+    const order = {};
+    ck.pump('k.orders', async (data) => {
+      running++;
+      peak = Math.max(peak, running);
+      await sleep(5 + (data.i % 4) * 3);
+      (order[data.txId] = order[data.txId] || []).push(data.i);
+      running--;
+    }, { concurrency: 3, orderBy: 'txId' });
+
+    for (let i = 0; i < 12; i++) env.gateway.nats.publish('k.orders', { txId: `t${i % 3}`, i });
+    await eventually(() => ck.listSubscriptions()[0].processed === 12);
+
+    assert.ok(peak > 1 && peak <= 3, `peak concurrency ${peak}`);
+    assert.deepEqual(order, { t0: [0, 3, 6, 9], t1: [1, 4, 7, 10], t2: [2, 5, 8, 11] });
+  });
+
+  it('handles one message at a time by default', async () => {
+    const ck = await env.connect({ transport: 'nats' });
+    let running = 0;
+    let peak = 0;
+    ck.pump('k.serial', async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await sleep(5);
+      running--;
+    });
+
+    for (let i = 0; i < 4; i++) env.gateway.nats.publish('k.serial', { i });
+    await eventually(() => ck.listSubscriptions()[0].processed === 4);
+
+    assert.equal(peak, 1);
+  });
+
+  it('retries failed messages and dead-letters them to a subject', async () => {
+    const ck = await env.connect({ transport: 'nats' });
+    const dead = [];
+    env.gateway.nats.listen('dead.>', data => dead.push(data));
+    let calls = 0;
+    const unsub = ck.pump('k.fail', async () => {
+      calls++;
+      throw new Error('boom');
+    }, { retries: 2, retryDelay: 5, deadLetter: 'dead.fail' });
+
+    env.gateway.nats.publish('k.fail', { x: 1 });
+    env.gateway.nats.publish('k.fail', 'garbage');
+    await eventually(() => dead.length === 2);
+
+    assert.equal(calls, 3);
+    const byReason = Object.fromEntries(dead.map(letter => [letter.reason, letter]));
+    assert.equal(byReason.handler.subscription, unsub.id);
+    assert.equal(byReason.handler.subject, 'k.fail');
+    assert.equal(byReason.handler.attempts, 3);
+    assert.equal(byReason.handler.error, 'boom');
+    assert.deepEqual(byReason.handler.data, { x: 1 });
+    assert.equal(byReason.parse.attempts, 0, 'unparseable messages are dead-lettered without retries');
+
+    const [stats] = ck.listSubscriptions();
+    assert.equal(stats.retried, 2);
+    assert.equal(stats.failed, 1);
+    assert.equal(stats.deadLettered, 2);
+  });
+
+  it('backs off between retries and hands failures to a dead-letter callback', async () => {
+    const ck = await env.connect({ transport: 'nats' });
+    const attempts = [];
+    const letters = [];
+    ck.pump('k.backoff', () => {
+      attempts.push(Date.now());
+      throw new Error('busy');
+    }, { retries: 2, retryDelay: 20, retryMaxDelay: 30, deadLetter: (letter, msg) => letters.push([letter.reason, msg.subject]) });
+
+    env.gateway.nats.publish('k.backoff', {});
+    await eventually(() => letters.length === 1);
+
+    assert.deepEqual(letters, [['handler', 'k.backoff']]);
+    assert.ok(attempts[1] - attempts[0] >= 15, 'first retry after retryDelay');
+    assert.ok(attempts[2] - attempts[1] >= 25, 'second retry doubled up to retryMaxDelay');
+  });
+
+  it('logs failures without a dead letter', async () => {
+    const warnings = [];
+    const ck = await env.connect({ transport: 'nats', logger: (level, message) => level === 'warn' && warnings.push(message) });
+    ck.pump('k.log', () => Promise.reject(new Error('boom')));
+
+    env.gateway.nats.publish('k.log', {});
+    env.gateway.nats.publish('k.log', 'garbage');
+    await eventually(() => warnings.length === 2);
+
+    assert.deepEqual(warnings.sort(), ['Failed to parse message', 'NATS message handler failed']);
+    assert.equal(ck.listSubscriptions()[0].dropped, 2);
+  });
+
+  it('stops reading while maxPending messages are waiting', async () => {
+    const ck = await env.connect({ transport: 'nats' });
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const unsub = ck.pump('k.slow', () => gate, { maxPending: 2 });
+
+    for (let i = 0; i < 5; i++) env.gateway.nats.publish('k.slow', { i });
+    await sleep(20);
+
+    const paused = ck.listSubscriptions().find(entry => entry.id === unsub.id);
+    assert.equal(paused.received, 2);
+    assert.equal(paused.pending, 2);
+    assert.equal(paused.active, 1);
+    assert.ok(paused.lag >= 15, `lag ${paused.lag}`);
+
+    release();
+    await eventually(() => ck.listSubscriptions()[0].processed === 5);
+    assert.equal(ck.listSubscriptions()[0].dropped, 0);
+  });
+
+  it('rejects unknown orderBy and deadLetter values', async () => {
+    const ck = await env.connect({ transport: 'nats' });
+
+    assert.throws(() => ck.pump('k.x', () => {}, { orderBy: 'nope' }), /Invalid orderBy option: nope/);
+    assert.throws(() => ck.pump('k.x', () => {}, { deadLetter: 42 }), /deadLetter must be a subject or a function/);
+    assert.deepEqual(ck.listSubscriptions(), []);
+  });
+
+  it('drains pending retries on disconnect', async () => {
+    const ck = await env.connect({ transport: 'nats' });
+    const letters = [];
+    ck.pump('k.drain', () => {
+      throw new Error('slow');
+    }, { retries: 5, retryDelay: 5000, deadLetter: letter => letters.push(letter) });
+
+    env.gateway.nats.publish('k.drain', {});
+    await sleep(20);
+    const started = Date.now();
+    await ck.disconnect();
+
+    assert.ok(Date.now() - started < 1000);
+    assert.deepEqual(letters.map(letter => [letter.subject, letter.attempts]), [['k.drain', 2]]);
+    assert.deepEqual(ck.listSubscriptions(), []);
+  });
+});
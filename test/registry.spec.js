@@ -0,0 +1,344 @@
+const assert = require('assert').strict;
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { withGateway } = require('./helpers');
+
+const PROCESSES = [
+  {
+    tx_id: '1700000000001-aaaaaaa1',
+    process_type: 'KernelAction',
+    status: 'completed',
+    temporal_region: { start: '2026-01-01T00:00:01Z', duration: 120 },
+    metadata: { kernel: 'ckp://UI.Bakery:v1', exit_code: 0, storage_path: '/storage/1' }
+  },
+  {
+    txId: '1700000000002-aaaaaaa2',
+    type: 'KernelAction',
+    status: 'FAILED',
+    temporalRegion: { start: '2026-01-01T00:00:02Z', duration: 80 },
+    kernel: 'UI.Shop',
+    exitCode: 1
+  },
+  {
+    txId: '1700000000003-aaaaaaa3',
+    type: 'Workflow',
+    status: 'completed',
+    timestamp: '2026-01-01T00:00:03Z',
+    participants: { kernel: 'UI.Bakery' }
+  }
+];
+
+/**
+ * Script System.Registry: list queries honour limit/offset but ignore filters,
+ * like older registries, so client-side filtering is exercised too
+ */
+function scriptRegistry(gateway) {
+  gateway.kernel('UI.Bakery', () => ({}));
+  gateway.kernel('System.Registry', (payload) => {
+    switch (payload.type) {
+      case 'queue_list':
+        if (payload.kernel !== 'UI.Bakery') return { error: `Unknown kernel: ${payload.kernel}` };
+        return {
+          kernel: 'ckp://UI.Bakery:v1',
+          queue: [
+            { file: 'tx-1.json', size: 10, has_payload: true },
+            { name: 'tx-2', type: 'QUERIES', hasPayload: false }
+          ]
+        };
+      case 'edge_list':
+        return {
+          incoming: [{ edge: 'QUERIES', from: 'ckp://UI.Shop', to: 'ckp://UI.Bakery', queue_depth: 3 }],
+          outgoing: [{ predicate: 'ANNOUNCES', source: 'ckp://UI.Bakery', target: 'ckp://UI.Shop', queueDepth: 0 }]
+        };
+      case 'process_list': {
+        const offset = payload.offset || 0;
+        return { processes: PROCESSES.slice(offset, offset + payload.limit), total: PROCESSES.length };
+      }
+      default:
+        return { error: `Unsupported query: ${payload.type}` };
+    }
+  });
+}
+
+function registryQueries(gateway, type) {
+  return gateway.received({ type: 'emit' })
+    .filter(entry => entry.kernel.includes('System.Registry') && entry.message.type === type)
+    .map(entry => entry.message);
+}
+
+describe('Kernel introspection', () => {
+  const env = withGateway(scriptRegistry);
+
+  it('lists a kernel queue with normalized fields', async () => {
+    const ck = await env.connect();
+
+    assert.deepEqual(await ck.listQueue('UI.Bakery'), {
+      kernel: 'ckp://UI.Bakery:v1',
+      queue: [
+        { file: 'tx-1.json', size: 10, has_payload: true, name: 'tx-1.json', type: null, hasPayload: true },
+        { name: 'tx-2', type: 'QUERIES', size: null, hasPayload: false }
+      ]
+    });
+  });
+
+  it('lists incoming and outgoing edges', async () => {
+    const ck = await env.connect();
+    const { incoming, outgoing } = await ck.listEdges('UI.Bakery');
+
+    assert.deepEqual(
+      [incoming[0].predicate, incoming[0].source, incoming[0].target, incoming[0].queueDepth],
+      ['QUERIES', 'ckp://UI.Shop', 'ckp://UI.Bakery', 3]
+    );
+    assert.deepEqual(
+      [outgoing[0].predicate, outgoing[0].source, outgoing[0].target, outgoing[0].queueDepth],
+      ['ANNOUNCES', 'ckp://UI.Bakery', 'ckp://UI.Shop', 0]
+    );
+  });
+
+  it('requires a kernel and surfaces registry errors', async () => {
+    const ck = await env.connect();
+
+    await assert.rejects(ck.listQueue(), /listQueue\(\) requires a kernel/);
+    await assert.rejects(ck.listEdges(), /listEdges\(\) requires a kernel/);
+    await assert.rejects(ck.listQueue('UI.Nothing'), /Registry query queue_list failed: Unknown kernel: UI.Nothing/);
+  });
+
+  it('maps process fields from either naming style', async () => {
+    const ck = await env.connect();
+    const { processes } = await ck.listProcesses();
+    const first = processes.find(process => process.txId === '1700000000001-aaaaaaa1');
+
+    assert.deepEqual(processes.map(process => process.txId), [
+      '1700000000003-aaaaaaa3',
+      '1700000000002-aaaaaaa2',
+      '1700000000001-aaaaaaa1'
+    ], 'newest first');
+    assert.equal(first.urn, 'ckp://Process#KernelAction-1700000000001-aaaaaaa1');
+    assert.equal(first.type, 'KernelAction');
+    assert.equal(first.kernel, 'ckp://UI.Bakery:v1');
+    assert.equal(first.timestamp, '2026-01-01T00:00:01Z');
+    assert.equal(first.duration, 120);
+    assert.equal(first.exitCode, 0);
+    assert.equal(first.storagePath, '/storage/1');
+    assert.equal(processes[0].kernel, 'UI.Bakery');
+    assert.equal(processes[0].duration, null);
+  });
+
+  it('sends filters to the registry and applies them locally', async () => {
+    const ck = await env.connect();
+    const since = new Date('2026-01-01T00:00:01.500Z');
+
+    const completed = await ck.listProcesses('UI.Bakery', { status: 'completed', order: 'asc' });
+    const failed = await ck.listProcesses(null, { status: 'failed', processType: 'KernelAction' });
+    const recent = await ck.listProcesses(null, { since, until: '2026-01-01T00:00:02Z' });
+
+    assert.deepEqual(completed.processes.map(process => process.txId), ['1700000000001-aaaaaaa1', '1700000000003-aaaaaaa3']);
+    assert.deepEqual(failed.processes.map(process => process.txId), ['1700000000002-aaaaaaa2']);
+    assert.deepEqual(recent.processes.map(process => process.txId), ['1700000000002-aaaaaaa2']);
+
+    const [query] = registryQueries(env.gateway, 'process_list');
+    assert.deepEqual(query.filters, { kernel: 'UI.Bakery', status: 'completed' });
+    assert.equal(query.sort_by, 'timestamp');
+    assert.equal(query.sort_order, 'asc');
+    assert.equal(registryQueries(env.gateway, 'process_list')[2].filters.start_time, since.toISOString());
+  });
+
+  it('pages with limit and offset', async () => {
+    const ck = await env.connect();
+
+    const first = await ck.listProcesses(null, { limit: 2 });
+    const second = await ck.listProcesses(null, { limit: 2, offset: 2 });
+
+    assert.equal(first.processes.length, 2);
+    assert.deepEqual([first.total, first.limit, first.offset, first.hasMore], [3, 2, 0, true]);
+    assert.equal(second.processes.length, 1);
+    assert.deepEqual([second.total, second.offset, second.hasMore], [3, 2, false]);
+  });
+});
+
+describe('CLI registry commands', () => {
+  const env = withGateway(scriptRegistry);
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ck-cli-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function cli(...args) {
+    return new Promise((resolve, reject) => {
+      execFile(process.execPath, ['-r', require.resolve('./helpers'), path.join(__dirname, '..', 'cli.js'), ...args], {
+        env: { ...process.env, CK_GATEWAY_URL: env.gateway.url, CK_TOKEN_PATH: path.join(dir, 'token.json') },
+        timeout: 8000
+      }, (error, stdout, stderr) => {
+        if (error) {
+          error.message += `\n${stdout}\n${stderr}`;
+          reject(error);
+        } else {
+          resolve(stdout);
+        }
+      });
+    });
+  }
+
+  it('prints recent transactions with tx list', async () => {
+    const output = await cli('tx', 'list');
+
+    assert.match(output, /1700000000001-aaaaaaa1\s+ckp:\/\/UI\.Bakery:v1\s+2026-01-01T00:00:01Z/);
+    assert.match(output, /1700000000002-aaaaaaa2\s+UI\.Shop\s+2026-01-01T00:00:02Z/);
+    assert.match(output, /Total: 3 transaction\(s\)/);
+    assert.equal(registryQueries(env.gateway, 'process_list')[0].limit, 20);
+  });
+
+  it('prints processes with type, status and duration with process list', async () => {
+    const output = await cli('process', 'list');
+
+    assert.match(output, /1700000000001-aaaaaaa1\s+KernelAction\s+completed\s+120ms/);
+    assert.match(output, /1700000000003-aaaaaaa3\s+Workflow\s+completed\s+N\/A/);
+    assert.match(output, /Total: 3 process\(es\)/);
+  });
+
+  it('counts processes from the registry with graph summary', async () => {
+    const output = await cli('graph', 'summary');
+
+    assert.match(output, /Total Processes: 3/);
+    assert.match(output, /Continuants \(Kernels\):\n {2}Total: +2/);
+  });
+
+  it('reports lowercase or hyphenated names as not found with the describe commands', async () => {
+    assert.match(await cli('concept', 'describe', 'ui-bakery'), /Concept not found\n\nAvailable concepts:\n {2}- UI\.Bakery/);
+    assert.match(await cli('daemon', 'describe', 'ui.bakery'), /Daemon not found or not running/);
+    assert.match(await cli('kernel', 'describe', 'bakery'), /Kernel not found\n\nAvailable kernels:\n {2}- UI\.Bakery \(ONLINE\)/);
+    assert.doesNotMatch(await cli('kernel', 'describe', 'UI.Bakery'), /Kernel not found/);
+  });
+});
+
+describe('Registry queries', () => {
+  const env = withGateway((gateway) => {
+    gateway.kernel('UI.Bakery', () => ({}));
+    gateway.kernel('System.Registry', (payload) => {
+      switch (payload.type) {
+        case 'process_list':
+          // Registry-issued cursors
+          return payload.cursor === 'page-2'
+            ? { processes: [PROCESSES[2]] }
+            : { processes: PROCESSES.slice(0, 2), next_cursor: 'page-2' };
+        case 'workflow_list':
+          // No cursors: the client pages by offset
+          return {
+            workflows: PROCESSES.slice(payload.offset, payload.offset + payload.limit)
+              .map(process => ({ ...process, temporalParts: ['mix', 'bake'] }))
+          };
+        case 'improvement_list':
+          return { items: [{ txId: '1700000000004-aaaaaaa4', type: 'Improvement', status: 'proposed' }] };
+        case 'process_describe':
+          return payload.txId === PROCESSES[0].tx_id ? { process: PROCESSES[0] } : {};
+        case 'kernel_describe':
+          return payload.kernel === 'ckp://UI.Oven' ? { kernel: { name: 'UI.Oven', mode: 'OFFLINE' } } : {};
+        case 'urn_resolve':
+          if (payload.urn === 'ckp://UI.Bakery#schema/QUERIES/mix') {
+            return { category: 'entity', entity: { type: 'object' } };
+          }
+          if (payload.urn === 'ckp://Workflow#bake-1') {
+            return { entity: { txId: '1700000000005-aaaaaaa5', type: 'Workflow', temporalRegion: { start: '2026-01-01T00:00:05Z' } } };
+          }
+          return {};
+        default:
+          return { error: `Unsupported query: ${payload.type}` };
+      }
+    });
+  });
+
+  it('follows registry-issued cursors', async () => {
+    const ck = await env.connect();
+
+    const first = await ck.queryProcesses({ kernel: 'UI.Bakery', status: 'completed' }, { limit: 2 });
+    const second = await ck.queryProcesses({ kernel: 'UI.Bakery', status: 'completed' }, { limit: 2, cursor: first.nextCursor });
+
+    assert.deepEqual(first.items.map(item => item.txId), ['1700000000001-aaaaaaa1', '1700000000002-aaaaaaa2']);
+    assert.equal(first.items[0].category, 'occurrent');
+    assert.equal(first.nextCursor, 'page-2');
+    assert.deepEqual(second.items.map(item => item.txId), ['1700000000003-aaaaaaa3']);
+    assert.equal(second.nextCursor, null);
+
+    const [firstQuery, secondQuery] = registryQueries(env.gateway, 'process_list');
+    assert.deepEqual(firstQuery.filters, { kernel: 'UI.Bakery', status: 'completed' });
+    assert.deepEqual([firstQuery.offset, firstQuery.cursor], [0, undefined]);
+    assert.deepEqual([secondQuery.offset, secondQuery.cursor], [undefined, 'page-2']);
+  });
+
+  it('makes offset cursors when the registry issues none', async () => {
+    const ck = await env.connect();
+    const since = new Date('2026-01-01T00:00:00Z');
+
+    const first = await ck.queryWorkflows({ since }, { limit: 2 });
+    const second = await ck.queryWorkflows({ since }, { limit: 2, cursor: first.nextCursor });
+
+    assert.equal(first.items.length, 2);
+    assert.deepEqual(first.items[0].steps, ['mix', 'bake']);
+    assert.equal(first.nextCursor, 'offset:2');
+    assert.deepEqual(second.items.map(item => item.txId), ['1700000000003-aaaaaaa3']);
+    assert.equal(second.nextCursor, null);
+    assert.equal(registryQueries(env.gateway, 'workflow_list')[0].filters.start_time, since.toISOString());
+  });
+
+  it('reads improvements from a generic items list', async () => {
+    const ck = await env.connect();
+    const { items, nextCursor } = await ck.queryImprovements();
+
+    assert.deepEqual(items.map(item => [item.type, item.status]), [['Improvement', 'proposed']]);
+    assert.equal(nextCursor, null);
+  });
+
+  it('resolves process URNs to occurrents', async () => {
+    const ck = await env.connect();
+    const urn = 'ckp://Process#KernelAction-1700000000001-aaaaaaa1';
+
+    const result = await ck.queryUrn(urn);
+
+    assert.equal(result.category, 'occurrent');
+    assert.equal(result.entity.urn, urn);
+    assert.equal(result.entity.status, 'completed');
+    assert.equal(result.entity.duration, 120);
+    assert.equal(registryQueries(env.gateway, 'process_describe')[0].txId, '1700000000001-aaaaaaa1');
+    assert.equal(await ck.queryUrn('ckp://Process#KernelAction-1700000000009-aaaaaaa9'), null);
+  });
+
+  it('resolves kernel URNs from discovery before asking the registry', async () => {
+    const ck = await env.connect();
+
+    const bakery = await ck.queryUrn('ckp://UI.Bakery');
+    const oven = await ck.queryUrn('ckp://UI.Oven');
+
+    assert.equal(bakery.category, 'continuant');
+    assert.equal(bakery.entity.name, 'UI.Bakery');
+    assert.equal(bakery.entity.bfo_type, 'MaterialEntity');
+    assert.deepEqual(registryQueries(env.gateway, 'kernel_describe').map(query => query.kernel), ['ckp://UI.Oven']);
+    assert.deepEqual([oven.entity.urn, oven.entity.mode], ['ckp://UI.Oven', 'OFFLINE']);
+    assert.equal(await ck.queryUrn('ckp://UI.Gone'), null);
+  });
+
+  it('resolves other fragment URNs through urn_resolve', async () => {
+    const ck = await env.connect();
+
+    const schema = await ck.queryUrn('ckp://UI.Bakery#schema/QUERIES/mix');
+    const workflow = await ck.queryUrn('ckp://Workflow#bake-1');
+
+    assert.deepEqual(schema, { urn: 'ckp://UI.Bakery#schema/QUERIES/mix', category: 'entity', entity: { type: 'object' } });
+    assert.equal(workflow.category, 'occurrent');
+    assert.equal(workflow.entity.timestamp, '2026-01-01T00:00:05Z');
+    assert.equal(await ck.queryUrn('ckp://UI.Bakery#nothing'), null);
+  });
+
+  it('rejects URNs outside the ckp scheme', async () => {
+    const ck = await env.connect();
+
+    await assert.rejects(ck.queryUrn('urn:bakery'), /Invalid URN: urn:bakery/);
+    assert.equal(registryQueries(env.gateway, 'urn_resolve').length, 0);
+  });
+});
@@ -0,0 +1,174 @@
+const assert = require('assert').strict;
+const http = require('http');
+const { createMockGateway, withGateway, sleep } = require('./helpers');
+
+describe('Mock gateway', () => {
+  describe('lifecycle', () => {
+    it('stops without waiting for idle keep-alive connections', async () => {
+      const gateway = await createMockGateway().start();
+      const agent = new http.Agent({ keepAlive: true });
+      await new Promise((resolve, reject) => {
+        http.get(`${gateway.url}/.well-known/ck-services`, { agent }, res => {
+          res.resume();
+          res.on('end', resolve);
+        }).on('error', reject);
+      });
+
+      const started = Date.now();
+      await gateway.stop();
+      await gateway.stop();
+      agent.destroy();
+
+      assert.ok(Date.now() - started < 1000, `stop() took ${Date.now() - started}ms`);
+    });
+
+    it('stops with connected clients', async () => {
+      const gateway = await createMockGateway().start();
+      const ck = await gateway.connect({ logger: { level: 'silent' }, reconnect: false });
+      const disconnected = new Promise(resolve => ck.on('disconnected', resolve));
+
+      const started = Date.now();
+      await gateway.stop();
+      await disconnected;
+      await ck.disconnect();
+
+      assert.ok(Date.now() - started < 1000, `stop() took ${Date.now() - started}ms`);
+    });
+  });
+
+  describe('scripting', () => {
+    const env = withGateway(gateway => {
+      gateway
+        .kernel('UI.Bakery', (payload, context) => ({ echo: payload, txId: context.txId, edge: context.edge, channel: context.channel }))
+        .kernel('UI.Menu', { items: ['bread'] }, { mode: 'OFFLINE' })
+        .kernel('UI.Broken', () => { throw new Error('oven on fire'); });
+    });
+
+    it('lists scripted kernels in discovery', async () => {
+      const ck = await env.connect();
+      const menu = ck.kernels.find(kernel => kernel.name === 'UI.Menu');
+
+      assert.deepEqual(ck.kernels.map(kernel => kernel.urn).sort(), ['ckp://UI.Bakery:v1', 'ckp://UI.Broken:v1', 'ckp://UI.Menu:v1']);
+      assert.equal(menu.mode, 'OFFLINE');
+
+      env.gateway.removeKernel('UI.Menu');
+      await ck.discover(true);
+      assert.equal(ck.kernels.some(kernel => kernel.name === 'UI.Menu'), false);
+    });
+
+    it('answers with handler results, fixed responses and ERROR envelopes', async () => {
+      const ck = await env.connect();
+      const txId = '1700000000000-abcdef01';
+
+      const bakery = await ck.request('UI.Bakery', { action: 'mix' }, { txId });
+      const menu = await ck.request('UI.Menu', {});
+
+      assert.deepEqual(bakery.payload, { echo: { action: 'mix' }, txId, edge: 'QUERIES', channel: 'http' });
+      assert.deepEqual(menu.payload, { items: ['bread'] });
+      await assert.rejects(ck.request('UI.Broken', {}), /oven on fire/);
+    });
+  });
+
+  describe('faults', () => {
+    const env = withGateway(gateway => gateway.kernel('UI.Bakery', () => ({ baked: true })));
+
+    it('fails HTTP emits with a status the given number of times', async () => {
+      const ck = await env.connect();
+      env.gateway.fault({ type: 'emit', status: 503, error: 'Maintenance', times: 1 });
+
+      await assert.rejects(ck.emit('UI.Bakery', {}), err => err.status === 503 && /Maintenance/.test(err.message));
+      assert.equal((await ck.emit('UI.Bakery', {})).success, true);
+    });
+
+    it('delays, drops and errors replies for one kernel', async () => {
+      const ck = await env.connect();
+
+      const removeLatency = env.gateway.fault({ kernel: 'UI.Bakery', latency: 150 });
+      const started = Date.now();
+      await ck.request('UI.Bakery', {});
+      assert.ok(Date.now() - started >= 140);
+      removeLatency();
+
+      env.gateway.fault({ kernel: 'UI.Bakery', drop: true, times: 1 });
+      await assert.rejects(ck.request('UI.Bakery', {}, { timeout: 200 }), /Request timeout/);
+      env.gateway.assertSent({ type: 'dropped', kernel: 'UI.Bakery' }, 1);
+
+      env.gateway.fault({ kernel: 'UI.Bakery', error: 'Out of flour' });
+      await assert.rejects(ck.request('UI.Bakery', {}), /Out of flour/);
+      env.gateway.clearFaults();
+      assert.deepEqual((await ck.request('UI.Bakery', {})).payload, { baked: true });
+    });
+
+    it('answers WebSocket commands with error messages', async () => {
+      const ck = await env.connect();
+      env.gateway.fault({ type: 'upgrade_token', error: 'Directory offline', times: 1 });
+
+      await assert.rejects(ck.authenticate('alice', 'pw'), /Directory offline/);
+      await ck.authenticate('alice', 'pw');
+      env.gateway.assertSent({ type: 'error', message: { context: 'upgrade_token', message: 'Directory offline' } }, 1);
+    });
+  });
+
+  describe('traffic', () => {
+    const env = withGateway(gateway => gateway.kernel('UI.Bakery', () => ({ baked: true })));
+
+    it('records what was received and sent', async () => {
+      const ck = await env.connect();
+      await ck.request('UI.Bakery', { action: 'bake' });
+
+      const [emit] = env.gateway.received({ type: 'emit' });
+      assert.equal(emit.channel, 'http');
+      assert.deepEqual(emit.message, { action: 'bake' });
+      env.gateway.assertReceived({ type: 'emit', kernel: 'ckp://UI.Bakery', message: { action: /^ba/ } }, 1);
+      env.gateway.assertSent({ type: 'event', edge: 'RESPONDS', message: payload => payload.payload.baked === true });
+    });
+
+    it('lists the recorded traffic when an assertion fails', async () => {
+      const ck = await env.connect();
+      await ck.emit('UI.Bakery', {});
+
+      assert.throws(() => env.gateway.assertReceived({ type: 'emit', kernel: 'UI.Shop' }), err =>
+        err.name === 'AssertionError' &&
+        /Expected gateway to receive .* at least once, matched 0/.test(err.message) &&
+        /http emit ckp:\/\/UI\.Bakery:v1 \d+-/.test(err.message));
+      assert.throws(() => env.gateway.assertReceived({ type: 'emit' }, 2), /2 time\(s\), matched 1/);
+    });
+
+    it('waits for recorded or future traffic', async () => {
+      const ck = await env.connect();
+      await ck.emit('UI.Bakery', { first: true });
+
+      const existing = await env.gateway.waitFor({ type: 'emit', message: { first: true } });
+      const future = env.gateway.waitFor({ type: 'emit', message: { second: true } });
+      await sleep(10);
+      await ck.emit('UI.Bakery', { second: true });
+
+      assert.deepEqual(existing.message, { first: true });
+      assert.deepEqual((await future).message, { second: true });
+      await assert.rejects(env.gateway.waitFor({ type: 'emit', kernel: 'UI.Shop' }, 50), /Timed out after 50ms waiting for/);
+    });
+
+    it('clears traffic and faults on reset', async () => {
+      const ck = await env.connect();
+      env.gateway.fault({ type: 'emit', status: 500 });
+
+      env.gateway.reset();
+
+      assert.deepEqual(env.gateway.traffic, []);
+      assert.equal((await ck.emit('UI.Bakery', {})).success, true);
+    });
+  });
+
+  describe('logins', () => {
+    const env = withGateway(null, { users: { alice: { password: 'pw', roles: ['admin'] }, bob: 'secret' } });
+
+    it('accepts only the configured users', async () => {
+      const ck = await env.connect();
+
+      assert.deepEqual((await ck.authenticate('alice', 'pw')).roles, ['admin']);
+      assert.deepEqual((await ck.authenticate('bob', 'secret')).roles, ['user']);
+      await assert.rejects(ck.authenticate('bob', 'pw'), /Invalid credentials/);
+      await assert.rejects(ck.authenticate('mallory', 'pw'), /Invalid credentials/);
+    });
+  });
+});
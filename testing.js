@@ -0,0 +1,1751 @@
+/**
+ * @conceptkernel/ck-client-js - Testing utilities (Node.js only)
+ *
+ * An in-process mock gateway that serves service discovery, the emit endpoint
+ * and the System.Wss WebSocket protocol, plus an in-memory stand-in for the
+ * NATS request/subscribe and JetStream APIs. Kernels are scripted with plain functions,
+ * faults (drops, latency, error replies) can be injected, and all traffic is
+ * recorded for assertions.
+ *
+ * @example
+ * ```javascript
+ * const { createMockGateway } = require('@conceptkernel/ck-client-js').testing;
+ *
+ * const gateway = await createMockGateway({ users: { alice: 'secret' } }).start();
+ * gateway.kernel('UI.Bakery', (payload) => ({ baked: payload.action === 'bake' }));
+ *
+ * const ck = await gateway.connect();
+ * const response = await ck.request('UI.Bakery', { action: 'bake' });
+ * gateway.assertReceived({ type: 'emit', kernel: 'UI.Bakery' });
+ *
+ * await ck.disconnect();
+ * await gateway.stop();
+ * ```
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const ConceptKernel = require('./index.js');
+
+// Shared with the client, so the mock names kernels and txIds the same way
+const kernelNameOf = ConceptKernel.urn.nameOf;
+const { generateTxId } = ConceptKernel;
+
+// Magic string for the WebSocket handshake (RFC 6455)
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const ANONYMOUS_ACTOR = 'ckp://System.Oidc.User#anonymous';
+
+// Envelope `to` for replies to emits sent without an envelope (URNs there
+// carry no fragment, so this is the agent form of ANONYMOUS_ACTOR)
+const ANONYMOUS_AGENT = 'ckp://Agent.Anonymous';
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Unsigned JWT carrying the given claims (the client only reads claims)
+ * @private
+ */
+function mockJwt(claims) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode(claims)}.mock`;
+}
+
+/**
+ * Claims of a token issued by mockJwt(), or null for any other token
+ * @private
+ */
+function readMockJwt(token) {
+  try {
+    return JSON.parse(Buffer.from(String(token).split('.')[1], 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Match a NATS subject against a pattern with `*` and `>` wildcards
+ * @private
+ */
+function subjectMatches(pattern, subject) {
+  const wanted = pattern.split('.');
+  const tokens = subject.split('.');
+  for (let i = 0; i < wanted.length; i++) {
+    if (wanted[i] === '>') return tokens.length > i;
+    if (i >= tokens.length) return false;
+    if (wanted[i] !== '*' && wanted[i] !== tokens[i]) return false;
+  }
+  return wanted.length === tokens.length;
+}
+
+/**
+ * Partial match of a recorded entry against a filter. Filter values may be
+ * functions (predicates), regular expressions or nested partial objects;
+ * `kernel` compares kernel names so URNs and names are interchangeable.
+ * @private
+ */
+function matchesFilter(value, filter, key) {
+  if (typeof filter === 'function') return !!filter(value);
+  if (filter instanceof RegExp) return typeof value === 'string' && filter.test(value);
+  if (key === 'kernel' && value !== undefined && value !== null) {
+    return kernelNameOf(value) === kernelNameOf(filter);
+  }
+  if (filter && typeof filter === 'object') {
+    if (!value || typeof value !== 'object') return false;
+    return Object.keys(filter).every(k => matchesFilter(value[k], filter[k], k));
+  }
+  return value === filter;
+}
+
+// ---------------------------------------------------------------------------
+// In-memory NATS
+// ---------------------------------------------------------------------------
+
+/**
+ * Subscription handed out by MockNatsConnection.subscribe(); async-iterable
+ * like nats.ws subscriptions, or pushes to `callback` when one is given
+ */
+class MockNatsSubscription {
+  constructor(connection, subject, options = {}) {
+    this._connection = connection;
+    this._subject = subject;
+    this._callback = options.callback || null;
+    this._max = options.max || 0;
+    this._queueGroup = options.queue || null;
+    this._received = 0;
+    this._queue = [];
+    this._wake = null;
+    this.closed = false;
+  }
+
+  getSubject() {
+    return this._subject;
+  }
+
+  getReceived() {
+    return this._received;
+  }
+
+  unsubscribe() {
+    if (this.closed) return;
+    this.closed = true;
+    this._connection._subscriptions.delete(this);
+    if (this._wake) this._wake();
+  }
+
+  async drain() {
+    this.unsubscribe();
+  }
+
+  _push(msg) {
+    if (this.closed) return;
+    this._connection._stats.inMsgs++;
+    this._connection._stats.inBytes += msg.data.length;
+    this._received++;
+    if (this._callback) {
+      this._callback(null, msg);
+    } else {
+      this._queue.push(msg);
+      if (this._wake) this._wake();
+    }
+    if (this._max && this._received >= this._max) {
+      this.unsubscribe();
+    }
+  }
+
+  async *[Symbol.asyncIterator]() {
+    while (true) {
+      if (this._queue.length > 0) {
+        yield this._queue.shift();
+      } else if (this.closed) {
+        return;
+      } else {
+        await new Promise(resolve => { this._wake = resolve; });
+        this._wake = null;
+      }
+    }
+  }
+}
+
+/**
+ * Connection returned by MockNats.connect(), covering the nats.ws calls the
+ * client makes: publish, subscribe, request, status, drain and close
+ */
+class MockNatsConnection {
+  constructor(bus, options = {}) {
+    this._bus = bus;
+    this._subscriptions = new Set();
+    this._statusWaiters = [];
+    this._consumers = new Set();
+    this._stats = { inBytes: 0, outBytes: 0, inMsgs: 0, outMsgs: 0 };
+    this.options = options;
+    this.info = { ...bus.info };
+    this.isClosed = false;
+  }
+
+  getServer() {
+    const servers = [].concat(this.options.servers || []);
+    return servers[0] || 'mock';
+  }
+
+  stats() {
+    return { ...this._stats };
+  }
+
+  publish(subject, data, options = {}) {
+    if (this.isClosed) {
+      throw new Error('connection closed');
+    }
+    this._stats.outMsgs++;
+    this._stats.outBytes += data ? data.length : 0;
+    this._bus._publish(subject, data, options.reply, this);
+  }
+
+  subscribe(subject, options = {}) {
+    if (this.isClosed) {
+      throw new Error('connection closed');
+    }
+    const sub = new MockNatsSubscription(this, subject, options);
+    this._subscriptions.add(sub);
+    return sub;
+  }
+
+  async request(subject, data, options = {}) {
+    const timeout = options.timeout || 5000;
+    const inbox = `_INBOX.${crypto.randomBytes(8).toString('hex')}`;
+    const sub = this.subscribe(inbox, { max: 1 });
+
+    if (!this._bus._hasSubscribers(subject)) {
+      sub.unsubscribe();
+      const err = new Error('503');
+      err.code = '503';
+      throw err;
+    }
+
+    let timer;
+    const reply = (async () => {
+      for await (const msg of sub) return msg;
+      return null;
+    })();
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        sub.unsubscribe();
+        const err = new Error('TIMEOUT');
+        err.code = 'TIMEOUT';
+        reject(err);
+      }, timeout);
+    });
+
+    this.publish(subject, data, { reply: inbox });
+    try {
+      return await Promise.race([reply, timedOut]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async jetstreamManager() {
+    const bus = this._bus;
+    return {
+      streams: {
+        async add(config) {
+          bus.addStream(config);
+          return { config: bus._stream(config.name).config };
+        },
+        async info(name) {
+          const stream = bus._stream(name);
+          return { config: stream.config, state: { messages: stream.messages.length, last_seq: stream.lastSeq } };
+        },
+        async find(subject) {
+          // A filter with wildcards is covered when a concrete subject it matches is captured
+          const sample = subject.split('.').map(token => (token === '*' || token === '>' ? '_' : token)).join('.');
+          const stream = Array.from(bus._streams.values()).find(candidate => candidate.captures(sample));
+          if (!stream) throw new Error(`no stream matches subject: ${subject}`);
+          return stream.config.name;
+        }
+      },
+      consumers: {
+        async add(streamName, config) {
+          const stream = bus._stream(streamName);
+          const existing = config.durable_name && stream.consumers.get(config.durable_name);
+          if (existing) return existing.info();
+          const consumer = new MockConsumer(stream, config);
+          stream.consumers.set(consumer.name, consumer);
+          return consumer.info();
+        },
+        async info(streamName, name) {
+          const consumer = bus._stream(streamName).consumers.get(name);
+          if (!consumer) throw new Error(`consumer not found: ${name}`);
+          return consumer.info();
+        },
+        async delete(streamName, name) {
+          const stream = bus._stream(streamName);
+          const consumer = stream.consumers.get(name);
+          if (consumer) consumer._clear();
+          return stream.consumers.delete(name);
+        }
+      }
+    };
+  }
+
+  jetstream() {
+    const connection = this;
+    const bus = this._bus;
+    return {
+      consumers: {
+        async get(streamName, name) {
+          const consumer = bus._stream(streamName).consumers.get(name);
+          if (!consumer) throw new Error(`consumer not found: ${name}`);
+          return consumer.view(connection);
+        }
+      },
+      views: {
+        async kv(bucket) {
+          if (!bus._buckets.has(bucket)) throw new Error(`bucket not found: ${bucket}`);
+          return bus._buckets.get(bucket).view();
+        }
+      }
+    };
+  }
+
+  status() {
+    const connection = this;
+    return {
+      async *[Symbol.asyncIterator]() {
+        while (!connection.isClosed) {
+          const status = await new Promise(resolve => connection._statusWaiters.push(resolve));
+          if (status) yield status;
+        }
+      }
+    };
+  }
+
+  async flush() {}
+
+  async drain() {
+    await this.close();
+  }
+
+  async close() {
+    if (this.isClosed) return;
+    for (const sub of Array.from(this._subscriptions)) {
+      sub.unsubscribe();
+    }
+    Array.from(this._consumers).forEach(messages => messages.stop());
+    this.isClosed = true;
+    this._bus._connections.delete(this);
+    this._statusWaiters.splice(0).forEach(resolve => resolve(null));
+  }
+
+  /**
+   * Simulate a server status event (disconnect, reconnect, ldm, update, error)
+   * @private
+   */
+  _status(type, data = this.getServer()) {
+    this._statusWaiters.splice(0).forEach(resolve => resolve({ type, data }));
+  }
+}
+
+/**
+ * In-memory NATS server with a nats.ws-compatible module surface
+ * (`connect()` and `StringCodec()`, plus JetStream streams, pull consumers and
+ * key-value buckets); pass it as the `natsModule` connect option
+ *
+ * @example
+ * ```javascript
+ * const nats = new MockNats();
+ * nats.reply('ck.discovery.kernels', () => ({ kernels: ['ckp://UI.Bakery:v1'] }));
+ * const ck = await ConceptKernel.connect('http://localhost:56000', { transport: 'nats', natsModule: nats });
+ * ```
+ */
+class MockNats {
+  constructor() {
+    this._connections = new Set();
+    this._listeners = [];
+    this._streams = new Map();
+    this._buckets = new Map();
+    // Server INFO handed to every connection (nc.info)
+    this.info = { server_id: 'MOCK', server_name: 'mock', version: '2.10.0', connect_urls: [] };
+    // The client destructures { connect, StringCodec } like it does with nats.ws
+    this.connect = this.connect.bind(this);
+  }
+
+  async connect(options = {}) {
+    const connection = new MockNatsConnection(this, options);
+    this._connections.add(connection);
+    return connection;
+  }
+
+  StringCodec() {
+    return {
+      encode: (text) => new TextEncoder().encode(text),
+      decode: (bytes) => new TextDecoder().decode(bytes)
+    };
+  }
+
+  // Authenticator factories; the result describes the credentials so tests can
+  // assert on connection.options.authenticator
+  nkeyAuthenticator(seed) {
+    return { type: 'nkey', seed: new TextDecoder().decode(seed) };
+  }
+
+  jwtAuthenticator(jwt, seed) {
+    return { type: 'jwt', jwt, seed: seed ? new TextDecoder().decode(seed) : undefined };
+  }
+
+  credsAuthenticator(creds) {
+    return { type: 'creds', creds: new TextDecoder().decode(creds) };
+  }
+
+  /**
+   * Publish a JSON (or string) message from outside any client connection
+   */
+  publish(subject, data) {
+    const text = typeof data === 'string' ? data : JSON.stringify(data);
+    this._publish(subject, new TextEncoder().encode(text), undefined, null);
+  }
+
+  /**
+   * Answer requests on a subject with handler(data, msg); the return value is
+   * sent back as JSON. Returns a function that removes the responder.
+   */
+  reply(subject, handler) {
+    return this.listen(subject, async (data, msg) => {
+      if (!msg.reply) return;
+      const result = await handler(data, msg);
+      if (result !== undefined) {
+        this.publish(msg.reply, result);
+      }
+    });
+  }
+
+  /**
+   * Observe every message on a subject pattern with handler(data, msg),
+   * where data is the parsed JSON body (or the raw string)
+   */
+  listen(subject, handler) {
+    const listener = { subject, handler };
+    this._listeners.push(listener);
+    return () => {
+      const index = this._listeners.indexOf(listener);
+      if (index > -1) this._listeners.splice(index, 1);
+    };
+  }
+
+  /**
+   * Create a JetStream stream capturing messages published on its subjects
+   * @param {Object} config - { name, subjects } (subjects default to [name])
+   * @returns {MockNats} This server, for chaining
+   */
+  addStream(config) {
+    if (!this._streams.has(config.name)) {
+      this._streams.set(config.name, new MockStream(config));
+    }
+    return this;
+  }
+
+  /**
+   * Messages stored in a stream ({ seq, subject, data, time })
+   */
+  streamMessages(name) {
+    return this._stream(name).messages.slice();
+  }
+
+  /**
+   * Set a key in a key-value bucket (created on first use); values are stored as JSON
+   * @returns {MockNats} This server, for chaining
+   */
+  kvPut(bucket, key, value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    this._bucket(bucket).put(key, new TextEncoder().encode(text));
+    return this;
+  }
+
+  /**
+   * Delete a key from a key-value bucket
+   * @returns {MockNats} This server, for chaining
+   */
+  kvDelete(bucket, key) {
+    this._bucket(bucket).put(key, new Uint8Array(0), 'DEL');
+    return this;
+  }
+
+  _stream(name) {
+    const stream = this._streams.get(name);
+    if (!stream) throw new Error(`stream not found: ${name}`);
+    return stream;
+  }
+
+  _bucket(name) {
+    if (!this._buckets.has(name)) this._buckets.set(name, new MockBucket(name));
+    return this._buckets.get(name);
+  }
+
+  /**
+   * Emit a status event ('disconnect', 'reconnect', 'ldm', 'update', 'error')
+   * on every connection; data defaults to the connection's server
+   */
+  status(type, data) {
+    this._connections.forEach(connection => connection._status(type, data));
+  }
+
+  _hasSubscribers(subject) {
+    if (this._listeners.some(l => subjectMatches(l.subject, subject))) return true;
+    for (const connection of this._connections) {
+      for (const sub of connection._subscriptions) {
+        if (subjectMatches(sub._subject, subject)) return true;
+      }
+    }
+    return false;
+  }
+
+  _publish(subject, bytes, reply, origin) {
+    const bus = this;
+    this._streams.forEach(stream => {
+      if (stream.captures(subject)) stream.append(subject, bytes);
+    });
+    const msg = {
+      subject,
+      data: bytes,
+      reply,
+      respond(data) {
+        if (!reply) return false;
+        bus._publish(reply, typeof data === 'string' ? new TextEncoder().encode(data) : data, undefined, origin);
+        return true;
+      },
+      json() {
+        return JSON.parse(new TextDecoder().decode(bytes));
+      },
+      string() {
+        return new TextDecoder().decode(bytes);
+      }
+    };
+
+    // Plain subscriptions all get the message; a queue group gets it once, on a random member
+    const groups = new Map();
+    for (const connection of Array.from(this._connections)) {
+      for (const sub of Array.from(connection._subscriptions)) {
+        if (!subjectMatches(sub._subject, subject)) continue;
+        if (sub._queueGroup) {
+          if (!groups.has(sub._queueGroup)) groups.set(sub._queueGroup, []);
+          groups.get(sub._queueGroup).push(sub);
+        } else {
+          sub._push(msg);
+        }
+      }
+    }
+    groups.forEach(members => members[Math.floor(Math.random() * members.length)]._push(msg));
+
+    const text = new TextDecoder().decode(bytes);
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      // Not JSON, hand the string over
+    }
+    this._listeners
+      .filter(listener => subjectMatches(listener.subject, subject))
+      .forEach(listener => {
+        Promise.resolve()
+          .then(() => listener.handler(data, msg))
+          .catch(() => {});
+      });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// In-memory JetStream (streams, pull consumers, key-value buckets)
+// ---------------------------------------------------------------------------
+
+const DEFAULT_ACK_WAIT_MS = 30000;
+
+/**
+ * Stream capturing messages published on its subjects
+ * @private
+ */
+class MockStream {
+  constructor(config) {
+    this.config = { subjects: [config.name], ...config };
+    this.messages = [];
+    this.consumers = new Map();
+  }
+
+  get lastSeq() {
+    return this.messages.length;
+  }
+
+  captures(subject) {
+    return this.config.subjects.some(pattern => subjectMatches(pattern, subject));
+  }
+
+  append(subject, data) {
+    this.messages.push({ seq: this.messages.length + 1, subject, data, time: Date.now() });
+    this.consumers.forEach(consumer => consumer._wake());
+  }
+}
+
+/**
+ * Pull consumer with explicit acks, ack-wait redelivery and max_deliver
+ * @private
+ */
+class MockConsumer {
+  constructor(stream, config) {
+    this.stream = stream;
+    this.config = config;
+    this.name = config.durable_name || config.name || `eph_${crypto.randomBytes(4).toString('hex')}`;
+    this.cursor = this._startSequence();
+    this.pending = new Map();
+    this.redeliveries = [];
+    this.deliveries = new Map();
+    this._waiters = [];
+  }
+
+  _startSequence() {
+    const { deliver_policy: policy, opt_start_seq: seq, opt_start_time: time } = this.config;
+    if (policy === 'new') return this.stream.lastSeq + 1;
+    if (policy === 'last') return Math.max(this.stream.lastSeq, 1);
+    if (policy === 'by_start_sequence') return seq;
+    if (policy === 'by_start_time') {
+      const since = new Date(time).getTime();
+      const first = this.stream.messages.find(msg => msg.time >= since);
+      return first ? first.seq : this.stream.lastSeq + 1;
+    }
+    return 1;
+  }
+
+  _matches(msg) {
+    return !this.config.filter_subject || subjectMatches(this.config.filter_subject, msg.subject);
+  }
+
+  /**
+   * Next message to deliver (redeliveries first), or null
+   */
+  _next() {
+    if (this.redeliveries.length > 0) {
+      return this._deliver(this.stream.messages[this.redeliveries.shift() - 1]);
+    }
+    while (this.cursor <= this.stream.lastSeq) {
+      const msg = this.stream.messages[this.cursor - 1];
+      this.cursor++;
+      if (this._matches(msg)) return this._deliver(msg);
+    }
+    return null;
+  }
+
+  _deliver(msg) {
+    const consumer = this;
+    const count = (this.deliveries.get(msg.seq) || 0) + 1;
+    this.deliveries.set(msg.seq, count);
+    this._arm(msg.seq);
+
+    return {
+      subject: msg.subject,
+      data: msg.data,
+      seq: msg.seq,
+      redelivered: count > 1,
+      info: { redeliveryCount: count, streamSequence: msg.seq, timestampNanos: msg.time * 1e6 },
+      ack() { consumer._settle(msg.seq); },
+      term() { consumer._settle(msg.seq); },
+      nak(delay) {
+        if (!consumer._settle(msg.seq)) return;
+        if (delay) setTimeout(() => consumer._requeue(msg.seq), delay).unref();
+        else consumer._requeue(msg.seq);
+      },
+      working() {
+        if (consumer.pending.has(msg.seq)) consumer._arm(msg.seq);
+      }
+    };
+  }
+
+  /**
+   * (Re)start the ack wait timer for a delivered message
+   */
+  _arm(seq) {
+    clearTimeout(this.pending.get(seq));
+    const ackWait = this.config.ack_wait ? this.config.ack_wait / 1e6 : DEFAULT_ACK_WAIT_MS;
+    const timer = setTimeout(() => {
+      this.pending.delete(seq);
+      this._requeue(seq);
+    }, ackWait);
+    timer.unref();
+    this.pending.set(seq, timer);
+  }
+
+  _settle(seq) {
+    if (!this.pending.has(seq)) return false;
+    clearTimeout(this.pending.get(seq));
+    this.pending.delete(seq);
+    return true;
+  }
+
+  _requeue(seq) {
+    if (this.config.max_deliver > 0 && this.deliveries.get(seq) >= this.config.max_deliver) return;
+    this.redeliveries.push(seq);
+    this._wake();
+  }
+
+  _wake() {
+    this._waiters.splice(0).forEach(resolve => resolve());
+  }
+
+  _wait(timeout) {
+    return new Promise(resolve => {
+      this._waiters.push(resolve);
+      if (timeout !== undefined) setTimeout(resolve, timeout).unref();
+    });
+  }
+
+  _clear() {
+    this.pending.forEach(timer => clearTimeout(timer));
+    this.pending.clear();
+    this._wake();
+  }
+
+  info() {
+    const remaining = this.stream.messages.slice(this.cursor - 1).filter(msg => this._matches(msg)).length;
+    return {
+      name: this.name,
+      stream_name: this.stream.config.name,
+      config: this.config,
+      num_pending: remaining,
+      num_ack_pending: this.pending.size,
+      num_redelivered: Array.from(this.deliveries.values()).filter(count => count > 1).length,
+      delivered: { stream_seq: this.cursor - 1 }
+    };
+  }
+
+  /**
+   * The nats.ws Consumer surface (fetch, consume, info) for one connection
+   */
+  view(connection) {
+    const consumer = this;
+    return {
+      async info() {
+        return consumer.info();
+      },
+
+      async fetch(options = {}) {
+        const max = options.max_messages || 100;
+        const deadline = Date.now() + (options.expires || 30000);
+        const batch = [];
+        while (batch.length < max) {
+          const msg = consumer._next();
+          if (msg) {
+            batch.push(msg);
+          } else if (batch.length > 0 || Date.now() >= deadline) {
+            break;
+          } else {
+            await consumer._wait(deadline - Date.now());
+          }
+        }
+        return (async function* () { yield* batch; })();
+      },
+
+      async consume() {
+        const messages = {
+          stopped: false,
+          stop() {
+            messages.stopped = true;
+            connection._consumers.delete(messages);
+            consumer._wake();
+          },
+          close() {
+            messages.stop();
+          },
+          async *[Symbol.asyncIterator]() {
+            while (!messages.stopped) {
+              const msg = consumer._next();
+              if (msg) yield msg;
+              else await consumer._wait();
+            }
+          }
+        };
+        connection._consumers.add(messages);
+        return messages;
+      }
+    };
+  }
+}
+
+/**
+ * Key-value bucket with revisions and watchers
+ * @private
+ */
+class MockBucket {
+  constructor(name) {
+    this.name = name;
+    this.entries = new Map();
+    this.revision = 0;
+    this.watchers = new Set();
+  }
+
+  put(key, value, operation = 'PUT') {
+    const entry = { bucket: this.name, key, value, revision: ++this.revision, created: new Date(), operation, delta: 0 };
+    this.entries.set(key, entry);
+    this.watchers.forEach(watcher => watcher(entry));
+  }
+
+  /**
+   * The nats.ws KV surface (get, keys, watch)
+   */
+  view() {
+    const bucket = this;
+    return {
+      async get(key) {
+        return bucket.entries.get(key) || null;
+      },
+
+      async keys(filter = '>') {
+        const keys = Array.from(bucket.entries.values())
+          .filter(entry => entry.operation === 'PUT' && subjectMatches(filter, entry.key))
+          .map(entry => entry.key);
+        return (async function* () { yield* keys; })();
+      },
+
+      async watch(options = {}) {
+        const filter = options.key || '>';
+        const queue = Array.from(bucket.entries.values()).filter(entry => subjectMatches(filter, entry.key));
+        let wake = null;
+        let stopped = false;
+        const watcher = entry => {
+          if (!subjectMatches(filter, entry.key)) return;
+          queue.push(entry);
+          if (wake) wake();
+        };
+        bucket.watchers.add(watcher);
+
+        return {
+          stop() {
+            stopped = true;
+            bucket.watchers.delete(watcher);
+            if (wake) wake();
+          },
+          async *[Symbol.asyncIterator]() {
+            while (!stopped) {
+              if (queue.length > 0) {
+                yield queue.shift();
+              } else {
+                await new Promise(resolve => { wake = resolve; });
+                wake = null;
+              }
+            }
+          }
+        };
+      }
+    };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// WebSocket server (RFC 6455 text frames, enough for the client protocol)
+// ---------------------------------------------------------------------------
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Server side of one WebSocket connection
+ * @private
+ */
+class MockSocket {
+  constructor(socket, onMessage, onClose) {
+    this.socket = socket;
+    this.session = { token: null, actor: ANONYMOUS_ACTOR, roles: ['anonymous'], authenticated: false };
+    this.subscriptions = new Map();
+    this._buffer = Buffer.alloc(0);
+    this._fragments = [];
+    this._onMessage = onMessage;
+    this._onClose = onClose;
+    this.open = true;
+
+    socket.on('data', chunk => this._read(chunk));
+    socket.on('close', () => this._closed());
+    socket.on('error', () => this._closed());
+  }
+
+  send(message) {
+    if (!this.open) return;
+    this.socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+  }
+
+  close(code = 1000) {
+    if (!this.open) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    this.socket.write(encodeFrame(0x8, payload));
+    this.socket.end();
+    this._closed();
+  }
+
+  /**
+   * Drop the TCP connection without a close handshake
+   */
+  terminate() {
+    this.socket.destroy();
+    this._closed();
+  }
+
+  _closed() {
+    if (!this.open) return;
+    this.open = false;
+    this._onClose(this);
+  }
+
+  _read(chunk) {
+    this._buffer = Buffer.concat([this._buffer, chunk]);
+
+    while (this._buffer.length >= 2) {
+      const fin = (this._buffer[0] & 0x80) !== 0;
+      const opcode = this._buffer[0] & 0x0f;
+      const masked = (this._buffer[1] & 0x80) !== 0;
+      let length = this._buffer[1] & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (this._buffer.length < 4) return;
+        length = this._buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this._buffer.length < 10) return;
+        length = Number(this._buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+
+      const maskOffset = offset;
+      if (masked) offset += 4;
+      if (this._buffer.length < offset + length) return;
+
+      const payload = Buffer.from(this._buffer.subarray(offset, offset + length));
+      if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+          payload[i] ^= this._buffer[maskOffset + (i % 4)];
+        }
+      }
+      this._buffer = this._buffer.subarray(offset + length);
+
+      if (opcode === 0x8) {
+        this.close();
+        return;
+      } else if (opcode === 0x9) {
+        this.socket.write(encodeFrame(0xa, payload));
+      } else if (opcode === 0x1 || opcode === 0x0) {
+        this._fragments.push(payload);
+        if (fin) {
+          const text = Buffer.concat(this._fragments).toString('utf8');
+          this._fragments = [];
+          this._onMessage(this, text);
+        }
+      }
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Mock gateway
+// ---------------------------------------------------------------------------
+
+/**
+ * Local stand-in for a ConceptKernel gateway
+ *
+ * Serves `/.well-known/ck-services`, `POST /emit` and a System.Wss-compatible
+ * WebSocket at `/ws`, and routes emits (HTTP or NATS `kernel.{Name}.action.emit`)
+ * to scripted kernels. Their answers are delivered as RESPONDS envelopes over
+ * the WebSocket and on `kernel.{Name}.result`. With the `oidc` option it also
+ * acts as the OIDC provider behind the `oidc` service.
+ */
+class MockGateway {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.port=0] - Port to listen on (0 picks a free one)
+   * @param {string} [options.host='127.0.0.1'] - Interface to bind
+   * @param {Object} [options.users] - Accepted logins: { alice: 'secret' } or
+   *   { alice: { password: 'secret', roles: ['admin'] } } (default: any login succeeds)
+   * @param {Object} [options.services] - Extra services merged into the discovery document
+   * @param {string} [options.domain='mock.local'] - Domain in the discovery document
+   * @param {number} [options.tokenTtl] - Issue session tokens as JWTs expiring after this
+   *   many milliseconds (default: opaque tokens that never expire)
+   * @param {Object|boolean} [options.oidc] - Serve an OIDC provider under /oidc (discovery,
+   *   authorization code with PKCE, device code and client credentials)
+   * @param {string} [options.oidc.user='alice'] - User who completes browser logins
+   * @param {string[]} [options.oidc.roles=['user']] - Roles claim of issued tokens
+   * @param {Object} [options.oidc.clients] - Client secrets for client credentials:
+   *   { 'ck-service': 'secret' } (default: any secret is accepted)
+   * @param {number} [options.oidc.deviceInterval=5] - Device flow polling interval (seconds)
+   */
+  constructor(options = {}) {
+    this.options = {
+      host: '127.0.0.1',
+      port: 0,
+      domain: 'mock.local',
+      ...options
+    };
+
+    this.url = null;
+    this.wsUrl = null;
+    this.traffic = [];
+    this.nats = new MockNats();
+
+    this._kernels = new Map();
+    this._faults = [];
+    this._sockets = new Set();
+    // Every TCP connection, so stop() need not wait for idle keep-alive ones
+    this._connections = new Set();
+    this._server = null;
+    this._trafficWaiters = [];
+    this._tokenCounter = 0;
+    // Issued session tokens, so reconnecting clients can re-upgrade them
+    this._sessions = new Map();
+    // Pending OIDC authorization codes and device logins
+    this._oidcCodes = new Map();
+    this._oidcDevices = new Map();
+
+    // Emits published over NATS reach the same scripted kernels
+    this.nats.listen('kernel.>', (data, msg) => {
+      if (!msg.subject.endsWith('.action.emit') || !data || typeof data !== 'object') return;
+      const kernel = msg.subject.slice('kernel.'.length, -'.action.emit'.length);
+      this._record({ channel: 'nats', direction: 'in', type: 'emit', kernel, subject: msg.subject, txId: data.txId, edge: data.edge, message: data });
+      this._dispatchEmit('nats', {
+        kernel: data.to || kernel,
+        txId: data.txId || generateTxId(),
+        edge: data.edge || 'QUERIES',
+        from: data.from || null,
+        payload: data.payload !== undefined ? data.payload : data
+      });
+    });
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<MockGateway>} This gateway, with `url` and `wsUrl` set
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this._server = http.createServer((req, res) => this._handleHttp(req, res));
+      this._server.on('upgrade', (req, socket) => this._handleUpgrade(req, socket));
+      this._server.on('connection', (socket) => {
+        this._connections.add(socket);
+        socket.once('close', () => this._connections.delete(socket));
+      });
+      this._server.once('error', reject);
+      this._server.listen(this.options.port, this.options.host, () => {
+        const { port } = this._server.address();
+        this.url = `http://${this.options.host}:${port}`;
+        this.wsUrl = `ws://${this.options.host}:${port}/ws`;
+        resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Close every WebSocket and stop listening
+   */
+  async stop() {
+    this._sockets.forEach(socket => socket.terminate());
+    this._sockets.clear();
+    await Promise.all(Array.from(this.nats._connections).map(connection => connection.close()));
+    if (this._server) {
+      const closed = new Promise(resolve => this._server.close(() => resolve()));
+      this._connections.forEach(socket => socket.destroy());
+      this._connections.clear();
+      await closed;
+      this._server = null;
+    }
+  }
+
+  /**
+   * Connect a client to this gateway (the in-memory NATS is passed as `natsModule`)
+   * @param {Object} [options] - ConceptKernel.connect() options
+   * @returns {Promise<ConceptKernel>}
+   */
+  connect(options = {}) {
+    const ConceptKernel = require('./index.js');
+    return ConceptKernel.connect(this.url, { natsModule: this.nats, ...options });
+  }
+
+  /**
+   * Script a kernel
+   *
+   * The handler receives (payload, context) and may return (or resolve with) the
+   * response payload, which is sent back as a RESPONDS envelope. Returning
+   * undefined sends nothing; throwing sends an ERROR envelope. A non-function
+   * handler is used as a fixed response.
+   *
+   * @param {string} urn - Kernel URN or name
+   * @param {Function|*} [handler] - (payload, { txId, edge, from, kernel, actor, channel, emit }) => response
+   * @param {Object} [options] - Discovery entry fields (mode, metadata, ...)
+   * @returns {MockGateway} This gateway, for chaining
+   *
+   * @example
+   * ```javascript
+   * gateway
+   *   .kernel('UI.Bakery', async (payload, { emit }) => {
+   *     await emit('ANNOUNCES', { phase: 'mixing' });
+   *     return { baked: true };
+   *   })
+   *   .kernel('System.Registry', { processes: [] });
+   * ```
+   */
+  kernel(urn, handler, options = {}) {
+    const name = kernelNameOf(urn);
+    this._kernels.set(name, {
+      entry: {
+        name,
+        urn: String(urn).startsWith('ckp://') ? urn : `ckp://${name}:v1`,
+        mode: 'ONLINE',
+        ...options
+      },
+      handler
+    });
+    return this;
+  }
+
+  /**
+   * Remove a scripted kernel (it disappears from discovery)
+   * @param {string} urn - Kernel URN or name
+   * @returns {MockGateway} This gateway, for chaining
+   */
+  removeKernel(urn) {
+    this._kernels.delete(kernelNameOf(urn));
+    return this;
+  }
+
+  /**
+   * Inject a fault
+   *
+   * @param {Object} fault
+   * @param {string} [fault.type] - Traffic type to affect: 'emit', 'discovery', 'oidc_token',
+   *   'oidc_device', or a WebSocket message type such as 'upgrade_token' (default: any)
+   * @param {string} [fault.kernel] - Only emits to this kernel
+   * @param {boolean|number} [fault.drop] - Swallow the message (a number is a probability 0-1)
+   * @param {number} [fault.latency] - Delay the reply (ms)
+   * @param {string} [fault.error] - Reply with this error (ERROR envelope for emits,
+   *   `error` message for WebSocket commands, OAuth error code for OIDC requests)
+   * @param {number} [fault.status] - Fail HTTP requests with this status code
+   * @param {number} [fault.times] - Only apply this many times (default: until removed)
+   * @returns {Function} Removes the fault
+   *
+   * @example
+   * ```javascript
+   * gateway.fault({ type: 'emit', status: 503, times: 2 }); // first two emits fail
+   * gateway.fault({ kernel: 'UI.Bakery', latency: 2000 });   // slow kernel
+   * gateway.fault({ type: 'upgrade_token', error: 'Invalid credentials' });
+   * gateway.fault({ type: 'oidc_token', error: 'slow_down', times: 1 });
+   * ```
+   */
+  fault(fault) {
+    const entry = { ...fault };
+    this._faults.push(entry);
+    return () => {
+      const index = this._faults.indexOf(entry);
+      if (index > -1) this._faults.splice(index, 1);
+    };
+  }
+
+  /**
+   * Remove all faults
+   */
+  clearFaults() {
+    this._faults = [];
+  }
+
+  /**
+   * Send an event to every connected WebSocket and publish it on NATS
+   * @param {Object} envelope - { txId, edge, from, to, payload }
+   */
+  publishEvent(envelope) {
+    const name = kernelNameOf(envelope.from || envelope.to || 'System.Gateway');
+    const event = { type: 'event', kernel: name, data: envelope, timestamp: new Date().toISOString() };
+
+    this._sockets.forEach(socket => this._send(socket, event));
+    this._record({ channel: 'nats', direction: 'out', type: 'event', kernel: name, txId: envelope.txId, edge: envelope.edge, message: envelope });
+    this.nats.publish(`kernel.${name}.result`, envelope);
+  }
+
+  /**
+   * Complete a pending device login, as if the user entered the code
+   * @param {string} userCode - The user_code shown by the device flow
+   * @param {string} [username] - User who logs in (default: options.oidc.user)
+   */
+  approveDevice(userCode, username) {
+    const device = Array.from(this._oidcDevices.values()).find(entry => entry.userCode === userCode);
+    if (!device) {
+      throw new Error(`No pending device login for ${userCode}`);
+    }
+    device.username = username || this._oidcOptions().user;
+  }
+
+  /**
+   * Close every WebSocket connection without a close handshake (tests reconnects)
+   */
+  dropConnections() {
+    Array.from(this._sockets).forEach(socket => socket.terminate());
+  }
+
+  /**
+   * Recorded messages the gateway received that match a filter
+   * @param {Object} [filter] - Partial match on { channel, type, kernel, txId, edge, message }
+   * @returns {Object[]}
+   */
+  received(filter = {}) {
+    return this.traffic.filter(entry => entry.direction === 'in' && matchesFilter(entry, filter));
+  }
+
+  /**
+   * Recorded messages the gateway sent that match a filter
+   * @param {Object} [filter]
+   * @returns {Object[]}
+   */
+  sent(filter = {}) {
+    return this.traffic.filter(entry => entry.direction === 'out' && matchesFilter(entry, filter));
+  }
+
+  /**
+   * Throw unless the gateway received matching traffic
+   * @param {Object} filter
+   * @param {number} [times] - Exact number of matches expected (default: at least one)
+   */
+  assertReceived(filter, times) {
+    assertCount('receive', this.received(filter), filter, times, this.received());
+  }
+
+  /**
+   * Throw unless the gateway sent matching traffic
+   * @param {Object} filter
+   * @param {number} [times] - Exact number of matches expected (default: at least one)
+   */
+  assertSent(filter, times) {
+    assertCount('send', this.sent(filter), filter, times, this.sent());
+  }
+
+  /**
+   * Wait for a matching traffic entry (already recorded or future)
+   * @param {Object} filter - Traffic filter, may include direction
+   * @param {number} [timeout=5000] - Give up after this long (ms)
+   * @returns {Promise<Object>} The matching entry
+   */
+  waitFor(filter, timeout = 5000) {
+    const existing = this.traffic.find(entry => matchesFilter(entry, filter));
+    if (existing) return Promise.resolve(existing);
+
+    return new Promise((resolve, reject) => {
+      const waiter = { filter, resolve };
+      waiter.timer = setTimeout(() => {
+        this._trafficWaiters.splice(this._trafficWaiters.indexOf(waiter), 1);
+        reject(new Error(`Timed out after ${timeout}ms waiting for ${JSON.stringify(filter)}`));
+      }, timeout);
+      this._trafficWaiters.push(waiter);
+    });
+  }
+
+  /**
+   * Clear recorded traffic and faults (kernels stay scripted)
+   */
+  reset() {
+    this.traffic = [];
+    this._faults = [];
+  }
+
+  /**
+   * Discovery document served at /.well-known/ck-services
+   */
+  discoveryDocument() {
+    return {
+      ck_version: 'mock',
+      domain: this.options.domain,
+      services: {
+        gateway: { endpoints: { http: this.url, emit: `${this.url}/emit` } },
+        websocket: { endpoints: { ws: this.wsUrl } },
+        ...(this.options.oidc ? { oidc: { endpoints: { issuer: `${this.url}/oidc` } } } : {}),
+        ...this.options.services
+      },
+      kernels: Array.from(this._kernels.values()).map(kernel => kernel.entry)
+    };
+  }
+
+  _record(entry) {
+    const recorded = { at: Date.now(), ...entry };
+    this.traffic.push(recorded);
+
+    this._trafficWaiters.slice().forEach(waiter => {
+      if (!matchesFilter(recorded, waiter.filter)) return;
+      clearTimeout(waiter.timer);
+      this._trafficWaiters.splice(this._trafficWaiters.indexOf(waiter), 1);
+      waiter.resolve(recorded);
+    });
+  }
+
+  /**
+   * Find (and consume one use of) the fault matching a message
+   * @private
+   */
+  _takeFault(type, kernel) {
+    const fault = this._faults.find(f =>
+      (!f.type || f.type === type) &&
+      (!f.kernel || (kernel && kernelNameOf(f.kernel) === kernelNameOf(kernel)))
+    );
+    if (!fault) return null;
+
+    if (fault.times !== undefined && --fault.times <= 0) {
+      this._faults.splice(this._faults.indexOf(fault), 1);
+    }
+
+    const dropped = typeof fault.drop === 'number' ? Math.random() < fault.drop : !!fault.drop;
+    return { ...fault, drop: dropped };
+  }
+
+  _handleHttp(req, res) {
+    const respond = (status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*', ...headers });
+      res.end(JSON.stringify(body));
+    };
+
+    const path = req.url.split('?')[0];
+
+    if (req.method === 'GET' && path === '/.well-known/ck-services') {
+      const ifNoneMatch = req.headers['if-none-match'] || null;
+      this._record({ channel: 'http', direction: 'in', type: 'discovery', ifNoneMatch });
+      const fault = this._takeFault('discovery');
+      Promise.resolve(fault && fault.latency ? delay(fault.latency) : null).then(() => {
+        if (fault && fault.drop) return req.socket.destroy();
+        if (fault && fault.status) return respond(fault.status, { error: fault.error || 'Discovery failed' });
+
+        const document = this.discoveryDocument();
+        const etag = `"${crypto.createHash('sha1').update(JSON.stringify(document)).digest('hex')}"`;
+        if (ifNoneMatch === etag) {
+          res.writeHead(304, { ETag: etag });
+          return res.end();
+        }
+        respond(200, document, { ETag: etag });
+      });
+      return;
+    }
+
+    if (req.method === 'POST' && path === '/emit') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => this._handleEmit(req, body, respond));
+      return;
+    }
+
+    if (this.options.oidc && path.startsWith('/oidc/')) {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => this._handleOidc(req, path.slice('/oidc'.length), body, res, respond));
+      return;
+    }
+
+    respond(404, { error: `Not found: ${req.method} ${path}` });
+  }
+
+  _oidcOptions() {
+    return { user: 'alice', roles: ['user'], deviceInterval: 5, ...this.options.oidc };
+  }
+
+  /**
+   * Mock OIDC provider endpoints (path is relative to /oidc)
+   * @private
+   */
+  async _handleOidc(req, path, body, res, respond) {
+    const oidc = this._oidcOptions();
+    const issuer = `${this.url}/oidc`;
+    const type = { '/authorize': 'oidc_authorize', '/token': 'oidc_token', '/device': 'oidc_device' }[path] || 'oidc_discovery';
+    const params = req.method === 'GET'
+      ? Object.fromEntries(new URL(req.url, this.url).searchParams)
+      : Object.fromEntries(new URLSearchParams(body));
+    const reply = (status, data) => {
+      this._record({ channel: 'http', direction: 'out', type, message: data });
+      respond(status, data);
+    };
+
+    this._record({ channel: 'http', direction: 'in', type, message: params });
+
+    if (req.method === 'GET' && path === '/.well-known/openid-configuration') {
+      return respond(200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        device_authorization_endpoint: `${issuer}/device`,
+        grant_types_supported: ['authorization_code', 'client_credentials', 'urn:ietf:params:oauth:grant-type:device_code'],
+        code_challenge_methods_supported: ['S256']
+      });
+    }
+
+    const fault = this._takeFault(type);
+    if (fault && fault.latency) await delay(fault.latency);
+    if (fault && fault.drop) return req.socket.destroy();
+    if (fault && (fault.error || fault.status)) {
+      return reply(fault.status || 400, { error: fault.error || 'server_error' });
+    }
+
+    // The configured user logs in at once and is sent back with a code
+    if (req.method === 'GET' && path === '/authorize') {
+      if (!params.redirect_uri) {
+        return reply(400, { error: 'invalid_request', error_description: 'redirect_uri is required' });
+      }
+      const location = new URL(params.redirect_uri);
+      if (params.response_type !== 'code' || params.code_challenge_method !== 'S256' || !params.code_challenge) {
+        location.searchParams.set('error', 'invalid_request');
+        location.searchParams.set('error_description', 'Authorization code with S256 PKCE is required');
+      } else {
+        const code = crypto.randomBytes(16).toString('hex');
+        this._oidcCodes.set(code, { clientId: params.client_id, redirectUri: params.redirect_uri, challenge: params.code_challenge });
+        location.searchParams.set('code', code);
+      }
+      if (params.state) location.searchParams.set('state', params.state);
+      this._record({ channel: 'http', direction: 'out', type, message: { location: location.toString() } });
+      res.writeHead(302, { Location: location.toString() });
+      return res.end();
+    }
+
+    if (req.method === 'POST' && path === '/device') {
+      const deviceCode = crypto.randomBytes(16).toString('hex');
+      const userCode = `MOCK-${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+      this._oidcDevices.set(deviceCode, { userCode, clientId: params.client_id, username: null });
+      return reply(200, {
+        device_code: deviceCode,
+        user_code: userCode,
+        verification_uri: `${issuer}/device`,
+        verification_uri_complete: `${issuer}/device?user_code=${userCode}`,
+        expires_in: 600,
+        interval: oidc.deviceInterval
+      });
+    }
+
+    if (req.method === 'POST' && path === '/token') {
+      const tokens = (username) => {
+        const claims = { sub: username, preferred_username: username, aud: params.client_id, roles: oidc.roles, exp: Math.floor(Date.now() / 1000) + 3600 };
+        return reply(200, { access_token: mockJwt(claims), id_token: mockJwt(claims), token_type: 'Bearer', expires_in: 3600, scope: 'openid profile' });
+      };
+
+      switch (params.grant_type) {
+        case 'authorization_code': {
+          const grant = this._oidcCodes.get(params.code);
+          this._oidcCodes.delete(params.code);
+          if (!grant || grant.clientId !== params.client_id || grant.redirectUri !== params.redirect_uri) {
+            return reply(400, { error: 'invalid_grant', error_description: 'Unknown or reused authorization code' });
+          }
+          const challenge = crypto.createHash('sha256').update(params.code_verifier || '').digest('base64url');
+          if (challenge !== grant.challenge) {
+            return reply(400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+          }
+          return tokens(oidc.user);
+        }
+        case 'urn:ietf:params:oauth:grant-type:device_code': {
+          const device = this._oidcDevices.get(params.device_code);
+          if (!device) return reply(400, { error: 'expired_token' });
+          if (!device.username) return reply(400, { error: 'authorization_pending' });
+          this._oidcDevices.delete(params.device_code);
+          return tokens(device.username);
+        }
+        case 'client_credentials':
+          if (oidc.clients && oidc.clients[params.client_id] !== params.client_secret) {
+            return reply(401, { error: 'invalid_client', error_description: 'Invalid client credentials' });
+          }
+          return tokens(`service-account-${params.client_id}`);
+        default:
+          return reply(400, { error: 'unsupported_grant_type' });
+      }
+    }
+
+    reply(404, { error: `Not found: ${req.method} /oidc${path}` });
+  }
+
+  async _handleEmit(req, body, respond) {
+    let data;
+    try {
+      data = body ? JSON.parse(body) : {};
+    } catch (err) {
+      return respond(400, { error: 'Invalid JSON body' });
+    }
+
+    const kernel = req.headers['x-ck-kernel'];
+    const txId = req.headers['x-ck-txid'] || generateTxId();
+    const edge = req.headers['x-ck-edge'] || 'QUERIES';
+    const envelope = data && data.txId && data.edge && 'payload' in data ? data : null;
+    const authorization = req.headers['authorization'] || null;
+
+    this._record({ channel: 'http', direction: 'in', type: 'emit', kernel, txId, edge, authorization, message: data });
+
+    if (!kernel) {
+      return respond(400, { error: 'Missing X-CK-Kernel header' });
+    }
+
+    const fault = this._takeFault('emit', kernel);
+    if (fault && fault.latency) await delay(fault.latency);
+    if (fault && fault.status) {
+      return respond(fault.status, { error: fault.error || `Emit failed: ${fault.status}` });
+    }
+
+    const name = kernelNameOf(kernel);
+    const result = {
+      success: true,
+      txId,
+      kernel,
+      processUrn: `ckp://Process#Invocation-${txId}`
+    };
+    respond(202, result);
+    this._record({ channel: 'http', direction: 'out', type: 'emit_result', kernel: name, txId, message: result });
+
+    this._dispatchEmit('http', {
+      kernel,
+      txId,
+      edge,
+      from: envelope ? envelope.from : null,
+      payload: envelope ? envelope.payload : data,
+      authorization
+    }, fault);
+  }
+
+  /**
+   * Run the scripted kernel for an emit and publish its answer
+   * @private
+   */
+  async _dispatchEmit(channel, emit, fault) {
+    const name = kernelNameOf(emit.kernel);
+    const kernel = this._kernels.get(name);
+
+    if (fault === undefined) {
+      fault = this._takeFault('emit', name);
+      if (fault && fault.latency) await delay(fault.latency);
+    }
+    if (fault && fault.drop) {
+      this._record({ channel, direction: 'out', type: 'dropped', kernel: name, txId: emit.txId });
+      return;
+    }
+
+    const kernelUrn = kernel ? kernel.entry.urn : `ckp://${name}`;
+    const reply = (edge, payload) => this.publishEvent({
+      txId: emit.txId,
+      edge,
+      from: kernelUrn,
+      to: emit.from || ANONYMOUS_AGENT,
+      payload
+    });
+
+    if (fault && fault.error) {
+      reply('ERROR', { error: fault.error });
+      return;
+    }
+    if (!kernel || kernel.handler === undefined) {
+      return;
+    }
+
+    const context = {
+      txId: emit.txId,
+      edge: emit.edge,
+      from: emit.from,
+      kernel: kernelUrn,
+      channel,
+      authorization: emit.authorization || null,
+      emit: async (edge, payload) => reply(edge, payload)
+    };
+
+    try {
+      const response = typeof kernel.handler === 'function'
+        ? await kernel.handler(emit.payload, context)
+        : kernel.handler;
+      if (response !== undefined) {
+        reply('RESPONDS', response);
+      }
+    } catch (err) {
+      reply('ERROR', { error: err.message });
+    }
+  }
+
+  _handleUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (req.url.split('?')[0] !== '/ws' || !key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const ws = new MockSocket(socket,
+      (client, text) => this._handleWsMessage(client, text),
+      (client) => {
+        this._sockets.delete(client);
+        this._record({ channel: 'ws', direction: 'in', type: 'close' });
+      });
+    this._sockets.add(ws);
+
+    ws.session.token = `mock-anonymous-${++this._tokenCounter}`;
+    this._send(ws, {
+      type: 'connected',
+      token: ws.session.token,
+      actor: ws.session.actor,
+      roles: ws.session.roles
+    });
+  }
+
+  _send(socket, message) {
+    this._record({ channel: 'ws', direction: 'out', type: message.type, txId: message.data && message.data.txId, message });
+    socket.send(message);
+  }
+
+  async _handleWsMessage(socket, text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (err) {
+      this._send(socket, { type: 'error', message: 'Invalid JSON' });
+      return;
+    }
+
+    this._record({ channel: 'ws', direction: 'in', type: message.type, kernel: message.kernel, message });
+
+    const fault = this._takeFault(message.type, message.kernel);
+    if (fault && fault.latency) await delay(fault.latency);
+    if (fault && fault.drop) return;
+
+    const fail = (text) => this._send(socket, {
+      type: 'error',
+      request_id: message.request_id,
+      context: message.type,
+      message: text
+    });
+
+    if (fault && fault.error) {
+      fail(fault.error);
+      return;
+    }
+
+    switch (message.type) {
+      case 'upgrade_token':
+        this._upgradeToken(socket, message, fail);
+        break;
+
+      case 'bootstrap_kernel':
+        if (!socket.session.authenticated) {
+          fail('Authentication required for kernel bootstrap');
+          break;
+        }
+        this.kernel(message.kernel, undefined, { metadata: { description: message.description, bfo_class: message.bfo_class } });
+        this._send(socket, {
+          type: 'kernel_bootstrapped',
+          request_id: message.request_id,
+          kernel: message.kernel,
+          urn: this._kernels.get(kernelNameOf(message.kernel)).entry.urn,
+          status: 'bootstrapped'
+        });
+        break;
+
+      case 'subscribe':
+        socket.subscriptions.set(message.subscription_id, message.filter || {});
+        break;
+
+      case 'unsubscribe':
+        socket.subscriptions.delete(message.subscription_id);
+        break;
+
+      default:
+        fail(`Unknown message type: ${message.type}`);
+    }
+  }
+
+  _upgradeToken(socket, message, fail) {
+    const credentials = message.credentials || {};
+    const users = this.options.users;
+    let username = null;
+    let roles = ['user'];
+
+    if (credentials.username !== undefined) {
+      const user = users ? users[credentials.username] : { password: credentials.password };
+      const password = user && typeof user === 'object' ? user.password : user;
+      if (!user || password !== credentials.password) {
+        fail('Invalid credentials');
+        return;
+      }
+      username = credentials.username;
+      roles = (user && user.roles) || roles;
+    } else if (credentials.access_token) {
+      // Tokens from the mock OIDC provider name their user
+      const claims = readMockJwt(credentials.access_token);
+      username = (claims && claims.preferred_username) || 'oidc';
+      roles = (claims && claims.roles) || roles;
+    } else if (this._sessions.has(message.current_token)) {
+      // Re-upgrade of a session token issued earlier (refresh or reconnect)
+      const session = this._sessions.get(message.current_token);
+      username = session.actor.split('#')[1];
+      roles = session.roles;
+    } else {
+      fail('No credentials provided');
+      return;
+    }
+
+    const id = ++this._tokenCounter;
+    socket.session = {
+      // NumericDate may be fractional, which keeps short test lifetimes exact
+      token: this.options.tokenTtl
+        ? mockJwt({ sub: username, jti: String(id), exp: (Date.now() + this.options.tokenTtl) / 1000 })
+        : `mock-token-${id}`,
+      actor: `ckp://System.Oidc.User#${username}`,
+      roles,
+      authenticated: true
+    };
+    this._sessions.set(socket.session.token, socket.session);
+
+    this._send(socket, {
+      type: 'token_upgraded',
+      request_id: message.request_id,
+      token: socket.session.token,
+      actor: socket.session.actor,
+      roles: socket.session.roles
+    });
+  }
+}
+
+function assertCount(verb, matches, filter, times, all) {
+  const ok = times === undefined ? matches.length > 0 : matches.length === times;
+  if (ok) return;
+
+  const expected = times === undefined ? 'at least once' : `${times} time(s)`;
+  const recorded = all.map(entry => `  ${entry.channel} ${entry.type}${entry.kernel ? ` ${entry.kernel}` : ''}${entry.txId ? ` ${entry.txId}` : ''}`);
+  const err = new Error(
+    `Expected gateway to ${verb} ${JSON.stringify(filter)} ${expected}, matched ${matches.length}.\n` +
+    `Recorded:\n${recorded.join('\n') || '  (nothing)'}`
+  );
+  err.name = 'AssertionError';
+  throw err;
+}
+
+/**
+ * Create a mock gateway (call start() to listen)
+ * @param {Object} [options] - See MockGateway
+ * @returns {MockGateway}
+ */
+function createMockGateway(options) {
+  return new MockGateway(options);
+}
+
+module.exports = {
+  createMockGateway,
+  MockGateway,
+  MockNats
+};